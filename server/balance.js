@@ -0,0 +1,264 @@
+// ========================================
+// BALANCE FILE
+// Character stats, damage, cooldowns, radii, shards and dummies are read from a JSON file
+// on top of SERVER_CONFIG. The file is validated before anything is applied
+// and watched while the server runs; an invalid file is rejected and the
+// server keeps the values it already has.
+// ========================================
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const { SERVER_CONFIG } = require('./config');
+const { rebuildLevelStats } = require('./leveling');
+const { CHARACTER_REGISTRY } = require('../src/characters');
+
+const DEFAULT_BALANCE_FILE = path.join(__dirname, 'balance.json');
+const WATCH_INTERVAL_MS = 1000;
+
+// Schema rules
+const number = (min, max = Infinity) => ({ type: 'number', min, max });
+const integer = (min, max = Infinity) => ({ type: 'integer', min, max });
+const POSITIONS = { type: 'positions' };
+const object = rules => ({ type: 'object', rules });
+
+const CHARACTER_STATS = object({
+    MAX_HP: integer(1),
+    SPEED: number(1),
+});
+
+// Every section and key must be present (the file describes the whole balance)
+const BALANCE_SCHEMA = {
+    PLAYER: {
+        INVINCIBILITY_MS: integer(0),
+        RESPAWN_DELAY_MS: integer(0),
+        RESPAWN_DELAY_INCREMENT_MS: integer(0),
+        RESPAWN_DELAY_MAX_MS: integer(0),
+    },
+    // One entry per registered character
+    CHARACTERS: Object.fromEntries(Object.keys(CHARACTER_REGISTRY.CHARACTERS).map(id => [id, CHARACTER_STATS])),
+    COMBAT: {
+        ATTACK_POWER: integer(0),
+        ATTACK_RANGE: number(1),
+        ATTACK_COOLDOWN_MS: integer(0),
+        HIT_RADIUS: number(1),
+        KILL_EXPERIENCE: integer(0),
+        ASSIST_EXPERIENCE: integer(0),
+    },
+    KNOCKBACK: {
+        MIN_DISTANCE: number(0),
+        MAX_DISTANCE: number(0),
+        DURATION_MS: integer(0),
+        MULTIPLIER_MIN: number(0),
+        MULTIPLIER_MAX: number(0),
+        LASER_DISTANCE: number(0),
+    },
+    SKILL_LASER: {
+        AIM_DURATION_MS: integer(0),
+        DAMAGE: integer(0),
+        MAX_LENGTH: number(1),
+        COOLDOWN_MS: integer(0),
+    },
+    SKILL_TELEPORT: {
+        DISAPPEAR_DURATION_MS: integer(0),
+        MAX_DISTANCE: number(1),
+        MIN_DISTANCE: number(0),
+        DAMAGE_RADIUS: number(0),
+        DAMAGE: integer(0),
+        COOLDOWN_MS: integer(0),
+    },
+    SKILL_TELEPATHY: {
+        RADIUS: number(0),
+        DAMAGE_PER_TICK: integer(0),
+        MAX_HEAL_PER_TICK: integer(0),
+        DURATION_MS: integer(0),
+        TICK_INTERVAL_MS: integer(1),
+        COOLDOWN_MS: integer(0),
+    },
+    SHARD: {
+        MAX_COUNT: integer(0, 500),
+        INITIAL_COUNT: integer(0, 500),
+        COLLECT_DISTANCE: number(0),
+        RESPAWN_MIN_MS: integer(0),
+        RESPAWN_VARIANCE_MS: integer(0),
+        EXPERIENCE: integer(0),
+    },
+    DUMMY: {
+        MAX_HP: integer(1),
+        RESPAWN_DELAY_MS: integer(0),
+        POSITIONS,
+    },
+};
+
+// Rules across keys: [message, check(balance)]
+const CROSS_CHECKS = [
+    ['PLAYER.RESPAWN_DELAY_MS must not exceed PLAYER.RESPAWN_DELAY_MAX_MS',
+        b => b.PLAYER.RESPAWN_DELAY_MS <= b.PLAYER.RESPAWN_DELAY_MAX_MS],
+    ['KNOCKBACK.MIN_DISTANCE must not exceed KNOCKBACK.MAX_DISTANCE',
+        b => b.KNOCKBACK.MIN_DISTANCE <= b.KNOCKBACK.MAX_DISTANCE],
+    ['KNOCKBACK.MULTIPLIER_MIN must not exceed KNOCKBACK.MULTIPLIER_MAX',
+        b => b.KNOCKBACK.MULTIPLIER_MIN <= b.KNOCKBACK.MULTIPLIER_MAX],
+    ['SKILL_TELEPORT.MIN_DISTANCE must not exceed SKILL_TELEPORT.MAX_DISTANCE',
+        b => b.SKILL_TELEPORT.MIN_DISTANCE <= b.SKILL_TELEPORT.MAX_DISTANCE],
+    ['SKILL_TELEPATHY.TICK_INTERVAL_MS must not exceed SKILL_TELEPATHY.DURATION_MS',
+        b => b.SKILL_TELEPATHY.TICK_INTERVAL_MS <= b.SKILL_TELEPATHY.DURATION_MS],
+    ['SHARD.INITIAL_COUNT must not exceed SHARD.MAX_COUNT',
+        b => b.SHARD.INITIAL_COUNT <= b.SHARD.MAX_COUNT],
+];
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Unknown and missing keys, then each value against its rule
+function validateKeys(name, values, rules) {
+    const errors = [];
+
+    Object.keys(values).forEach((key) => {
+        if (!rules[key]) errors.push(`Unknown key ${name}.${key}`);
+    });
+
+    Object.entries(rules).forEach(([key, rule]) => {
+        if (!(key in values)) {
+            errors.push(`Missing key ${name}.${key}`);
+            return;
+        }
+        errors.push(...validateValue(`${name}.${key}`, values[key], rule));
+    });
+
+    return errors;
+}
+
+function validateValue(name, value, rule) {
+    if (rule.type === 'object') {
+        if (!isPlainObject(value)) return [`${name} must be an object`];
+        return validateKeys(name, value, rule.rules);
+    }
+
+    if (rule.type === 'positions') {
+        if (!Array.isArray(value)) return [`${name} must be an array`];
+
+        const errors = [];
+        value.forEach((pos, index) => {
+            const valid = isPlainObject(pos) &&
+                Number.isFinite(pos.offsetX) && Number.isFinite(pos.offsetY) &&
+                typeof pos.name === 'string' && pos.name.length > 0;
+            if (!valid) {
+                errors.push(`${name}[${index}] must be { offsetX: number, offsetY: number, name: string }`);
+            }
+        });
+        return errors;
+    }
+
+    const isValidType = rule.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value);
+    if (!isValidType) return [`${name} must be ${rule.type === 'integer' ? 'an integer' : 'a number'} (got ${JSON.stringify(value)})`];
+    if (value < rule.min || value > rule.max) {
+        const range = rule.max === Infinity ? `>= ${rule.min}` : `between ${rule.min} and ${rule.max}`;
+        return [`${name} must be ${range} (got ${value})`];
+    }
+    return [];
+}
+
+/**
+ * Check a parsed balance file against the schema
+ * @param {*} balance - Parsed file contents
+ * @returns {string[]} Problems found (empty = valid)
+ */
+function validateBalance(balance) {
+    if (!isPlainObject(balance)) return ['Balance file must contain a JSON object'];
+
+    const errors = [];
+
+    Object.keys(balance).forEach((section) => {
+        if (!BALANCE_SCHEMA[section]) errors.push(`Unknown section ${section}`);
+    });
+
+    Object.entries(BALANCE_SCHEMA).forEach(([section, rules]) => {
+        const values = balance[section];
+        if (!isPlainObject(values)) {
+            errors.push(`Missing section ${section}`);
+            return;
+        }
+
+        errors.push(...validateKeys(section, values, rules));
+    });
+
+    // Cross checks only make sense once every value has the right type
+    if (errors.length === 0) {
+        CROSS_CHECKS.forEach(([message, check]) => {
+            if (!check(balance)) errors.push(message);
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Copy a validated balance into SERVER_CONFIG
+ * @param {Object} balance - Balance that passed validateBalance
+ */
+function applyBalance(balance) {
+    Object.keys(BALANCE_SCHEMA).forEach((section) => {
+        Object.assign(SERVER_CONFIG[section], balance[section]);
+    });
+    Object.entries(balance.CHARACTERS).forEach(([id, stats]) => {
+        SERVER_CONFIG.CHARACTERS[id] = { ...stats };
+    });
+    SERVER_CONFIG.DUMMY.POSITIONS = balance.DUMMY.POSITIONS.map(pos => ({ ...pos }));
+
+    rebuildLevelStats();
+}
+
+/**
+ * Read, validate and apply a balance file
+ * @param {string} filePath - Path to the JSON balance file
+ * @returns {boolean} True if the file was applied (false = previous values kept)
+ */
+function loadBalanceFile(filePath = DEFAULT_BALANCE_FILE) {
+    let balance;
+    try {
+        balance = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        logger.error(`Balance file ${filePath} rejected (${error.message}), keeping previous values`);
+        return false;
+    }
+
+    const errors = validateBalance(balance);
+    if (errors.length > 0) {
+        logger.error(`Balance file ${filePath} rejected (${errors.length} problem(s)), keeping previous values:`);
+        errors.forEach(error => logger.error(`  - ${error}`));
+        return false;
+    }
+
+    applyBalance(balance);
+    logger.info(`Balance loaded from ${filePath}`);
+    return true;
+}
+
+/**
+ * Re-apply the balance file whenever it changes
+ * @param {string} filePath - Path to the JSON balance file
+ * @param {Function} onApplied - Called after a changed file was applied
+ * @returns {Function} Stops watching
+ */
+function watchBalanceFile(filePath = DEFAULT_BALANCE_FILE, onApplied = () => {}) {
+    const listener = (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs) return;
+
+        logger.info(`Balance file ${filePath} changed, reloading`);
+        if (loadBalanceFile(filePath)) {
+            onApplied();
+        }
+    };
+
+    fs.watchFile(filePath, { interval: WATCH_INTERVAL_MS }, listener);
+    return () => fs.unwatchFile(filePath, listener);
+}
+
+module.exports = {
+    DEFAULT_BALANCE_FILE,
+    BALANCE_SCHEMA,
+    validateBalance,
+    applyBalance,
+    loadBalanceFile,
+    watchBalanceFile,
+};
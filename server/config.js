@@ -2,7 +2,11 @@
 // SERVER CONFIGURATION
 // Centralized constants for server-authoritative game logic
 // (Anti-cheat: ignore client values, use these)
+// The only source of gameplay numbers: clients receive them as gameConfig
+// Balance values below are defaults; server/balance.json overrides them (see balance.js)
 // ========================================
+const { CHARACTER_REGISTRY } = require('../src/characters');
+
 const SERVER_CONFIG = {
     // World
     WORLD: {
@@ -10,28 +14,110 @@ const SERVER_CONFIG = {
         HEIGHT: 1080,
     },
 
-    // Player
+    // Client/server protocol (checked in the joinGame handshake)
+    PROTOCOL: {
+        VERSION: 1,                     // Bump on incompatible event/payload changes (client: GAME_CONFIG.NETWORK.PROTOCOL_VERSION)
+    },
+
+    // Simulation tick
+    TICK: {
+        RATE_HZ: 30,                    // Authoritative simulation steps per second
+    },
+
+    // Player (base HP and speed are per character, see CHARACTERS)
     PLAYER: {
-        SPEED: 300,                     // pixels per second
-        SPEED_TOLERANCE: 1.5,           // Allow 50% variance for network latency
-        MAX_HP: 100,
-        RESPAWN_DELAY_MS: 3000,         // 3 seconds
+        BOUNDARY_MARGIN: 67.5,          // Half of character size (matches client movement bounds)
+        NAME_MAX_LENGTH: 30,
+        INVINCIBILITY_MS: 300,          // No damage this long after a hit
+        RESPAWN_DELAY_MS: 3000,         // First death: 3 seconds
+        RESPAWN_DELAY_INCREMENT_MS: 1000, // Added for every death after the first
+        RESPAWN_DELAY_MAX_MS: 10000,    // Cap for the escalating delay
         RESPAWN_X: 960,                 // Center of game world
         RESPAWN_Y: 540,
     },
 
+    // Per-character base stats: characterId -> { MAX_HP, SPEED }
+    // (defaults from the character registry, so a new character only needs its registry entry)
+    CHARACTERS: Object.fromEntries(Object.entries(CHARACTER_REGISTRY.CHARACTERS).map(
+        ([id, character]) => [id, { MAX_HP: character.maxHP, SPEED: character.speed }]
+    )),
+
+    // Experience & leveling (same curve as CharacterUtils.getRequiredExperience)
+    LEVEL: {
+        MAX_LEVEL: 30,
+        BASE_EXPERIENCE: 10,            // Experience needed for level 1 -> 2
+        EXPERIENCE_PER_LEVEL: 2,        // Extra experience needed per level after that
+        // Stat growth per level above 1 (builds the per-level stat table in leveling.js)
+        STAT_GROWTH: {
+            MAX_HP: 5,                  // Level 30: character HP + 145
+            ATTACK_POWER: 0.5,          // Rounded down (level 30: 24)
+            SKILL_DAMAGE: 0.02,         // Skill damage multiplier (level 30: x1.58)
+        },
+    },
+
+    // Movement input (client sends directional inputs, server computes position)
+    MOVEMENT_INPUT: {
+        MAX_INPUTS_PER_PACKET: 32,      // Enough for high refresh rate clients at 20 packets/s
+        MAX_INPUT_DT_MS: 100,           // Client caps frame delta at 0.1s
+        MAX_BUDGET_MS: 250,             // Movement time a player may bank against network jitter
+    },
+
+    // Teams (Red vs Blue, 5:5)
+    TEAM: {
+        NAMES: ['red', 'blue'],
+        SIZE: 5,                        // Players per team in a full match
+    },
+
+    // Resumable sessions (a dropped player is kept while their client reconnects)
+    SESSION: {
+        RECONNECT_GRACE_MS: 30000,      // How long a disconnected player stays in their room
+        TOKEN_BYTES: 24,                // Random bytes per session token
+    },
+
+    // Rooms (several 5v5 matches plus one shared training room)
+    ROOM: {
+        TRAINING_CAPACITY: 20,          // Players in the shared training room (dummies, no match timer)
+    },
+
+    // Match lifecycle (waiting -> countdown -> playing -> ended)
+    MATCH: {
+        MIN_PLAYERS: 2,                 // Countdown starts once this many players are connected
+        COUNTDOWN_MS: 5000,
+        DURATION_MS: 300000,            // 5 minutes
+        RESULT_MS: 10000,               // Result screen before going back to waiting
+        TICK_INTERVAL_MS: 1000,         // matchTick broadcast interval
+    },
+
+    // Announcer (kill feed banners)
+    ANNOUNCER: {
+        MULTI_KILL_WINDOW_MS: 10000,    // Max time between kills of a double/triple kill
+        KILLING_SPREE: 3,               // Kills without dying for a killing spree
+        SHUTDOWN_STREAK: 3,             // Victim's streak needed for a shutdown
+    },
+
+    // Lag compensation (hits are checked where the shooter saw their targets)
+    LAG_COMPENSATION: {
+        MAX_REWIND_MS: 250,             // Targets are never rewound further than this
+        HISTORY_MS: 500,                // Position history kept per entity
+    },
+
     // Combat
     COMBAT: {
         ATTACK_POWER: 10,
         ATTACK_RANGE: 150,
-        ATTACK_COOLDOWN_MS: 500,
+        ATTACK_COOLDOWN_MS: 500,        // Also the server's attack rate limit
         HIT_RADIUS: 67.5,               // Half of character size for collision
+        ASSIST_WINDOW_MS: 10000,        // Damage this recent before a death earns an assist
+        KILL_EXPERIENCE: 5,             // Experience for the killer
+        ASSIST_EXPERIENCE: 2,           // Experience for each assisting player
+        COOLDOWN_TOLERANCE_MS: 100,     // Skill casts accepted this early (network jitter)
     },
 
     // Knockback
     KNOCKBACK: {
         MIN_DISTANCE: 30,
         MAX_DISTANCE: 100,
+        DURATION_MS: 200,               // No damage while being knocked back
         MULTIPLIER_MIN: 1.25,
         MULTIPLIER_MAX: 2.5,
         BOUNDARY_MARGIN: 50,
@@ -40,6 +126,7 @@ const SERVER_CONFIG = {
 
     // Skill - Laser (Q)
     SKILL_LASER: {
+        AIM_DURATION_MS: 1000,          // Windup before the beam fires
         DAMAGE: 44,
         MAX_LENGTH: 2000,
         COOLDOWN_MS: 10000,
@@ -47,6 +134,7 @@ const SERVER_CONFIG = {
 
     // Skill - Teleport (W)
     SKILL_TELEPORT: {
+        DISAPPEAR_DURATION_MS: 150,     // Windup before arriving and dealing damage
         MAX_DISTANCE: 400,
         MIN_DISTANCE: 200,
         DAMAGE_RADIUS: 100,
@@ -60,6 +148,7 @@ const SERVER_CONFIG = {
         DAMAGE_PER_TICK: 2,
         MAX_HEAL_PER_TICK: 4,
         DURATION_MS: 3000,
+        TICK_INTERVAL_MS: 100,          // Channel damage/heal tick
         COOLDOWN_MS: 15000,
     },
 
@@ -71,6 +160,7 @@ const SERVER_CONFIG = {
         COLLECT_DISTANCE: 100,
         RESPAWN_MIN_MS: 3000,
         RESPAWN_VARIANCE_MS: 2000,
+        EXPERIENCE: 1,                  // Experience granted per shard
     },
 
     // Dummy
@@ -91,68 +181,86 @@ const SERVER_CONFIG = {
 
     // Rate limiting (in milliseconds)
     RATE_LIMIT: {
-        MOVE_MS: 50,                    // 50ms = 초당 20회
-        ATTACK_MS: 500,                 // 기본 공격 쿨다운과 동일
+        MOVE_MS: 25,                    // 클라이언트는 초당 20회 전송, 지터 여유분 확보 (이동량은 시간 예산으로 제한)
+        CAST_MS: 100,                   // 스킬 시전은 초당 10회 (Q/W/E 연속 사용 허용, 쿨다운은 스킬별로 검사)
         CHAT_MS: 1000,                  // 초당 1회
+        RESYNC_MS: 1000,                // 전체 상태 재동기화 요청은 초당 1회
     },
 };
 
 // Computed values
-SERVER_CONFIG.PLAYER.MAX_MOVE_DISTANCE_PER_TICK =
-    SERVER_CONFIG.PLAYER.SPEED * SERVER_CONFIG.PLAYER.SPEED_TOLERANCE * 0.1;
+SERVER_CONFIG.TICK.INTERVAL_MS = 1000 / SERVER_CONFIG.TICK.RATE_HZ;
+
+/**
+ * Gameplay numbers the client builds its player, dummies and skills from
+ * (sent as gameConfig on connect; visuals stay in src/config.js and
+ * character kits in the shared src/characters.js)
+ * @returns {Object} gameConfig payload
+ */
+function buildClientConfig() {
+    const { PLAYER, CHARACTERS, LEVEL, COMBAT, KNOCKBACK, SKILL_LASER, SKILL_TELEPORT, SKILL_TELEPATHY, DUMMY } = SERVER_CONFIG;
+
+    return {
+        CHARACTERS: Object.fromEntries(Object.entries(CHARACTERS).map(([id, stats]) => [id, { ...stats }])),
+        PLAYER: {
+            MAX_LEVEL: LEVEL.MAX_LEVEL,
+            INVINCIBILITY_MS: PLAYER.INVINCIBILITY_MS,
+            RESPAWN_DELAY_MS: PLAYER.RESPAWN_DELAY_MS,
+        },
+        COMBAT: {
+            ATTACK_POWER: COMBAT.ATTACK_POWER,
+            ATTACK_RANGE: COMBAT.ATTACK_RANGE,
+            ATTACK_COOLDOWN_MS: COMBAT.ATTACK_COOLDOWN_MS,
+        },
+        KNOCKBACK: {
+            MIN_DISTANCE: KNOCKBACK.MIN_DISTANCE,
+            MAX_DISTANCE: KNOCKBACK.MAX_DISTANCE,
+            DURATION_MS: KNOCKBACK.DURATION_MS,
+            BOUNDARY_MARGIN: KNOCKBACK.BOUNDARY_MARGIN,
+        },
+        SKILL_LASER: {
+            COOLDOWN_MS: SKILL_LASER.COOLDOWN_MS,
+            AIM_DURATION_MS: SKILL_LASER.AIM_DURATION_MS,
+            MAX_LENGTH: SKILL_LASER.MAX_LENGTH,
+        },
+        SKILL_TELEPORT: {
+            COOLDOWN_MS: SKILL_TELEPORT.COOLDOWN_MS,
+            DISAPPEAR_DURATION_MS: SKILL_TELEPORT.DISAPPEAR_DURATION_MS,
+            MIN_DISTANCE: SKILL_TELEPORT.MIN_DISTANCE,
+            MAX_DISTANCE: SKILL_TELEPORT.MAX_DISTANCE,
+            DAMAGE_RADIUS: SKILL_TELEPORT.DAMAGE_RADIUS,
+        },
+        SKILL_TELEPATHY: {
+            COOLDOWN_MS: SKILL_TELEPATHY.COOLDOWN_MS,
+            DURATION_MS: SKILL_TELEPATHY.DURATION_MS,
+            RADIUS: SKILL_TELEPATHY.RADIUS,
+        },
+        DUMMY: {
+            MAX_HP: DUMMY.MAX_HP,
+            RESPAWN_DELAY_MS: DUMMY.RESPAWN_DELAY_MS,
+            POSITIONS: DUMMY.POSITIONS,
+        },
+    };
+}
 
 // Legacy constants for backward compatibility
+// (balance values are not copied here: read them from SERVER_CONFIG so reloads apply)
 const GAME_WIDTH = SERVER_CONFIG.WORLD.WIDTH;
 const GAME_HEIGHT = SERVER_CONFIG.WORLD.HEIGHT;
-const PLAYER_SPEED = SERVER_CONFIG.PLAYER.SPEED;
-const PLAYER_SPEED_TOLERANCE = SERVER_CONFIG.PLAYER.SPEED_TOLERANCE;
-const ATTACK_POWER = SERVER_CONFIG.COMBAT.ATTACK_POWER;
-const ATTACK_RANGE = SERVER_CONFIG.COMBAT.ATTACK_RANGE;
-const TELEPORT_MAX_DISTANCE = SERVER_CONFIG.SKILL_TELEPORT.MAX_DISTANCE;
-const TELEPORT_DAMAGE_RADIUS = SERVER_CONFIG.SKILL_TELEPORT.DAMAGE_RADIUS;
-const TELEPORT_DAMAGE = SERVER_CONFIG.SKILL_TELEPORT.DAMAGE;
-const LASER_DAMAGE = SERVER_CONFIG.SKILL_LASER.DAMAGE;
-const LASER_MAX_LENGTH = SERVER_CONFIG.SKILL_LASER.MAX_LENGTH;
-const TELEPATHY_RADIUS = SERVER_CONFIG.SKILL_TELEPATHY.RADIUS;
-const TELEPATHY_DAMAGE_PER_TICK = SERVER_CONFIG.SKILL_TELEPATHY.DAMAGE_PER_TICK;
-const TELEPATHY_MAX_HEAL_PER_TICK = SERVER_CONFIG.SKILL_TELEPATHY.MAX_HEAL_PER_TICK;
-const SHARD_COLLECT_DISTANCE = SERVER_CONFIG.SHARD.COLLECT_DISTANCE;
 const CHAT_MAX_MESSAGE_LENGTH = SERVER_CONFIG.CHAT.MAX_MESSAGE_LENGTH;
 const RATE_LIMIT_MOVE = SERVER_CONFIG.RATE_LIMIT.MOVE_MS;
-const RATE_LIMIT_ATTACK = SERVER_CONFIG.RATE_LIMIT.ATTACK_MS;
+const RATE_LIMIT_CAST = SERVER_CONFIG.RATE_LIMIT.CAST_MS;
 const RATE_LIMIT_CHAT = SERVER_CONFIG.RATE_LIMIT.CHAT_MS;
-const KNOCKBACK_MIN = SERVER_CONFIG.KNOCKBACK.MIN_DISTANCE;
-const KNOCKBACK_MAX = SERVER_CONFIG.KNOCKBACK.MAX_DISTANCE;
-const KNOCKBACK_MULTIPLIER_MIN = SERVER_CONFIG.KNOCKBACK.MULTIPLIER_MIN;
-const KNOCKBACK_MULTIPLIER_MAX = SERVER_CONFIG.KNOCKBACK.MULTIPLIER_MAX;
-const PLAYER_RESPAWN_DELAY = SERVER_CONFIG.PLAYER.RESPAWN_DELAY_MS;
-const DUMMY_RESPAWN_DELAY = SERVER_CONFIG.DUMMY.RESPAWN_DELAY_MS;
+const RATE_LIMIT_RESYNC = SERVER_CONFIG.RATE_LIMIT.RESYNC_MS;
 
 module.exports = {
     SERVER_CONFIG,
+    buildClientConfig,
     GAME_WIDTH,
     GAME_HEIGHT,
-    PLAYER_SPEED,
-    PLAYER_SPEED_TOLERANCE,
-    ATTACK_POWER,
-    ATTACK_RANGE,
-    TELEPORT_MAX_DISTANCE,
-    TELEPORT_DAMAGE_RADIUS,
-    TELEPORT_DAMAGE,
-    LASER_DAMAGE,
-    LASER_MAX_LENGTH,
-    TELEPATHY_RADIUS,
-    TELEPATHY_DAMAGE_PER_TICK,
-    TELEPATHY_MAX_HEAL_PER_TICK,
-    SHARD_COLLECT_DISTANCE,
     CHAT_MAX_MESSAGE_LENGTH,
     RATE_LIMIT_MOVE,
-    RATE_LIMIT_ATTACK,
+    RATE_LIMIT_CAST,
     RATE_LIMIT_CHAT,
-    KNOCKBACK_MIN,
-    KNOCKBACK_MAX,
-    KNOCKBACK_MULTIPLIER_MIN,
-    KNOCKBACK_MULTIPLIER_MAX,
-    PLAYER_RESPAWN_DELAY,
-    DUMMY_RESPAWN_DELAY,
+    RATE_LIMIT_RESYNC,
 };
@@ -1,25 +1,22 @@
 // ========================================
 // GAME STATE MANAGEMENT
 // ========================================
+const crypto = require('crypto');
 const logger = require('../logger');
+const { SERVER_CONFIG } = require('./config');
 const {
-    SERVER_CONFIG,
-    GAME_WIDTH,
-    GAME_HEIGHT,
-    PLAYER_RESPAWN_DELAY,
-    DUMMY_RESPAWN_DELAY,
-} = require('./config');
-
-// Store connected players
-const players = new Map();
-
-// Shard system
-const MAX_SHARDS = SERVER_CONFIG.SHARD.MAX_COUNT;
-const shards = new Map(); // Map of shardId -> {id, x, y, collected, collectedTime, respawnDelay}
-let shardIdCounter = 0;
-
-// Dummy system (server-authoritative)
-const dummies = new Map(); // Map of dummyId -> {id, x, y, name, currentHP, maxHP, deathTime, respawnDelay}
+    Room,
+    ROOM_MODES,
+    areAllies,
+    getRewindTime,
+    applyMovementInput,
+} = require('./room');
+
+// Active rooms and which room each player is in
+// (a player ID is the socket ID the player first connected with; see RESUMABLE SESSIONS)
+const rooms = new Map(); // Map of roomId -> Room
+const playerRooms = new Map(); // Map of playerId -> roomId
+let roomIdCounter = 0;
 
 // ========================================
 // RATE LIMITING SYSTEM
@@ -62,164 +59,230 @@ function cleanupRateLimiter(socketId) {
 }
 
 // ========================================
-// INITIALIZATION FUNCTIONS
+// ROOMS
 // ========================================
 
-function initializeDummies() {
-    const dummyConfig = SERVER_CONFIG.DUMMY;
-    const dummyPositions = dummyConfig.POSITIONS.map(pos => ({
-        x: GAME_WIDTH / 2 + pos.offsetX,
-        y: GAME_HEIGHT / 2 + pos.offsetY,
-        name: pos.name
-    }));
-
-    dummyPositions.forEach((pos, index) => {
-        dummies.set(index, {
-            id: index,
-            x: pos.x,
-            y: pos.y,
-            initialX: pos.x,
-            initialY: pos.y,
-            name: pos.name,
-            currentHP: dummyConfig.MAX_HP,
-            maxHP: dummyConfig.MAX_HP,
-            deathTime: 0,
-            respawnDelay: dummyConfig.RESPAWN_DELAY_MS
-        });
-    });
-
-    logger.info(`Initialized ${dummies.size} dummies`);
+/**
+ * Create a room and start its simulation loop
+ * @param {Object} io - socket.io server
+ * @param {string} mode - 'match' or 'training'
+ * @returns {Room}
+ */
+function createRoom(io, mode) {
+    const room = new Room(io, `${mode}-${++roomIdCounter}`, mode);
+    rooms.set(room.id, room);
+    room.start();
+    return room;
+}
+
+/**
+ * Find a room with space for one more player, creating one if needed
+ * (match rooms fill up one at a time; there is a single training room)
+ * @param {Object} io - socket.io server
+ * @param {string} mode - 'match' or 'training'
+ * @returns {Room}
+ */
+function findOrCreateRoom(io, mode) {
+    for (const room of rooms.values()) {
+        if (room.mode === mode && room.canJoin()) {
+            return room;
+        }
+    }
+    return createRoom(io, mode);
+}
+
+/**
+ * Put a socket's player into a room: socket.io room membership, a player record
+ * and a session token the client can resume with after a disconnect
+ * @param {Object} socket - Socket of the joining client
+ * @param {Object} io - socket.io server
+ * @param {string} mode - 'match' or 'training'
+ * @param {string} character - Validated character ID
+ * @param {string} playerName - Validated name from the joinGame handshake
+ * @returns {{room: Room, player: Object, sessionToken: string}}
+ */
+function joinRoom(socket, io, mode, character, playerName) {
+    const playerId = socket.data.playerId;
+    const room = findOrCreateRoom(io, mode);
+    socket.join(room.id);
+    playerRooms.set(playerId, room.id);
+
+    const player = room.addPlayer(playerId, character, playerName);
+    const sessionToken = createSession(playerId, socket.id);
+    return { room, player, sessionToken };
 }
 
-function initializeShards() {
-    const shardConfig = SERVER_CONFIG.SHARD;
-    const margin = shardConfig.SPAWN_MARGIN;
-    for (let i = 0; i < shardConfig.INITIAL_COUNT; i++) {
-        const x = margin + Math.random() * (GAME_WIDTH - margin * 2);
-        const y = margin + Math.random() * (GAME_HEIGHT - margin * 2);
-        const shardId = shardIdCounter++;
-        shards.set(shardId, {
-            id: shardId,
-            x,
-            y,
-            collected: false,
-            collectedTime: 0,
-            respawnDelay: 0
-        });
+/**
+ * Take a player out of their room; empty rooms are stopped and discarded
+ * @param {string} playerId - Player ID
+ * @returns {Room|null} The room the player was in
+ */
+function removeFromRoom(playerId) {
+    const room = getPlayerRoom(playerId);
+    if (!room) return null;
+
+    room.removePlayer(playerId);
+    playerRooms.delete(playerId);
+
+    if (room.players.size === 0) {
+        room.stop();
+        rooms.delete(room.id);
     }
-    logger.info(`Initialized ${shards.size} shards`);
+
+    return room;
+}
+
+/**
+ * Leave the room on purpose (back to the lobby): no reconnect grace period
+ * @param {Object} socket - Socket of the leaving client
+ * @returns {Room|null} The room the player was in
+ */
+function leaveRoom(socket) {
+    const playerId = socket.data.playerId;
+    endSession(playerId);
+
+    const room = removeFromRoom(playerId);
+    if (room) socket.leave(room.id);
+    return room;
+}
+
+/**
+ * Get the room a player has joined
+ * @param {string} playerId - Player ID
+ * @returns {Room|null}
+ */
+function getPlayerRoom(playerId) {
+    const roomId = playerRooms.get(playerId);
+    return roomId !== undefined ? rooms.get(roomId) || null : null;
 }
 
 // ========================================
-// RESPAWN FUNCTIONS
+// RESUMABLE SESSIONS
 // ========================================
 
-function checkDummyRespawn(io) {
-    const currentTime = Date.now();
-
-    dummies.forEach((dummy) => {
-        if (dummy.currentHP <= 0 && dummy.deathTime > 0) {
-            const elapsedTime = currentTime - dummy.deathTime;
-
-            if (elapsedTime >= dummy.respawnDelay) {
-                // Respawn dummy
-                dummy.currentHP = dummy.maxHP;
-                dummy.x = dummy.initialX;
-                dummy.y = dummy.initialY;
-                dummy.deathTime = 0;
-
-                logger.debug(`${dummy.name} respawned`);
-
-                // Broadcast respawn to all clients
-                io.emit('dummyRespawned', {
-                    dummyId: dummy.id,
-                    x: dummy.x,
-                    y: dummy.y,
-                    currentHP: dummy.currentHP,
-                    maxHP: dummy.maxHP
-                });
-            }
-        }
-    });
+// A disconnected player stays in their room for RECONNECT_GRACE_MS; a client
+// presenting the token from roomJoined within that window gets the player back
+const sessions = new Map(); // Map of token -> {token, playerId, socketId, expiryTimer}
+const playerSessions = new Map(); // Map of playerId -> session
+
+function createSession(playerId, socketId) {
+    const session = {
+        token: crypto.randomBytes(SERVER_CONFIG.SESSION.TOKEN_BYTES).toString('hex'),
+        playerId,
+        socketId,       // Connection currently playing this player
+        expiryTimer: null // Set while the player is disconnected
+    };
+    sessions.set(session.token, session);
+    playerSessions.set(playerId, session);
+    return session.token;
 }
 
-function checkPlayerRespawn(io) {
-    const currentTime = Date.now();
-
-    players.forEach((player, playerId) => {
-        if (player.isDead && player.deathTime > 0) {
-            const elapsedTime = currentTime - player.deathTime;
-
-            if (elapsedTime >= PLAYER_RESPAWN_DELAY) {
-                // Respawn player
-                player.currentHP = player.maxHP;
-                player.x = 960; // Center of game world
-                player.y = 540;
-                player.deathTime = 0;
-                player.isDead = false;
-
-                logger.debug(`Player ${playerId} respawned`);
-
-                // Broadcast respawn to all clients
-                io.emit('playerRespawned', {
-                    playerId: playerId,
-                    x: player.x,
-                    y: player.y,
-                    currentHP: player.currentHP,
-                    maxHP: player.maxHP
-                });
-            }
-        }
-    });
+function endSession(playerId) {
+    const session = playerSessions.get(playerId);
+    if (!session) return;
+
+    clearTimeout(session.expiryTimer);
+    sessions.delete(session.token);
+    playerSessions.delete(playerId);
 }
 
-function checkShardRespawn(io) {
-    const currentTime = Date.now();
-    let respawnedCount = 0;
-
-    // Check each collected shard for individual respawn
-    shards.forEach((shard) => {
-        if (shard.collected && shard.collectedTime > 0) {
-            const elapsedTime = currentTime - shard.collectedTime;
-
-            // Check if it's time to respawn this shard
-            if (elapsedTime >= shard.respawnDelay) {
-                // Respawn at same location
-                shard.collected = false;
-                shard.collectedTime = 0;
-                shard.respawnDelay = 0;
-                respawnedCount++;
-
-                // Broadcast respawned shard to all clients
-                io.emit('shardsSpawned', [{ id: shard.id, x: shard.x, y: shard.y }]);
-            }
-        }
-    });
+/**
+ * Keep a disconnected socket's player in their room for the grace period
+ * @param {Object} socket - Socket that disconnected
+ * @returns {Room|null} The room the player is held in (null if there was nothing to hold)
+ */
+function holdPlayer(socket) {
+    const playerId = socket.data.playerId;
+    const session = playerSessions.get(playerId);
+    // Not in a room, or the player was already resumed on a newer connection
+    if (!session || session.socketId !== socket.id) return null;
+
+    const room = getPlayerRoom(playerId);
+    if (!room) return null;
+
+    room.clearQueuedInputs(playerId);
+    session.expiryTimer = setTimeout(() => {
+        endSession(playerId);
+        const expiredRoom = removeFromRoom(playerId);
+        if (!expiredRoom) return;
+
+        logger.info(`Session of ${playerId} expired, removed from ${expiredRoom.id}`);
+        expiredRoom.emit('playerLeft', { playerId });
+    }, SERVER_CONFIG.SESSION.RECONNECT_GRACE_MS);
+
+    return room;
+}
 
-    if (respawnedCount > 0) {
-        const activeCount = Array.from(shards.values()).filter(s => !s.collected).length;
-        logger.debug(`Respawned ${respawnedCount} shard(s) (Active: ${activeCount}/${MAX_SHARDS})`);
+/**
+ * Give a held (or still connected) player back to a new socket
+ * The token is rotated, so each token resumes at most once
+ * @param {Object} socket - Socket of the reconnecting client
+ * @param {Object} io - socket.io server
+ * @param {string} token - Session token from the previous roomJoined
+ * @returns {{room: Room, player: Object, sessionToken: string}|null} null if the token is unknown or expired
+ */
+function resumeSession(socket, io, token) {
+    const session = typeof token === 'string' ? sessions.get(token) : undefined;
+    if (!session) return null;
+
+    const playerId = session.playerId;
+    const room = getPlayerRoom(playerId);
+    const player = room ? room.players.get(playerId) : null;
+    if (!player) {
+        endSession(playerId);
+        return null;
     }
+
+    const previousSocketId = session.socketId;
+    clearTimeout(session.expiryTimer);
+    session.expiryTimer = null;
+    session.socketId = socket.id;
+
+    sessions.delete(session.token);
+    session.token = crypto.randomBytes(SERVER_CONFIG.SESSION.TOKEN_BYTES).toString('hex');
+    sessions.set(session.token, session);
+
+    // The old connection may not have noticed it is gone yet
+    const previousSocket = io.sockets.sockets.get(previousSocketId);
+    if (previousSocket) previousSocket.disconnect(true);
+
+    socket.data.playerId = playerId;
+    socket.join(room.id);
+    socket.join(playerId); // Private events are sent to the player ID
+
+    player.lastInputSeq = 0; // The new client may number its inputs from scratch
+    room.markScoreboardDirty();
+
+    logger.info(`${playerId} resumed in ${room.id} (socket ${socket.id})`);
+    return { room, player, sessionToken: session.token };
 }
 
-// Start respawn timers
-function startRespawnTimers(io) {
-    setInterval(() => checkShardRespawn(io), 1000); // Check every second
-    setInterval(() => checkDummyRespawn(io), 1000); // Check dummy respawn every second
-    setInterval(() => checkPlayerRespawn(io), 500); // Check player respawn more frequently
+// Stop every room's simulation loop (server shutdown)
+function stopAllRooms() {
+    rooms.forEach(room => room.stop());
+    rooms.clear();
+    playerRooms.clear();
+    sessions.forEach(session => clearTimeout(session.expiryTimer));
+    sessions.clear();
+    playerSessions.clear();
+    logger.info('All rooms stopped');
 }
 
 module.exports = {
-    players,
-    shards,
-    dummies,
+    rooms,
+    ROOM_MODES,
     rateLimiter,
     rateLimit,
     cleanupRateLimiter,
-    initializeDummies,
-    initializeShards,
-    checkDummyRespawn,
-    checkPlayerRespawn,
-    checkShardRespawn,
-    startRespawnTimers,
+    createRoom,
+    findOrCreateRoom,
+    joinRoom,
+    leaveRoom,
+    getPlayerRoom,
+    holdPlayer,
+    resumeSession,
+    stopAllRooms,
+    areAllies,
+    getRewindTime,
+    applyMovementInput,
 };
@@ -7,8 +7,8 @@ const {
     RATE_LIMIT_CHAT,
 } = require('../config');
 const {
-    players,
     rateLimit,
+    getPlayerRoom,
 } = require('../gameState');
 
 function registerChatHandlers(socket, io) {
@@ -16,13 +16,13 @@ function registerChatHandlers(socket, io) {
     socket.on('chatMessage', (data) => {
         // 1. Rate limiting (1 message per second) - check first to avoid unnecessary processing
         if (!rateLimit(socket.id, 'chat', RATE_LIMIT_CHAT)) {
-            logger.debug(`Chat rate limit exceeded by ${socket.id}`);
+            logger.debug(`Chat rate limit exceeded by ${socket.data.playerId}`);
             return;
         }
 
         // 2. Type validation
         if (!data || typeof data.message !== 'string') {
-            logger.debug(`Chat invalid message type from ${socket.id}`);
+            logger.debug(`Chat invalid message type from ${socket.data.playerId}`);
             return;
         }
 
@@ -34,13 +34,17 @@ function registerChatHandlers(socket, io) {
 
         // 4. Length limit (max 200 characters)
         if (trimmedMessage.length > CHAT_MAX_MESSAGE_LENGTH) {
-            logger.debug(`Chat message too long from ${socket.id}: ${trimmedMessage.length} chars`);
+            logger.debug(`Chat message too long from ${socket.data.playerId}: ${trimmedMessage.length} chars`);
             return;
         }
 
-        const playerData = players.get(socket.id);
+        // Chat stays within the sender's room
+        const room = getPlayerRoom(socket.data.playerId);
+        if (!room) return;
+
+        const playerData = room.players.get(socket.data.playerId);
         const message = {
-            playerId: socket.id,
+            playerId: socket.data.playerId,
             playerName: playerData ? playerData.playerName : 'Unknown',
             message: trimmedMessage,
             timestamp: Date.now()
@@ -48,8 +52,8 @@ function registerChatHandlers(socket, io) {
 
         logger.debug(`Chat from ${message.playerName}: ${message.message}`);
 
-        // Broadcast to all players (including sender)
-        io.emit('chatMessage', message);
+        // Broadcast to all players in the room (including sender)
+        room.emit('chatMessage', message);
     });
 }
 
@@ -4,42 +4,50 @@
 const logger = require('../../logger');
 const {
     SERVER_CONFIG,
-    ATTACK_POWER,
-    ATTACK_RANGE,
-    TELEPORT_MAX_DISTANCE,
-    TELEPORT_DAMAGE_RADIUS,
-    TELEPORT_DAMAGE,
-    LASER_DAMAGE,
-    LASER_MAX_LENGTH,
-    TELEPATHY_RADIUS,
-    TELEPATHY_DAMAGE_PER_TICK,
-    TELEPATHY_MAX_HEAL_PER_TICK,
-    RATE_LIMIT_ATTACK,
-    PLAYER_RESPAWN_DELAY,
+    RATE_LIMIT_CAST,
 } = require('../config');
 const {
     isValidNumber,
-    clampCoordinates,
-    calculateDistance,
     calculateKnockbackDistance,
     calculateKnockbackEndPosition,
-    lineCircleIntersect,
 } = require('../validation');
 const {
-    players,
-    dummies,
     rateLimit,
+    getPlayerRoom,
+    areAllies,
+    getRewindTime,
 } = require('../gameState');
+const {
+    SKILLS,
+    getRemainingCooldown,
+    getCastRejection,
+    getCastParams,
+    startCast,
+} = require('../skills');
+const { CharacterRegistry } = require('../../src/characters');
 
 function registerCombatHandlers(socket, io) {
     // Handle player attack
     socket.on('playerAttack', (data) => {
-        // === RATE LIMITING ===
-        if (!rateLimit(socket.id, 'attack', RATE_LIMIT_ATTACK)) {
+        // === RATE LIMITING === (the attack cooldown, read on every attack so balance reloads apply)
+        if (!rateLimit(socket.id, 'attack', SERVER_CONFIG.COMBAT.ATTACK_COOLDOWN_MS)) {
             return; // Attack on cooldown, silently ignore
         }
 
-        const attacker = players.get(socket.id);
+        const room = getPlayerRoom(socket.data.playerId);
+        if (!room) return;
+
+        // === INPUT VALIDATION ===
+        if (!data || typeof data !== 'object' || !isValidNumber(data.viewTime)) {
+            logger.cheat(`Invalid attack data from ${socket.data.playerId}`);
+            return;
+        }
+
+        room.queueInput(socket.data.playerId, 'action', () => applyAttack(room, data));
+    });
+
+    function applyAttack(room, data) {
+        const attacker = room.players.get(socket.data.playerId);
         if (!attacker) return;
 
         // Dead players cannot attack
@@ -50,21 +58,27 @@ function registerCombatHandlers(socket, io) {
         const attackX = attacker.x;
         const attackY = attacker.y;
 
-        // IGNORE client range/power values - use server constants (anti-cheat)
-        const attackRange = ATTACK_RANGE;
-        const attackPower = ATTACK_POWER;
+        // IGNORE client range/power values - use server values (anti-cheat)
+        // The character's attack type stretches or shrinks the shared range and power
+        const attackType = CharacterRegistry.getAttackType(attacker.character);
+        const attackRange = SERVER_CONFIG.COMBAT.ATTACK_RANGE * attackType.range;
+        const attackPower = Math.round(attacker.attackPower * attackType.power); // Scales with level
+
+        // Check targets where the attacker saw them (lag compensation, capped rewind)
+        const rewindTime = getRewindTime(data.viewTime);
 
         // Log if client sent suspicious values
-        if (data.range && data.range > ATTACK_RANGE * 1.1) {
-            logger.cheat(`Suspicious attack range from ${socket.id}: ${data.range} (server: ${ATTACK_RANGE})`);
+        if (data.range && data.range > attackRange * 1.1) {
+            logger.cheat(`Suspicious attack range from ${socket.data.playerId}: ${data.range} (server: ${attackRange})`);
         }
-        if (data.power && data.power > ATTACK_POWER * 1.1) {
-            logger.cheat(`Suspicious attack power from ${socket.id}: ${data.power} (server: ${ATTACK_POWER})`);
+        const basePower = Math.round(SERVER_CONFIG.COMBAT.ATTACK_POWER * attackType.power);
+        if (data.power && data.power > basePower * 1.1) {
+            logger.cheat(`Suspicious attack power from ${socket.data.playerId}: ${data.power} (server: ${basePower})`);
         }
 
         // Broadcast attack to all other players (for visual effect)
-        socket.broadcast.emit('playerAttacked', {
-            playerId: socket.id,
+        socket.to(room.id).emit('playerAttacked', {
+            playerId: socket.data.playerId,
             x: attackX,
             y: attackY,
             range: attackRange
@@ -72,28 +86,28 @@ function registerCombatHandlers(socket, io) {
 
         // Check all players in range
         const hitPlayers = [];
-        const killedPlayers = [];
-        players.forEach((player, playerId) => {
-            if (playerId === socket.id) return; // Don't hit yourself
-            if (player.isDead) return; // Skip dead players
+        room.players.forEach((player, playerId) => {
+            if (playerId === socket.data.playerId) return; // Don't hit yourself
+            if (areAllies(attacker, player)) return; // No friendly fire
+            if (player.isDead || player.currentHP <= 0) return; // Skip dead (or dying this tick) players
 
             // Calculate distance from attacker position
-            const dx = player.x - attackX;
-            const dy = player.y - attackY;
+            const target = room.getRewoundPosition('player', playerId, player, rewindTime);
+            const dx = target.x - attackX;
+            const dy = target.y - attackY;
             const distance = Math.sqrt(dx * dx + dy * dy);
 
             // Check if in range (server-authoritative range)
             if (distance <= attackRange) {
-                // Apply damage (server-authoritative power)
-                player.currentHP = Math.max(0, player.currentHP - attackPower);
+                // Apply damage (server-authoritative power, skipped during hit immunity)
+                if (!room.damagePlayer(player, socket.data.playerId, attackPower, 'attack')) return;
 
                 // Calculate knockback
                 const knockbackDist = calculateKnockbackDistance(attackRange, distance);
                 const knockbackEnd = calculateKnockbackEndPosition(attackX, attackY, player.x, player.y, knockbackDist);
 
                 // Update player position to knockback end (server-authoritative)
-                player.x = knockbackEnd.x;
-                player.y = knockbackEnd.y;
+                room.knockbackPlayer(player, knockbackEnd.x, knockbackEnd.y);
 
                 hitPlayers.push({
                     playerId: playerId,
@@ -102,66 +116,44 @@ function registerCombatHandlers(socket, io) {
                     knockbackEndX: knockbackEnd.x,
                     knockbackEndY: knockbackEnd.y,
                     attackerX: attackX,
-                    attackerY: attackY
+                    attackerY: attackY,
+                    lastInputSeq: player.lastInputSeq || 0 // Movement inputs applied before this hit
                 });
 
-                logger.debug(`${socket.id} hit ${playerId} for ${attackPower} damage (HP: ${player.currentHP}/${player.maxHP}), knockback to (${knockbackEnd.x.toFixed(1)}, ${knockbackEnd.y.toFixed(1)})`);
-
-                // Check if player died
-                if (player.currentHP <= 0 && !player.isDead) {
-                    player.isDead = true;
-                    player.deathTime = Date.now();
-                    killedPlayers.push({
-                        playerId: playerId,
-                        killedBy: socket.id,
-                        respawnDelay: PLAYER_RESPAWN_DELAY
-                    });
-                    logger.info(`${playerId} has been killed by ${socket.id}!`);
-                }
+                logger.debug(`${socket.data.playerId} hit ${playerId} for ${attackPower} damage (HP: ${player.currentHP}/${player.maxHP}), knockback to (${knockbackEnd.x.toFixed(1)}, ${knockbackEnd.y.toFixed(1)})`);
             }
         });
 
-        // Broadcast damage to all players
+        // Broadcast damage to all players in the room
         if (hitPlayers.length > 0) {
-            io.emit('playerDamaged', {
-                attackerId: socket.id,
+            room.emit('playerDamaged', {
+                attackerId: socket.data.playerId,
                 hitPlayers: hitPlayers
             });
         }
 
-        // Broadcast deaths to all players
-        if (killedPlayers.length > 0) {
-            killedPlayers.forEach(killed => {
-                io.emit('playerDied', {
-                    playerId: killed.playerId,
-                    killedBy: killed.killedBy,
-                    respawnDelay: killed.respawnDelay
-                });
-            });
-        }
-
         // Check all dummies in range
         const hitDummies = [];
-        dummies.forEach((dummy) => {
+        room.dummies.forEach((dummy) => {
             if (dummy.currentHP <= 0) return; // Skip dead dummies
 
             // Calculate distance
-            const dx = dummy.x - attackX;
-            const dy = dummy.y - attackY;
+            const target = room.getRewoundPosition('dummy', dummy.id, dummy, rewindTime);
+            const dx = target.x - attackX;
+            const dy = target.y - attackY;
             const distance = Math.sqrt(dx * dx + dy * dy);
 
-            // Check if in range (consider dummy size ~135px, half = 67.5)
-            if (distance <= attackRange + 67.5) {
-                // Apply damage
-                dummy.currentHP = Math.max(0, dummy.currentHP - attackPower);
+            // Check if in range (dummies are hit anywhere within their hit radius, like skills do)
+            if (distance <= attackRange + SERVER_CONFIG.COMBAT.HIT_RADIUS) {
+                // Apply damage (skipped during hit immunity)
+                if (!room.damageDummy(dummy, attackPower, 'attack')) return;
 
                 // Calculate knockback
                 const knockbackDist = calculateKnockbackDistance(attackRange, distance);
                 const knockbackEnd = calculateKnockbackEndPosition(attackX, attackY, dummy.x, dummy.y, knockbackDist);
 
                 // Update dummy position to knockback end (server-authoritative)
-                dummy.x = knockbackEnd.x;
-                dummy.y = knockbackEnd.y;
+                room.knockbackDummy(dummy, knockbackEnd.x, knockbackEnd.y);
 
                 hitDummies.push({
                     dummyId: dummy.id,
@@ -173,518 +165,71 @@ function registerCombatHandlers(socket, io) {
                     attackerY: attackY
                 });
 
-                logger.debug(`${socket.id} hit ${dummy.name} for ${attackPower} damage (HP: ${dummy.currentHP}/${dummy.maxHP}), knockback to (${knockbackEnd.x.toFixed(1)}, ${knockbackEnd.y.toFixed(1)})`);
-
-                // Mark death time if killed
-                if (dummy.currentHP <= 0) {
-                    dummy.deathTime = Date.now();
-                    logger.debug(`${dummy.name} has been defeated!`);
-                }
+                logger.debug(`${socket.data.playerId} hit ${dummy.name} for ${attackPower} damage (HP: ${dummy.currentHP}/${dummy.maxHP}), knockback to (${knockbackEnd.x.toFixed(1)}, ${knockbackEnd.y.toFixed(1)})`);
             }
         });
 
-        // Broadcast dummy damage to all players
+        // Broadcast dummy damage to all players in the room
         if (hitDummies.length > 0) {
-            io.emit('dummyDamaged', {
-                attackerId: socket.id,
+            room.emit('dummyDamaged', {
+                attackerId: socket.data.playerId,
                 hitDummies: hitDummies
             });
         }
-    });
-
-    // Handle teleport (sync with other players)
-    socket.on('teleport', (data) => {
-        const player = players.get(socket.id);
-        if (!player) return;
-
-        // Dead players cannot teleport
-        if (player.isDead) return;
-
-        // === INPUT VALIDATION ===
-        // Validate coordinate types
-        if (!isValidNumber(data.startX) || !isValidNumber(data.startY) ||
-            !isValidNumber(data.endX) || !isValidNumber(data.endY)) {
-            logger.cheat(`Invalid teleport coordinates from ${socket.id}`);
-            return;
-        }
-
-        // Use server-side start position (prevent start position spoofing)
-        const startX = player.x;
-        const startY = player.y;
-
-        // Validate end position
-        let endX = data.endX;
-        let endY = data.endY;
-
-        // Check teleport distance (anti-cheat: limit max teleport distance)
-        const teleportDistance = calculateDistance(startX, startY, endX, endY);
-        if (teleportDistance > TELEPORT_MAX_DISTANCE * 1.2) { // Allow 20% tolerance
-            logger.cheat(`Teleport distance exceeded from ${socket.id}: ${teleportDistance.toFixed(1)}px (max: ${TELEPORT_MAX_DISTANCE}px)`);
-            // Clamp to max distance
-            const angle = Math.atan2(endY - startY, endX - startX);
-            endX = startX + Math.cos(angle) * TELEPORT_MAX_DISTANCE;
-            endY = startY + Math.sin(angle) * TELEPORT_MAX_DISTANCE;
-        }
-
-        // Clamp to game bounds
-        const clamped = clampCoordinates(endX, endY);
-        endX = clamped.x;
-        endY = clamped.y;
-
-        // Broadcast teleport to all other players
-        socket.broadcast.emit('playerTeleport', {
-            playerId: socket.id,
-            startX: startX,
-            startY: startY,
-            endX: endX,
-            endY: endY
-        });
-
-        // Update player position on server
-        player.x = endX;
-        player.y = endY;
-    });
-
-    // Handle teleport damage
-    socket.on('teleportDamage', (data) => {
-        const attacker = players.get(socket.id);
-        if (!attacker) return;
-
-        // Dead players cannot deal damage
-        if (attacker.isDead) return;
-
-        // === INPUT VALIDATION ===
-        // Use attacker's server-side position (ignore client x,y)
-        const x = attacker.x;
-        const y = attacker.y;
-
-        // IGNORE client radius/damage values - use server constants (anti-cheat)
-        const radius = TELEPORT_DAMAGE_RADIUS;
-        const damage = TELEPORT_DAMAGE;
-
-        // Log if client sent suspicious values
-        if (data.radius && data.radius > TELEPORT_DAMAGE_RADIUS * 1.1) {
-            logger.cheat(`Suspicious teleport damage radius from ${socket.id}: ${data.radius} (server: ${TELEPORT_DAMAGE_RADIUS})`);
-        }
-        if (data.damage && data.damage > TELEPORT_DAMAGE * 1.1) {
-            logger.cheat(`Suspicious teleport damage from ${socket.id}: ${data.damage} (server: ${TELEPORT_DAMAGE})`);
-        }
-
-        // Check all players in range
-        const hitPlayers = [];
-        const killedPlayers = [];
-        players.forEach((player, playerId) => {
-            if (playerId === socket.id) return;
-            if (player.isDead) return;
-
-            const dx = player.x - x;
-            const dy = player.y - y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-
-            if (distance <= radius) {
-                player.currentHP = Math.max(0, player.currentHP - damage);
-
-                const knockbackDist = calculateKnockbackDistance(radius, distance);
-                const knockbackEnd = calculateKnockbackEndPosition(x, y, player.x, player.y, knockbackDist);
-
-                player.x = knockbackEnd.x;
-                player.y = knockbackEnd.y;
-
-                hitPlayers.push({
-                    playerId: playerId,
-                    currentHP: player.currentHP,
-                    maxHP: player.maxHP,
-                    knockbackEndX: knockbackEnd.x,
-                    knockbackEndY: knockbackEnd.y,
-                    attackerX: x,
-                    attackerY: y
-                });
-
-                if (player.currentHP <= 0 && !player.isDead) {
-                    player.isDead = true;
-                    player.deathTime = Date.now();
-                    killedPlayers.push({
-                        playerId: playerId,
-                        killedBy: socket.id,
-                        respawnDelay: PLAYER_RESPAWN_DELAY
-                    });
-                }
-            }
-        });
-
-        if (hitPlayers.length > 0) {
-            io.emit('playerDamaged', {
-                attackerId: socket.id,
-                hitPlayers: hitPlayers
-            });
-        }
-
-        if (killedPlayers.length > 0) {
-            killedPlayers.forEach(killed => {
-                io.emit('playerDied', {
-                    playerId: killed.playerId,
-                    killedBy: killed.killedBy,
-                    respawnDelay: killed.respawnDelay
-                });
-            });
-        }
-
-        // Check dummies
-        const hitDummies = [];
-        dummies.forEach((dummy) => {
-            if (dummy.currentHP <= 0) return;
-
-            const dx = dummy.x - x;
-            const dy = dummy.y - y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-
-            if (distance <= radius + 67.5) {
-                dummy.currentHP = Math.max(0, dummy.currentHP - damage);
-
-                const knockbackDist = calculateKnockbackDistance(radius, distance);
-                const knockbackEnd = calculateKnockbackEndPosition(x, y, dummy.x, dummy.y, knockbackDist);
-
-                dummy.x = knockbackEnd.x;
-                dummy.y = knockbackEnd.y;
-
-                hitDummies.push({
-                    dummyId: dummy.id,
-                    currentHP: dummy.currentHP,
-                    maxHP: dummy.maxHP,
-                    knockbackEndX: knockbackEnd.x,
-                    knockbackEndY: knockbackEnd.y,
-                    attackerX: x,
-                    attackerY: y
-                });
-
-                if (dummy.currentHP <= 0) {
-                    dummy.deathTime = Date.now();
-                }
-            }
-        });
+    }
 
-        if (hitDummies.length > 0) {
-            io.emit('dummyDamaged', {
-                attackerId: socket.id,
-                hitDummies: hitDummies
-            });
+    // Handle skill casts (Q/W/E) - the server runs windups, channels and damage
+    socket.on('castSkill', (data) => {
+        // === RATE LIMITING ===
+        if (!rateLimit(socket.id, 'cast', RATE_LIMIT_CAST)) {
+            return; // Too many cast events, silently ignore
         }
-    });
 
-    // Handle laser aiming (sync with other players)
-    socket.on('laserAiming', (data) => {
-        // Broadcast laser aiming to all other players
-        socket.broadcast.emit('laserAiming', {
-            playerId: socket.id,
-            x: data.x,
-            y: data.y,
-            dirX: data.dirX,
-            dirY: data.dirY
-        });
-    });
-
-    // Handle laser attack (Q skill)
-    socket.on('laserAttack', (data) => {
-        const attacker = players.get(socket.id);
-        if (!attacker) return;
-
-        // Dead players cannot attack
-        if (attacker.isDead) return;
+        const room = getPlayerRoom(socket.data.playerId);
+        if (!room) return;
 
         // === INPUT VALIDATION ===
-        // Validate coordinate types
-        if (!isValidNumber(data.x1) || !isValidNumber(data.y1) ||
-            !isValidNumber(data.x2) || !isValidNumber(data.y2)) {
-            logger.cheat(`Invalid laser coordinates from ${socket.id}`);
+        if (!data || !Object.prototype.hasOwnProperty.call(SKILLS, data.skill)) {
+            logger.cheat(`Invalid skill cast from ${socket.data.playerId}`);
             return;
         }
 
-        // Use attacker's server-side position as laser start (prevent remote laser hacks)
-        const x1 = attacker.x;
-        const y1 = attacker.y;
-
-        // Validate laser direction and clamp length
-        let x2 = data.x2;
-        let y2 = data.y2;
-        const laserLength = calculateDistance(x1, y1, x2, y2);
-
-        if (laserLength > LASER_MAX_LENGTH) {
-            // Clamp to max length
-            const angle = Math.atan2(y2 - y1, x2 - x1);
-            x2 = x1 + Math.cos(angle) * LASER_MAX_LENGTH;
-            y2 = y1 + Math.sin(angle) * LASER_MAX_LENGTH;
-        }
-
-        // IGNORE client damage value - use server constant (anti-cheat)
-        const damage = LASER_DAMAGE;
-        const hitRadius = 67.5; // Half of character size for collision
-
-        // Log if client sent suspicious values
-        if (data.damage && data.damage > LASER_DAMAGE * 1.1) {
-            logger.cheat(`Suspicious laser damage from ${socket.id}: ${data.damage} (server: ${LASER_DAMAGE})`);
-        }
-
-        logger.debug(`Laser attack from ${socket.id}: (${x1.toFixed(0)}, ${y1.toFixed(0)}) -> (${x2.toFixed(0)}, ${y2.toFixed(0)})`);
-
-        // Broadcast laser effect to all other players (use validated coordinates)
-        socket.broadcast.emit('laserFired', {
-            playerId: socket.id,
-            x1, y1, x2, y2
-        });
-
-        // Check all players in laser path
-        const hitPlayers = [];
-        const killedPlayers = [];
-        players.forEach((player, playerId) => {
-            if (playerId === socket.id) return; // Don't hit yourself
-            if (player.isDead) return; // Skip dead players
-
-            // Check line-circle collision
-            if (lineCircleIntersect(x1, y1, x2, y2, player.x, player.y, hitRadius)) {
-                // Apply damage (server-authoritative)
-                player.currentHP = Math.max(0, player.currentHP - damage);
-
-                // Calculate knockback direction from laser origin
-                const knockbackDist = SERVER_CONFIG.KNOCKBACK.LASER_DISTANCE;
-                const knockbackEnd = calculateKnockbackEndPosition(x1, y1, player.x, player.y, knockbackDist);
-
-                player.x = knockbackEnd.x;
-                player.y = knockbackEnd.y;
-
-                hitPlayers.push({
-                    playerId: playerId,
-                    currentHP: player.currentHP,
-                    maxHP: player.maxHP,
-                    knockbackEndX: knockbackEnd.x,
-                    knockbackEndY: knockbackEnd.y,
-                    attackerX: x1,
-                    attackerY: y1
-                });
-
-                logger.debug(`Laser hit ${playerId} for ${damage} damage (HP: ${player.currentHP}/${player.maxHP})`);
-
-                // Check if player died
-                if (player.currentHP <= 0 && !player.isDead) {
-                    player.isDead = true;
-                    player.deathTime = Date.now();
-                    killedPlayers.push({
-                        playerId: playerId,
-                        killedBy: socket.id,
-                        respawnDelay: PLAYER_RESPAWN_DELAY
-                    });
-                    logger.info(`${playerId} has been killed by laser from ${socket.id}!`);
-                }
-            }
-        });
-
-        // Broadcast damage to all players
-        if (hitPlayers.length > 0) {
-            io.emit('playerDamaged', {
-                attackerId: socket.id,
-                hitPlayers: hitPlayers
-            });
-        }
-
-        // Broadcast deaths
-        if (killedPlayers.length > 0) {
-            killedPlayers.forEach(killed => {
-                io.emit('playerDied', {
-                    playerId: killed.playerId,
-                    killedBy: killed.killedBy,
-                    respawnDelay: killed.respawnDelay
-                });
-            });
-        }
-
-        // Check all dummies in laser path
-        const hitDummies = [];
-        dummies.forEach((dummy) => {
-            if (dummy.currentHP <= 0) return; // Skip dead dummies
-
-            // Check line-circle collision
-            if (lineCircleIntersect(x1, y1, x2, y2, dummy.x, dummy.y, hitRadius)) {
-                // Apply damage
-                dummy.currentHP = Math.max(0, dummy.currentHP - damage);
-
-                // Calculate knockback
-                const knockbackDist = SERVER_CONFIG.KNOCKBACK.LASER_DISTANCE;
-                const knockbackEnd = calculateKnockbackEndPosition(x1, y1, dummy.x, dummy.y, knockbackDist);
-
-                dummy.x = knockbackEnd.x;
-                dummy.y = knockbackEnd.y;
-
-                hitDummies.push({
-                    dummyId: dummy.id,
-                    currentHP: dummy.currentHP,
-                    maxHP: dummy.maxHP,
-                    knockbackEndX: knockbackEnd.x,
-                    knockbackEndY: knockbackEnd.y,
-                    attackerX: x1,
-                    attackerY: y1
-                });
-
-                logger.debug(`Laser hit ${dummy.name} for ${damage} damage (HP: ${dummy.currentHP}/${dummy.maxHP})`);
-
-                if (dummy.currentHP <= 0) {
-                    dummy.deathTime = Date.now();
-                    logger.debug(`${dummy.name} has been defeated by laser!`);
-                }
-            }
-        });
-
-        // Broadcast dummy damage
-        if (hitDummies.length > 0) {
-            io.emit('dummyDamaged', {
-                attackerId: socket.id,
-                hitDummies: hitDummies
-            });
-        }
-    });
-
-    // Handle telepathy (sync with other players)
-    socket.on('telepathy', (data) => {
-        // Broadcast telepathy effect to all other players
-        socket.broadcast.emit('playerTelepathy', {
-            playerId: socket.id,
-            x: data.x,
-            y: data.y,
-            radius: data.radius
-        });
+        room.queueInput(socket.data.playerId, 'action', () => applyCastSkill(room, data));
     });
 
-    // Handle telepathy damage
-    socket.on('telepathyDamage', (data) => {
-        const attacker = players.get(socket.id);
-        if (!attacker) return;
-
-        // Dead players cannot deal damage
-        if (attacker.isDead) return;
-
-        // === INPUT VALIDATION ===
-        // Use attacker's server-side position (ignore client x,y)
-        const x = attacker.x;
-        const y = attacker.y;
-
-        // IGNORE client values - use server constants (anti-cheat)
-        const radius = TELEPATHY_RADIUS;
-        const damagePerTarget = TELEPATHY_DAMAGE_PER_TICK;
-        const maxHeal = TELEPATHY_MAX_HEAL_PER_TICK;
-
-        // Log if client sent suspicious values
-        if (data.radius && data.radius > TELEPATHY_RADIUS * 1.1) {
-            logger.cheat(`Suspicious telepathy radius from ${socket.id}: ${data.radius} (server: ${TELEPATHY_RADIUS})`);
-        }
-        if (data.damagePerTarget && data.damagePerTarget > TELEPATHY_DAMAGE_PER_TICK * 1.1) {
-            logger.cheat(`Suspicious telepathy damage from ${socket.id}: ${data.damagePerTarget} (server: ${TELEPATHY_DAMAGE_PER_TICK})`);
-        }
-
-        let totalDamageDealt = 0;
-
-        // Check all players in range
-        const hitPlayers = [];
-        const killedPlayers = [];
-        players.forEach((player, playerId) => {
-            if (playerId === socket.id) return;
-            if (player.isDead) return;
-
-            const dx = player.x - x;
-            const dy = player.y - y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-
-            if (distance <= radius) {
-                player.currentHP = Math.max(0, player.currentHP - damagePerTarget);
-                totalDamageDealt += damagePerTarget;
-
-                hitPlayers.push({
-                    playerId: playerId,
-                    currentHP: player.currentHP,
-                    maxHP: player.maxHP,
-                    knockbackEndX: player.x, // No knockback for telepathy
-                    knockbackEndY: player.y,
-                    attackerX: x,
-                    attackerY: y
-                });
-
-                if (player.currentHP <= 0 && !player.isDead) {
-                    player.isDead = true;
-                    player.deathTime = Date.now();
-                    killedPlayers.push({
-                        playerId: playerId,
-                        killedBy: socket.id,
-                        respawnDelay: PLAYER_RESPAWN_DELAY
-                    });
-                }
-            }
-        });
-
-        // Check dummies
-        const hitDummies = [];
-        dummies.forEach((dummy) => {
-            if (dummy.currentHP <= 0) return;
+    function applyCastSkill(room, data) {
+        const player = room.players.get(socket.data.playerId);
+        if (!player) return;
 
-            const dx = dummy.x - x;
-            const dy = dummy.y - y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
+        // Dead players cannot cast
+        if (player.isDead) return;
 
-            if (distance <= radius + 67.5) {
-                dummy.currentHP = Math.max(0, dummy.currentHP - damagePerTarget);
-                totalDamageDealt += damagePerTarget;
+        const skill = data.skill;
 
-                hitDummies.push({
-                    dummyId: dummy.id,
-                    currentHP: dummy.currentHP,
-                    maxHP: dummy.maxHP,
-                    knockbackEndX: dummy.x,
-                    knockbackEndY: dummy.y,
-                    attackerX: x,
-                    attackerY: y
-                });
-
-                if (dummy.currentHP <= 0) {
-                    dummy.deathTime = Date.now();
-                }
+        // Reject casts still on cooldown (or outside the character's kit / already casting) and resync the client
+        const reason = getCastRejection(player, skill);
+        if (reason) {
+            const remainingMs = getRemainingCooldown(player, skill);
+            if (reason === 'cooldown') {
+                logger.cheat(`${skill} cast on cooldown from ${socket.data.playerId} (${remainingMs}ms left)`);
+            } else if (reason === 'unavailable') {
+                logger.cheat(`${skill} cast from ${socket.data.playerId}, not in the ${player.character} kit`);
             }
-        });
-
-        // Broadcast telepathy tick damage (no knockback, no vignette)
-        if (hitPlayers.length > 0) {
-            io.emit('telepathyTick', {
-                attackerId: socket.id,
-                hitPlayers: hitPlayers
-            });
+            io.to(socket.data.playerId).emit('skillRejected', { skill, reason, remainingMs });
+            return;
         }
 
-        if (killedPlayers.length > 0) {
-            killedPlayers.forEach(killed => {
-                io.emit('playerDied', {
-                    playerId: killed.playerId,
-                    killedBy: killed.killedBy,
-                    respawnDelay: killed.respawnDelay
-                });
-            });
+        const params = getCastParams(player, skill, data);
+        if (!params) {
+            logger.cheat(`Invalid ${skill} cast parameters from ${socket.data.playerId}`);
+            return;
         }
 
-        if (hitDummies.length > 0) {
-            io.emit('telepathyTickDummy', {
-                attackerId: socket.id,
-                hitDummies: hitDummies
-            });
-        }
+        // Targets are checked where the caster saw them when casting (lag compensation, capped rewind)
+        const rewindMs = Date.now() - getRewindTime(data.viewTime);
 
-        // Calculate heal amount and send to attacker
-        const healAmount = Math.min(totalDamageDealt, maxHeal);
-        if (healAmount > 0) {
-            // Update attacker HP on server
-            attacker.currentHP = Math.min(attacker.maxHP, attacker.currentHP + healAmount);
-
-            // Send heal event to attacker
-            io.to(socket.id).emit('telepathyHeal', {
-                playerId: socket.id,
-                healAmount: healAmount,
-                newHP: attacker.currentHP
-            });
-        }
-    });
+        startCast(room, player, skill, params, rewindMs);
+    }
 }
 
 module.exports = { registerCombatHandlers };
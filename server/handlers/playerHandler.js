@@ -3,71 +3,185 @@
 // ========================================
 const logger = require('../../logger');
 const {
-    PLAYER_SPEED,
-    PLAYER_SPEED_TOLERANCE,
+    SERVER_CONFIG,
     RATE_LIMIT_MOVE,
+    RATE_LIMIT_RESYNC,
+    buildClientConfig,
 } = require('../config');
 const {
-    isValidNumber,
     isValidString,
-    isValidPositiveInt,
-    clampCoordinates,
-    calculateDistance,
+    isValidMoveInput,
 } = require('../validation');
 const {
-    players,
-    shards,
-    dummies,
+    ROOM_MODES,
     rateLimit,
     cleanupRateLimiter,
+    joinRoom,
+    leaveRoom,
+    getPlayerRoom,
+    holdPlayer,
+    resumeSession,
+    applyMovementInput,
 } = require('../gameState');
+const { CharacterRegistry } = require('../../src/characters');
+
+/**
+ * Check a joinGame request
+ * @param {Object} data - {protocolVersion, playerName, character, mode, sessionToken}
+ * @returns {{code: string, reason: string}|null} Why the join is refused (null = accepted)
+ */
+function checkJoinRequest(data) {
+    if (!data || data.protocolVersion !== SERVER_CONFIG.PROTOCOL.VERSION) {
+        const clientVersion = data && data.protocolVersion !== undefined ? data.protocolVersion : 'none';
+        return {
+            code: 'protocol',
+            reason: `Client protocol ${clientVersion} is not supported (server speaks ${SERVER_CONFIG.PROTOCOL.VERSION}), reload the page to update`
+        };
+    }
+
+    const maxLength = SERVER_CONFIG.PLAYER.NAME_MAX_LENGTH;
+    if (!isValidString(data.playerName, maxLength) || data.playerName.trim().length === 0) {
+        return {
+            code: 'name',
+            reason: `Name must be 1-${maxLength} characters`
+        };
+    }
+
+    if (!CharacterRegistry.has(data.character)) {
+        return {
+            code: 'character',
+            reason: `Unknown character ${JSON.stringify(data.character)}`
+        };
+    }
+
+    return null;
+}
 
 function registerPlayerHandlers(socket, io) {
-    // Send player their ID
+    // Player ID: this socket's ID, unless a session token resumes an earlier player
+    socket.data.playerId = socket.id;
+
+    // Gameplay numbers first: the client builds its player and skills from them
+    socket.emit('gameConfig', buildClientConfig());
+
+    // Send player their ID (nothing is spawned until the client sends joinGame)
     socket.emit('connected', {
-        playerId: socket.id
+        playerId: socket.data.playerId
     });
 
-    // Send existing players to new player
-    const existingPlayers = Array.from(players.values());
-    socket.emit('existingPlayers', existingPlayers);
-
-    // Send existing shards to new player
-    const activeShards = Array.from(shards.values()).filter(s => !s.collected);
-    socket.emit('existingShards', activeShards);
-
-    // Send existing dummies to new player
-    const aliveDummies = Array.from(dummies.values()).filter(d => d.currentHP > 0);
-    socket.emit('existingDummies', aliveDummies);
-
-    // Initialize player data
-    players.set(socket.id, {
-        playerId: socket.id,
-        x: 960, // Center of game world
-        y: 540,
-        playerName: 'Player',
-        level: 1,
-        experience: 0,
-        currentHP: 100,
-        maxHP: 100,
-        deathTime: 0,
-        isDead: false
+    // Join handshake: name, character and protocol version picked in the lobby
+    // The player is spawned (or the player of an earlier connection resumed with
+    // its session token) only once all of them are valid
+    socket.on('joinGame', (data) => {
+        if (getPlayerRoom(socket.data.playerId)) {
+            return; // Already in a room
+        }
+
+        const rejection = checkJoinRequest(data);
+        if (rejection) {
+            logger.warn(`Join rejected for ${socket.id}: ${rejection.reason}`);
+            socket.emit('joinRejected', rejection);
+            return;
+        }
+
+        const playerName = data.playerName.trim();
+
+        const resumed = resumeSession(socket, io, data.sessionToken);
+        if (resumed) {
+            if (resumed.player.playerName !== playerName) {
+                resumed.player.playerName = playerName;
+                resumed.room.markScoreboardDirty();
+            }
+            sendRoomState(resumed.room, resumed.player, resumed.sessionToken, true);
+            return;
+        }
+
+        const mode = ROOM_MODES.includes(data.mode) ? data.mode : 'match';
+        const { room, player, sessionToken } = joinRoom(socket, io, mode, data.character, playerName);
+
+        sendRoomState(room, player, sessionToken, false);
     });
 
-    // Notify others about new player
-    socket.broadcast.emit('playerJoined', {
-        playerId: socket.id,
-        x: 960,
-        y: 540,
-        playerName: 'Player',
-        level: 1,
-        experience: 0,
-        currentHP: 100,
-        maxHP: 100,
-        isDead: false
+    // Leave the room on purpose (back to the lobby): the player is removed right away
+    socket.on('leaveRoom', () => {
+        const room = leaveRoom(socket);
+        if (!room) return;
+
+        io.to(room.id).emit('playerLeft', {
+            playerId: socket.data.playerId
+        });
     });
 
-    // Handle player position updates
+    // Room, team and session token, then everything already in the room
+    // A resumed player also gets back its own state (the others never saw it leave)
+    function sendRoomState(room, player, sessionToken, resumed) {
+        socket.emit('roomJoined', {
+            roomId: room.id,
+            mode: room.mode,
+            team: player.team,
+            playerId: player.playerId,
+            sessionToken: sessionToken,
+            resumed: resumed,
+            player: resumed ? room.buildPlayerState(player) : null
+        });
+
+        // Send existing players to new player (not including themselves)
+        const existingPlayers = Array.from(room.players.values())
+            .filter(p => p.playerId !== socket.data.playerId)
+            .map(p => room.buildPlayerState(p));
+        socket.emit('existingPlayers', existingPlayers);
+
+        // Send existing shards to new player
+        const activeShards = Array.from(room.shards.values()).filter(s => !s.collected);
+        socket.emit('existingShards', activeShards);
+
+        // Send existing dummies to new player
+        const aliveDummies = Array.from(room.dummies.values()).filter(d => d.currentHP > 0);
+        socket.emit('existingDummies', aliveDummies);
+
+        // Send current match phase and timer (late joiners enter a running match)
+        if (room.mode === 'match') {
+            socket.emit('matchTick', room.getMatchInfo());
+        }
+
+        if (resumed) return;
+
+        // Notify others in the room about new player
+        socket.to(room.id).emit('playerJoined', {
+            playerId: socket.data.playerId,
+            x: player.x,
+            y: player.y,
+            playerName: player.playerName,
+            character: player.character,
+            team: player.team,
+            level: player.level,
+            experience: player.experience,
+            currentHP: player.currentHP,
+            maxHP: player.maxHP,
+            isDead: player.isDead
+        });
+    }
+
+    // Complete snapshot of the room (after a reconnect, or when the client missed snapshots)
+    // Always answered: a refused request tells the client when it may ask again
+    socket.on('requestResync', () => {
+        const room = getPlayerRoom(socket.data.playerId);
+        if (!room) {
+            socket.emit('resyncRejected', { reason: 'noRoom', retryInMs: null });
+            return;
+        }
+
+        if (!rateLimit(socket.id, 'resync', RATE_LIMIT_RESYNC)) {
+            socket.emit('resyncRejected', { reason: 'rateLimit', retryInMs: RATE_LIMIT_RESYNC });
+            return;
+        }
+
+        socket.emit('fullState', room.buildFullState());
+    });
+
+    // Handle numbered movement inputs (applied on the next simulation tick)
+    // The client only reports which direction it moved and for how long;
+    // the server computes the resulting position itself.
     socket.on('playerMove', (data) => {
         // === RATE LIMITING ===
         if (!rateLimit(socket.id, 'move', RATE_LIMIT_MOVE)) {
@@ -75,80 +189,46 @@ function registerPlayerHandlers(socket, io) {
         }
 
         // === INPUT VALIDATION ===
-        // Validate coordinate types
-        if (!isValidNumber(data.x) || !isValidNumber(data.y)) {
-            logger.cheat(`Invalid move coordinates from ${socket.id}: x=${data.x}, y=${data.y}`);
+        if (!data || !Array.isArray(data.inputs) ||
+            data.inputs.length > SERVER_CONFIG.MOVEMENT_INPUT.MAX_INPUTS_PER_PACKET) {
+            logger.cheat(`Invalid movement input packet from ${socket.data.playerId}`);
             return;
         }
 
-        const existingPlayer = players.get(socket.id);
-
-        // Clamp coordinates to game bounds (anti-cheat: prevent out-of-bounds positions)
-        const clamped = clampCoordinates(data.x, data.y);
-        let validX = clamped.x;
-        let validY = clamped.y;
-
-        // Speed hack detection (only if player exists with previous position)
-        if (existingPlayer && !existingPlayer.isDead) {
-            const moveDistance = calculateDistance(existingPlayer.x, existingPlayer.y, data.x, data.y);
-            const currentTime = Date.now();
-            const lastMoveTime = existingPlayer.lastMoveTime || currentTime;
-            const timeDelta = Math.max(16, currentTime - lastMoveTime); // Minimum 16ms (60fps)
-            const maxAllowedDistance = PLAYER_SPEED * PLAYER_SPEED_TOLERANCE * (timeDelta / 1000);
-
-            if (moveDistance > maxAllowedDistance) {
-                // Log potential speed hack but allow within reasonable bounds
-                // (Network lag can cause position jumps)
-                if (moveDistance > maxAllowedDistance * 3) {
-                    logger.cheat(`Speed hack detected from ${socket.id}: moved ${moveDistance.toFixed(1)}px in ${timeDelta}ms (max: ${maxAllowedDistance.toFixed(1)}px)`);
-                    // Use last valid position instead
-                    validX = existingPlayer.x;
-                    validY = existingPlayer.y;
-                }
+        const room = getPlayerRoom(socket.data.playerId);
+        if (!room) return;
+
+        room.queueInput(socket.data.playerId, 'move', () => applyMove(room, data));
+    });
+
+    function applyMove(room, data) {
+        const player = room.players.get(socket.data.playerId);
+        if (!player) return;
+
+        data.inputs.forEach((input) => {
+            if (!isValidMoveInput(input)) {
+                logger.cheat(`Invalid movement input from ${socket.data.playerId}`);
+                return;
             }
-        }
 
-        // Validate and sanitize other inputs
-        const playerName = isValidString(data.playerName, 30) ? data.playerName : 'Player';
-        const level = isValidPositiveInt(data.level, 30) ? data.level : 1;
-        const experience = isValidPositiveInt(data.experience, 10000) ? data.experience : 0;
-
-        // Update player data, preserving HP and death state
-        players.set(socket.id, {
-            playerId: socket.id,
-            x: validX,
-            y: validY,
-            playerName: playerName,
-            level: level,
-            experience: experience,
-            currentHP: existingPlayer ? existingPlayer.currentHP : 100,
-            maxHP: existingPlayer ? existingPlayer.maxHP : 100,
-            deathTime: existingPlayer ? existingPlayer.deathTime : 0,
-            isDead: existingPlayer ? existingPlayer.isDead : false,
-            lastMoveTime: Date.now()
-        });
+            // Ignore duplicated or out-of-order inputs
+            if (input.seq <= player.lastInputSeq) return;
 
-        // Broadcast to other players (use validated position)
-        socket.broadcast.emit('playerMoved', {
-            playerId: socket.id,
-            x: validX,
-            y: validY,
-            playerName: playerName,
-            level: level,
-            experience: experience
+            applyMovementInput(player, input);
         });
-    });
+    }
 
     // Handle disconnection
     socket.on('disconnect', () => {
         logger.info(`Player disconnected: ${socket.id}`);
-        players.delete(socket.id);
         cleanupRateLimiter(socket.id); // Clean up all rate limit entries for this socket
 
-        // Notify others
-        socket.broadcast.emit('playerLeft', {
-            playerId: socket.id
-        });
+        // Keep the player (position, level, HP, team, score) for the reconnect grace period;
+        // others get playerLeft only if the session expires
+        const room = holdPlayer(socket);
+        if (room) {
+            logger.info(`Holding ${socket.data.playerId} in ${room.id} for ${SERVER_CONFIG.SESSION.RECONNECT_GRACE_MS}ms`);
+        }
     });
 }
 
@@ -4,40 +4,46 @@
 const logger = require('../../logger');
 const {
     SERVER_CONFIG,
-    SHARD_COLLECT_DISTANCE,
 } = require('../config');
 const {
     isValidPositiveInt,
     calculateDistance,
 } = require('../validation');
 const {
-    players,
-    shards,
+    getPlayerRoom,
 } = require('../gameState');
 
 function registerShardHandlers(socket, io) {
-    // Handle shard collection
+    // Handle shard collection (resolved on the next simulation tick)
     socket.on('collectShard', (data) => {
-        const player = players.get(socket.id);
-        if (!player) return;
-
-        // Dead players cannot collect shards
-        if (player.isDead) return;
+        const room = getPlayerRoom(socket.data.playerId);
+        if (!room) return;
 
         // === INPUT VALIDATION ===
         // Validate shardId type
-        if (!isValidPositiveInt(data.shardId, 10000)) {
-            logger.cheat(`Invalid shardId from ${socket.id}: ${data.shardId}`);
+        if (!data || !isValidPositiveInt(data.shardId, 10000)) {
+            logger.cheat(`Invalid shardId from ${socket.data.playerId}: ${data && data.shardId}`);
             return;
         }
 
-        const shard = shards.get(data.shardId);
+        room.queueInput(socket.data.playerId, 'action', () => applyCollectShard(room, data));
+    });
+
+    function applyCollectShard(room, data) {
+        const player = room.players.get(socket.data.playerId);
+        if (!player) return;
+
+        // Dead players cannot collect shards
+        if (player.isDead) return;
+
+        const shard = room.shards.get(data.shardId);
 
         if (shard && !shard.collected) {
             // Verify player is close enough to collect (anti-cheat: prevent remote collection)
             const distance = calculateDistance(player.x, player.y, shard.x, shard.y);
-            if (distance > SHARD_COLLECT_DISTANCE) {
-                logger.cheat(`Remote shard collection attempt from ${socket.id}: distance=${distance.toFixed(1)}px (max: ${SHARD_COLLECT_DISTANCE}px)`);
+            const collectDistance = SERVER_CONFIG.SHARD.COLLECT_DISTANCE;
+            if (distance > collectDistance) {
+                logger.cheat(`Remote shard collection attempt from ${socket.data.playerId}: distance=${distance.toFixed(1)}px (max: ${collectDistance}px)`);
                 return;
             }
 
@@ -45,15 +51,21 @@ function registerShardHandlers(socket, io) {
             shard.collectedTime = Date.now();
             // Random respawn delay between 3-5 seconds (3000-5000ms)
             shard.respawnDelay = SERVER_CONFIG.SHARD.RESPAWN_MIN_MS + Math.random() * SERVER_CONFIG.SHARD.RESPAWN_VARIANCE_MS;
-            logger.debug(`Player ${socket.id} collected shard ${data.shardId} (will respawn in ${Math.round(shard.respawnDelay/1000)}s)`);
+            logger.debug(`Player ${socket.data.playerId} collected shard ${data.shardId} (will respawn in ${Math.round(shard.respawnDelay/1000)}s)`);
 
-            // Broadcast to all players
-            io.emit('shardCollected', {
+            player.shardsCollected++;
+            room.markScoreboardDirty();
+
+            // Broadcast to all players in the room
+            room.emit('shardCollected', {
                 shardId: data.shardId,
-                playerId: socket.id
+                playerId: socket.data.playerId
             });
+
+            // Experience is granted here only (client-reported level/exp is ignored)
+            room.grantExperience(player, SERVER_CONFIG.SHARD.EXPERIENCE);
         }
-    });
+    }
 }
 
 module.exports = { registerShardHandlers };
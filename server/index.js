@@ -5,16 +5,14 @@ const { Server } = require('socket.io');
 const path = require('path');
 const logger = require('../logger');
 
-// Import game state and handlers
-const {
-    initializeDummies,
-    initializeShards,
-    startRespawnTimers,
-} = require('./gameState');
+// Import handlers (game state lives in rooms created as players join)
 const { registerPlayerHandlers } = require('./handlers/playerHandler');
 const { registerCombatHandlers } = require('./handlers/combatHandler');
 const { registerShardHandlers } = require('./handlers/shardHandler');
 const { registerChatHandlers } = require('./handlers/chatHandler');
+const { rooms } = require('./gameState');
+const { buildClientConfig } = require('./config');
+const { DEFAULT_BALANCE_FILE, loadBalanceFile, watchBalanceFile } = require('./balance');
 
 const app = express();
 const httpServer = createServer(app);
@@ -44,16 +42,18 @@ const io = new Server(httpServer, {
     }
 });
 
+// Balance values (invalid files are rejected and the previous values kept)
+const balanceFile = process.env.BALANCE_FILE || DEFAULT_BALANCE_FILE;
+loadBalanceFile(balanceFile);
+watchBalanceFile(balanceFile, () => {
+    rooms.forEach(room => room.applyBalance());
+    io.emit('gameConfig', buildClientConfig());
+    logger.info('Balance changes sent to all clients');
+});
+
 // Serve static files (game client) - go up one directory from server/
 app.use(express.static(path.join(__dirname, '..')));
 
-// Initialize game state
-initializeShards();
-initializeDummies();
-
-// Start respawn timers
-startRespawnTimers(io);
-
 // Handle socket connections
 io.on('connection', (socket) => {
     logger.info(`Player connected: ${socket.id}`);
@@ -0,0 +1,137 @@
+// ========================================
+// EXPERIENCE & LEVELING
+// Server-side port of CharacterUtils.getRequiredExperience (keep both curves in sync)
+// ========================================
+const { SERVER_CONFIG } = require('./config');
+const { CharacterRegistry } = require('../src/characters');
+
+/**
+ * Calculate required experience for next level
+ * Level n->n+1 requires: BASE_EXPERIENCE + (n-1) * EXPERIENCE_PER_LEVEL
+ * @param {number} level - Current level
+ * @param {number} maxLevel - Maximum level
+ * @returns {number} Required experience (0 at max level)
+ */
+function getRequiredExperience(level, maxLevel = SERVER_CONFIG.LEVEL.MAX_LEVEL) {
+    if (level >= maxLevel) return 0;
+    return SERVER_CONFIG.LEVEL.BASE_EXPERIENCE + (level - 1) * SERVER_CONFIG.LEVEL.EXPERIENCE_PER_LEVEL;
+}
+
+/**
+ * Add experience to a player record and apply any level ups
+ * @param {Object} player - Player record from a room's players map
+ * @param {number} amount - Experience to add
+ * @returns {number} Number of levels gained
+ */
+function addExperience(player, amount) {
+    const maxLevel = SERVER_CONFIG.LEVEL.MAX_LEVEL;
+    if (player.level >= maxLevel) return 0;
+
+    player.experience += amount;
+
+    let levelsGained = 0;
+    while (player.level < maxLevel && player.experience >= getRequiredExperience(player.level)) {
+        player.experience -= getRequiredExperience(player.level);
+        player.level++;
+        levelsGained++;
+    }
+
+    if (levelsGained > 0) {
+        applyLevelStats(player);
+    }
+
+    return levelsGained;
+}
+
+// ========================================
+// LEVEL STATS
+// ========================================
+
+/**
+ * Get a character's base stats from the balance
+ * @param {string} characterId - Character ID (unknown IDs get the default character)
+ * @returns {{MAX_HP: number, SPEED: number}}
+ */
+function getCharacterStats(characterId) {
+    return SERVER_CONFIG.CHARACTERS[CharacterRegistry.resolveId(characterId)];
+}
+
+// Stats for every level per character: characterId -> table, index = level (index 0 unused)
+// Tables are built on first use (characters differ only in base HP)
+let levelStats = new Map();
+
+function buildLevelStatTable(characterId) {
+    const growth = SERVER_CONFIG.LEVEL.STAT_GROWTH;
+    const baseHP = getCharacterStats(characterId).MAX_HP;
+    const table = [null];
+
+    for (let level = 1; level <= SERVER_CONFIG.LEVEL.MAX_LEVEL; level++) {
+        const levelsAboveFirst = level - 1;
+        table.push(Object.freeze({
+            maxHP: baseHP + Math.floor(levelsAboveFirst * growth.MAX_HP),
+            attackPower: SERVER_CONFIG.COMBAT.ATTACK_POWER + Math.floor(levelsAboveFirst * growth.ATTACK_POWER),
+            skillDamageMultiplier: 1 + levelsAboveFirst * growth.SKILL_DAMAGE
+        }));
+    }
+
+    return table;
+}
+
+/**
+ * Drop the stat tables so they are rebuilt from SERVER_CONFIG (after a balance reload)
+ */
+function rebuildLevelStats() {
+    levelStats = new Map();
+}
+
+/**
+ * Get the stats of a level
+ * @param {number} level - Player level (clamped to 1..MAX_LEVEL)
+ * @param {string} characterId - Character the player picked (base HP)
+ * @returns {{maxHP: number, attackPower: number, skillDamageMultiplier: number}}
+ */
+function getLevelStats(level, characterId) {
+    if (!levelStats.has(characterId)) {
+        levelStats.set(characterId, buildLevelStatTable(characterId));
+    }
+
+    const clamped = Math.max(1, Math.min(SERVER_CONFIG.LEVEL.MAX_LEVEL, level));
+    return levelStats.get(characterId)[clamped];
+}
+
+/**
+ * Set a player's stats from their level
+ * Max HP growth is added to current HP as well, so leveling up never lowers the HP ratio
+ * @param {Object} player - Player record from a room's players map
+ */
+function applyLevelStats(player) {
+    const stats = getLevelStats(player.level, player.character);
+    const hpDelta = stats.maxHP - player.maxHP;
+
+    player.maxHP = stats.maxHP;
+    if (!player.isDead) {
+        player.currentHP = Math.max(0, Math.min(player.maxHP, player.currentHP + hpDelta));
+    }
+    player.attackPower = stats.attackPower;
+    player.skillDamageMultiplier = stats.skillDamageMultiplier;
+}
+
+/**
+ * Scale a base skill damage by the attacker's level
+ * @param {Object} attacker - Player record
+ * @param {number} baseDamage - Damage from SERVER_CONFIG
+ * @returns {number} Whole-number damage
+ */
+function getSkillDamage(attacker, baseDamage) {
+    return Math.round(baseDamage * (attacker.skillDamageMultiplier || 1));
+}
+
+module.exports = {
+    getRequiredExperience,
+    addExperience,
+    getCharacterStats,
+    getLevelStats,
+    rebuildLevelStats,
+    applyLevelStats,
+    getSkillDamage,
+};
@@ -0,0 +1,1103 @@
+// ========================================
+// ROOM
+// One game world: its own players, shards, dummies, simulation timer
+// and match lifecycle, broadcasting only to its socket.io room
+// ========================================
+const logger = require('../logger');
+const {
+    SERVER_CONFIG,
+    GAME_WIDTH,
+    GAME_HEIGHT,
+} = require('./config');
+const { getLevelStats, applyLevelStats, addExperience, getCharacterStats } = require('./leveling');
+const { areAllies } = require('./teams');
+const { SKILLS, createSkillState, cancelCasts, updateCasts } = require('./skills');
+
+const TICK_PHASES = ['move', 'action']; // Movement resolves before combat each tick
+const ROOM_MODES = ['match', 'training'];
+
+// ========================================
+// SHARED HELPERS (no room state)
+// ========================================
+
+/**
+ * Clamp the time a shooter claims to have seen the world at
+ * @param {number} viewTime - Server time the client was rendering when it fired
+ * @returns {number} Time to rewind targets to (never older than MAX_REWIND_MS)
+ */
+function getRewindTime(viewTime) {
+    const now = Date.now();
+    if (typeof viewTime !== 'number' || !Number.isFinite(viewTime)) return now;
+
+    return Math.max(now - SERVER_CONFIG.LAG_COMPENSATION.MAX_REWIND_MS, Math.min(now, viewTime));
+}
+
+/**
+ * Respawn delay for a player's nth death: base + increment per extra death, capped
+ * @param {number} deaths - Death count including the current death
+ * @returns {number} Delay in milliseconds
+ */
+function getRespawnDelay(deaths) {
+    const { RESPAWN_DELAY_MS, RESPAWN_DELAY_INCREMENT_MS, RESPAWN_DELAY_MAX_MS } = SERVER_CONFIG.PLAYER;
+    const extraDeaths = Math.max(0, deaths - 1);
+    return Math.min(RESPAWN_DELAY_MAX_MS, RESPAWN_DELAY_MS + extraDeaths * RESPAWN_DELAY_INCREMENT_MS);
+}
+
+/**
+ * Move a player by one directional input at their character's speed
+ * @param {Object} player - Player record from a room's players map
+ * @param {{seq: number, dirX: number, dirY: number, dt: number}} input - Validated input
+ */
+function applyMovementInput(player, input) {
+    player.lastInputSeq = input.seq;
+
+    // Dead players acknowledge inputs but do not move
+    if (player.isDead) return;
+
+    // Spend movement budget; anything beyond it is dropped (the client is corrected by the next snapshot)
+    const dt = Math.min(input.dt, SERVER_CONFIG.MOVEMENT_INPUT.MAX_INPUT_DT_MS, player.moveBudgetMs || 0);
+    if (dt <= 0) return;
+    player.moveBudgetMs -= dt;
+
+    const moveDistance = getCharacterStats(player.character).SPEED * (dt / 1000);
+    const margin = SERVER_CONFIG.PLAYER.BOUNDARY_MARGIN;
+    player.x = Math.max(margin, Math.min(GAME_WIDTH - margin, player.x + input.dirX * moveDistance));
+    player.y = Math.max(margin, Math.min(GAME_HEIGHT - margin, player.y + input.dirY * moveDistance));
+}
+
+class Room {
+    /**
+     * @param {Object} io - socket.io server
+     * @param {string} id - Room ID (also the socket.io room name)
+     * @param {string} mode - 'match' (timed 5v5) or 'training' (dummies, no match)
+     */
+    constructor(io, id, mode) {
+        this.io = io;
+        this.id = id;
+        this.mode = mode;
+        this.capacity = mode === 'match'
+            ? SERVER_CONFIG.TEAM.SIZE * SERVER_CONFIG.TEAM.NAMES.length
+            : SERVER_CONFIG.ROOM.TRAINING_CAPACITY;
+
+        this.players = new Map(); // Map of playerId -> player record
+        this.shards = new Map(); // Map of shardId -> {id, x, y, collected, collectedTime, respawnDelay}
+        this.shardIdCounter = 0;
+        this.dummies = new Map(); // Map of dummyId -> {id, x, y, name, currentHP, maxHP, deathTime, respawnDelay}
+
+        // Simulation tick state
+        this.inputQueue = []; // Array of {playerId, phase, apply} queued between ticks
+        this.tickCount = 0;
+        this.tickTimer = null;
+        this.lastTickTime = 0;
+
+        // Scoreboard is broadcast at the end of a tick in which it changed
+        this.scoreboardDirty = false;
+
+        // Lag compensation: "player:<id>" / "dummy:<id>" -> [{time, x, y}] recorded once per tick
+        this.positionHistory = new Map();
+
+        // Match lifecycle: waiting -> countdown -> playing -> ended -> waiting
+        this.match = {
+            phase: 'waiting',
+            phaseStartTime: 0,
+            lastTickBroadcast: 0,
+            teamKills: {}, // team -> kills during the current match
+            winner: null   // Winning team, 'draw', or null
+        };
+        this.firstBloodTaken = false;
+
+        this.initializeShards();
+        if (mode === 'training') {
+            this.initializeDummies();
+        }
+    }
+
+    // Broadcast to everyone in this room
+    emit(event, data) {
+        this.io.to(this.id).emit(event, data);
+    }
+
+    isFull() {
+        return this.players.size >= this.capacity;
+    }
+
+    // A finished match no longer takes new players (they would only see the result screen)
+    canJoin() {
+        return !this.isFull() && this.match.phase !== 'ended';
+    }
+
+    // ========================================
+    // PLAYERS
+    // ========================================
+
+    /**
+     * Create the player record for a socket that joined this room
+     * @param {string} playerId - Player ID (the socket ID the player first connected with)
+     * @param {string} character - Validated character ID picked in the lobby
+     * @param {string} playerName - Validated name from the joinGame handshake
+     * @returns {Object} Player record
+     */
+    addPlayer(playerId, character, playerName) {
+        const stats = getLevelStats(1, character);
+        const player = {
+            playerId: playerId,
+            x: SERVER_CONFIG.PLAYER.RESPAWN_X,
+            y: SERVER_CONFIG.PLAYER.RESPAWN_Y,
+            playerName: playerName,
+            character: character,
+            team: this.assignTeam(),
+            level: 1,
+            experience: 0,
+            currentHP: stats.maxHP,
+            maxHP: stats.maxHP,
+            attackPower: stats.attackPower,
+            skillDamageMultiplier: stats.skillDamageMultiplier,
+            kills: 0,
+            deaths: 0,              // Deaths this match (escalating respawn delay, death rank)
+            assists: 0,
+            shardsCollected: 0,
+            killStreak: 0,          // Kills since the last death (killing spree, shutdown)
+            multiKillCount: 0,      // Kills in the current double/triple kill chain
+            lastKillTime: 0,
+            deathTime: 0,
+            respawnDelay: 0,        // Delay of the current death, sent in playerDied
+            isDead: false,
+            pendingKillerId: null,
+            pendingKillSkill: null, // Skill of the lethal hit (kill feed icon)
+            damageTaken: {},        // attackerId -> {damage, lastHitTime} since the last respawn (killer info, assists)
+            skills: createSkillState(), // Cooldowns and running windups/channels (skills.js)
+            lastDamagedTime: 0,     // Invincibility frames after a hit
+            knockbackUntil: 0,      // Immune to damage while being knocked back
+            lastInputSeq: 0,        // Last movement input applied (acknowledged in stateUpdate)
+            moveBudgetMs: 0         // Movement time the player may still spend
+        };
+
+        this.players.set(playerId, player);
+        this.markScoreboardDirty();
+        logger.info(`${playerId} (${playerName}) joined ${this.id} (${player.team} team, ${this.players.size}/${this.capacity})`);
+        return player;
+    }
+
+    // Remove a player and everything queued or recorded for them
+    removePlayer(playerId) {
+        this.players.delete(playerId);
+        this.markScoreboardDirty();
+        this.clearQueuedInputs(playerId);
+        this.clearPositionHistory('player', playerId);
+    }
+
+    // Pick the team with the fewest players (ties go to the first team)
+    assignTeam() {
+        const counts = new Map(SERVER_CONFIG.TEAM.NAMES.map(team => [team, 0]));
+        this.players.forEach((player) => {
+            if (counts.has(player.team)) {
+                counts.set(player.team, counts.get(player.team) + 1);
+            }
+        });
+
+        let smallestTeam = SERVER_CONFIG.TEAM.NAMES[0];
+        counts.forEach((count, team) => {
+            if (count < counts.get(smallestTeam)) {
+                smallestTeam = team;
+            }
+        });
+        return smallestTeam;
+    }
+
+    // ========================================
+    // SCOREBOARD
+    // ========================================
+
+    // Broadcast the scoreboard at the end of this tick
+    markScoreboardDirty() {
+        this.scoreboardDirty = true;
+    }
+
+    /**
+     * Get every player's score line (clients group and sort it)
+     * @returns {{players: Array<Object>}}
+     */
+    buildScoreboard() {
+        return {
+            players: Array.from(this.players.values()).map(player => ({
+                playerId: player.playerId,
+                playerName: player.playerName,
+                team: player.team,
+                kills: player.kills || 0,
+                deaths: player.deaths || 0,
+                assists: player.assists || 0,
+                level: player.level,
+                shardsCollected: player.shardsCollected || 0
+            }))
+        };
+    }
+
+    // ========================================
+    // INITIALIZATION
+    // ========================================
+
+    initializeDummies() {
+        const dummyConfig = SERVER_CONFIG.DUMMY;
+        const dummyPositions = dummyConfig.POSITIONS.map(pos => ({
+            x: GAME_WIDTH / 2 + pos.offsetX,
+            y: GAME_HEIGHT / 2 + pos.offsetY,
+            name: pos.name
+        }));
+
+        dummyPositions.forEach((pos, index) => {
+            this.dummies.set(index, {
+                id: index,
+                x: pos.x,
+                y: pos.y,
+                initialX: pos.x,
+                initialY: pos.y,
+                name: pos.name,
+                currentHP: dummyConfig.MAX_HP,
+                maxHP: dummyConfig.MAX_HP,
+                deathTime: 0,
+                respawnDelay: dummyConfig.RESPAWN_DELAY_MS,
+                lastDamagedTime: 0,
+                knockbackUntil: 0
+            });
+        });
+
+        logger.debug(`Initialized ${this.dummies.size} dummies in ${this.id}`);
+    }
+
+    initializeShards() {
+        const shardConfig = SERVER_CONFIG.SHARD;
+        const margin = shardConfig.SPAWN_MARGIN;
+        for (let i = 0; i < shardConfig.INITIAL_COUNT; i++) {
+            const x = margin + Math.random() * (GAME_WIDTH - margin * 2);
+            const y = margin + Math.random() * (GAME_HEIGHT - margin * 2);
+            const shardId = this.shardIdCounter++;
+            this.shards.set(shardId, {
+                id: shardId,
+                x,
+                y,
+                collected: false,
+                collectedTime: 0,
+                respawnDelay: 0
+            });
+        }
+        logger.debug(`Initialized ${this.shards.size} shards in ${this.id}`);
+    }
+
+    /**
+     * Re-apply balance values copied onto players and dummies when they were created
+     * (after a balance reload; dummy positions only change for new rooms)
+     */
+    applyBalance() {
+        this.players.forEach(player => applyLevelStats(player));
+
+        const dummyConfig = SERVER_CONFIG.DUMMY;
+        this.dummies.forEach((dummy) => {
+            dummy.maxHP = dummyConfig.MAX_HP;
+            dummy.currentHP = Math.min(dummy.currentHP, dummy.maxHP);
+            dummy.respawnDelay = dummyConfig.RESPAWN_DELAY_MS;
+        });
+    }
+
+    // ========================================
+    // RESPAWNS
+    // ========================================
+
+    checkDummyRespawn() {
+        const currentTime = Date.now();
+
+        this.dummies.forEach((dummy) => {
+            if (dummy.currentHP <= 0 && dummy.deathTime > 0) {
+                const elapsedTime = currentTime - dummy.deathTime;
+
+                if (elapsedTime >= dummy.respawnDelay) {
+                    // Respawn dummy
+                    dummy.currentHP = dummy.maxHP;
+                    dummy.x = dummy.initialX;
+                    dummy.y = dummy.initialY;
+                    dummy.deathTime = 0;
+                    this.clearPositionHistory('dummy', dummy.id); // Never interpolate across a respawn
+
+                    logger.debug(`${dummy.name} respawned in ${this.id}`);
+
+                    this.emit('dummyRespawned', {
+                        dummyId: dummy.id,
+                        x: dummy.x,
+                        y: dummy.y,
+                        currentHP: dummy.currentHP,
+                        maxHP: dummy.maxHP
+                    });
+                }
+            }
+        });
+    }
+
+    checkPlayerRespawn() {
+        const currentTime = Date.now();
+
+        this.players.forEach((player, playerId) => {
+            if (player.isDead && player.deathTime > 0) {
+                const elapsedTime = currentTime - player.deathTime;
+
+                if (elapsedTime >= player.respawnDelay) {
+                    // Respawn player
+                    player.currentHP = player.maxHP;
+                    player.x = SERVER_CONFIG.PLAYER.RESPAWN_X;
+                    player.y = SERVER_CONFIG.PLAYER.RESPAWN_Y;
+                    player.deathTime = 0;
+                    player.isDead = false;
+                    player.damageTaken = {};
+                    this.clearPositionHistory('player', playerId); // Never interpolate across a respawn
+
+                    logger.debug(`Player ${playerId} respawned`);
+
+                    this.emit('playerRespawned', {
+                        playerId: playerId,
+                        x: player.x,
+                        y: player.y,
+                        currentHP: player.currentHP,
+                        maxHP: player.maxHP
+                    });
+                }
+            }
+        });
+    }
+
+    checkShardRespawn() {
+        const currentTime = Date.now();
+        let respawnedCount = 0;
+
+        // Check each collected shard for individual respawn
+        this.shards.forEach((shard) => {
+            if (shard.collected && shard.collectedTime > 0) {
+                const elapsedTime = currentTime - shard.collectedTime;
+
+                // Check if it's time to respawn this shard
+                if (elapsedTime >= shard.respawnDelay) {
+                    // Respawn at same location
+                    shard.collected = false;
+                    shard.collectedTime = 0;
+                    shard.respawnDelay = 0;
+                    respawnedCount++;
+
+                    this.emit('shardsSpawned', [{ id: shard.id, x: shard.x, y: shard.y }]);
+                }
+            }
+        });
+
+        if (respawnedCount > 0) {
+            const activeCount = Array.from(this.shards.values()).filter(s => !s.collected).length;
+            logger.debug(`Respawned ${respawnedCount} shard(s) in ${this.id} (Active: ${activeCount}/${SERVER_CONFIG.SHARD.MAX_COUNT})`);
+        }
+    }
+
+    // ========================================
+    // MATCH LIFECYCLE
+    // ========================================
+
+    getMatchPhaseDuration(phase) {
+        switch (phase) {
+            case 'countdown': return SERVER_CONFIG.MATCH.COUNTDOWN_MS;
+            case 'playing': return SERVER_CONFIG.MATCH.DURATION_MS;
+            case 'ended': return SERVER_CONFIG.MATCH.RESULT_MS;
+            default: return 0; // 'waiting' has no time limit
+        }
+    }
+
+    /**
+     * Get the current match state as sent to clients
+     * @returns {{phase: string, remainingMs: number, teamKills: Object}}
+     */
+    getMatchInfo() {
+        const match = this.match;
+        const duration = this.getMatchPhaseDuration(match.phase);
+        const remainingMs = duration > 0 ? Math.max(0, duration - (Date.now() - match.phaseStartTime)) : 0;
+
+        return {
+            phase: match.phase,
+            remainingMs: remainingMs,
+            teamKills: { ...match.teamKills }
+        };
+    }
+
+    setMatchPhase(phase) {
+        this.match.phase = phase;
+        this.match.phaseStartTime = Date.now();
+        this.match.lastTickBroadcast = 0; // Broadcast the new phase right away
+        logger.info(`${this.id} match phase: ${phase}`);
+    }
+
+    // Count a kill for the killer (and for their team while a match is being played)
+    recordKill(killerId, victim) {
+        const killer = this.players.get(killerId);
+        if (!killer || areAllies(killer, victim)) return;
+
+        killer.kills = (killer.kills || 0) + 1;
+
+        if (this.mode === 'match' && this.match.phase === 'playing') {
+            this.match.teamKills[killer.team] = (this.match.teamKills[killer.team] || 0) + 1;
+        }
+    }
+
+    // Reset scores and put every player back at full HP for a fresh match
+    startMatch() {
+        const match = this.match;
+        match.teamKills = {};
+        SERVER_CONFIG.TEAM.NAMES.forEach(team => { match.teamKills[team] = 0; });
+        match.winner = null;
+        this.firstBloodTaken = false;
+
+        this.players.forEach((player, playerId) => {
+            player.kills = 0;
+            player.deaths = 0;
+            player.assists = 0;
+            player.shardsCollected = 0;
+            player.killStreak = 0;
+            player.multiKillCount = 0;
+            player.lastKillTime = 0;
+            player.currentHP = player.maxHP;
+            player.x = SERVER_CONFIG.PLAYER.RESPAWN_X;
+            player.y = SERVER_CONFIG.PLAYER.RESPAWN_Y;
+            player.isDead = false;
+            player.deathTime = 0;
+            player.pendingKillerId = null;
+            player.damageTaken = {};
+            cancelCasts(this, player, 'matchStart'); // A windup from before the match must not land in it
+            this.clearPositionHistory('player', playerId);
+
+            this.emit('playerRespawned', {
+                playerId: playerId,
+                x: player.x,
+                y: player.y,
+                currentHP: player.currentHP,
+                maxHP: player.maxHP
+            });
+        });
+
+        this.markScoreboardDirty();
+        this.setMatchPhase('playing');
+        this.emit('matchStarted', {
+            durationMs: SERVER_CONFIG.MATCH.DURATION_MS,
+            teamKills: { ...match.teamKills }
+        });
+    }
+
+    // Time is up: the team with more kills wins
+    endMatch() {
+        const match = this.match;
+        const [firstTeam, secondTeam] = SERVER_CONFIG.TEAM.NAMES;
+        const firstKills = match.teamKills[firstTeam] || 0;
+        const secondKills = match.teamKills[secondTeam] || 0;
+
+        if (firstKills === secondKills) {
+            match.winner = 'draw';
+        } else {
+            match.winner = firstKills > secondKills ? firstTeam : secondTeam;
+        }
+
+        this.setMatchPhase('ended');
+        this.emit('matchEnded', {
+            winner: match.winner,
+            teamKills: { ...match.teamKills },
+            resultMs: SERVER_CONFIG.MATCH.RESULT_MS,
+            players: Array.from(this.players.values()).map(player => ({
+                playerId: player.playerId,
+                playerName: player.playerName,
+                team: player.team,
+                kills: player.kills || 0
+            }))
+        });
+
+        logger.info(`${this.id} match ended: ${match.winner} (${firstTeam} ${firstKills} : ${secondKills} ${secondTeam})`);
+    }
+
+    // Advance the match state machine (called once per simulation tick)
+    updateMatch() {
+        const match = this.match;
+        const elapsed = Date.now() - match.phaseStartTime;
+        const enoughPlayers = this.players.size >= SERVER_CONFIG.MATCH.MIN_PLAYERS;
+
+        switch (match.phase) {
+            case 'waiting':
+                if (enoughPlayers) this.setMatchPhase('countdown');
+                break;
+            case 'countdown':
+                if (!enoughPlayers) {
+                    this.setMatchPhase('waiting');
+                } else if (elapsed >= SERVER_CONFIG.MATCH.COUNTDOWN_MS) {
+                    this.startMatch();
+                }
+                break;
+            case 'playing':
+                if (elapsed >= SERVER_CONFIG.MATCH.DURATION_MS) this.endMatch();
+                break;
+            case 'ended':
+                if (elapsed >= SERVER_CONFIG.MATCH.RESULT_MS) {
+                    match.teamKills = {};
+                    match.winner = null;
+                    this.setMatchPhase('waiting');
+                }
+                break;
+        }
+
+        const now = Date.now();
+        if (now - match.lastTickBroadcast >= SERVER_CONFIG.MATCH.TICK_INTERVAL_MS) {
+            match.lastTickBroadcast = now;
+            this.emit('matchTick', this.getMatchInfo());
+        }
+    }
+
+    // ========================================
+    // LAG COMPENSATION
+    // ========================================
+
+    // Remember where every player and dummy was at the end of this tick
+    recordPositionHistory(time) {
+        const cutoff = time - SERVER_CONFIG.LAG_COMPENSATION.HISTORY_MS;
+
+        const record = (key, entity) => {
+            let history = this.positionHistory.get(key);
+            if (!history) {
+                history = [];
+                this.positionHistory.set(key, history);
+            }
+
+            history.push({ time, x: entity.x, y: entity.y });
+            while (history.length > 1 && history[0].time < cutoff) {
+                history.shift();
+            }
+        };
+
+        this.players.forEach((player, playerId) => record(`player:${playerId}`, player));
+        this.dummies.forEach((dummy) => record(`dummy:${dummy.id}`, dummy));
+    }
+
+    /**
+     * Drop the position history of an entity (respawn, disconnect)
+     * @param {string} type - 'player' or 'dummy'
+     * @param {string|number} id - Player socket ID or dummy ID
+     */
+    clearPositionHistory(type, id) {
+        this.positionHistory.delete(`${type}:${id}`);
+    }
+
+    /**
+     * Get where an entity was at a past time (interpolated between recorded ticks)
+     * @param {string} type - 'player' or 'dummy'
+     * @param {string|number} id - Player socket ID or dummy ID
+     * @param {Object} entity - Current entity record (used when there is no history)
+     * @param {number} time - Time returned by getRewindTime
+     * @returns {{x: number, y: number}} Rewound position
+     */
+    getRewoundPosition(type, id, entity, time) {
+        const history = this.positionHistory.get(`${type}:${id}`);
+        if (!history || history.length === 0) {
+            return { x: entity.x, y: entity.y };
+        }
+
+        // Moved since the last recorded tick: the current position is the most recent one
+        const latest = history[history.length - 1];
+        if (time >= latest.time) {
+            return { x: entity.x, y: entity.y };
+        }
+
+        if (time <= history[0].time) {
+            return { x: history[0].x, y: history[0].y };
+        }
+
+        for (let i = history.length - 1; i > 0; i--) {
+            const from = history[i - 1];
+            const to = history[i];
+            if (time >= from.time) {
+                const t = (time - from.time) / (to.time - from.time);
+                return {
+                    x: from.x + (to.x - from.x) * t,
+                    y: from.y + (to.y - from.y) * t
+                };
+            }
+        }
+
+        return { x: entity.x, y: entity.y };
+    }
+
+    // ========================================
+    // SIMULATION TICK
+    // ========================================
+
+    /**
+     * Queue a client input to be applied on the next simulation tick
+     * @param {string} playerId - Player ID of the sender
+     * @param {string} phase - Tick phase ('move' or 'action')
+     * @param {Function} apply - Callback that applies the input to game state
+     */
+    queueInput(playerId, phase, apply) {
+        this.inputQueue.push({ playerId, phase, apply });
+    }
+
+    /**
+     * Drop queued inputs from a player that left or disconnected
+     * @param {string} playerId - Player ID to clean up
+     */
+    clearQueuedInputs(playerId) {
+        for (let i = this.inputQueue.length - 1; i >= 0; i--) {
+            if (this.inputQueue[i].playerId === playerId) {
+                this.inputQueue.splice(i, 1);
+            }
+        }
+    }
+
+    // Grant every player the movement time that elapsed since the last tick
+    // (inputs spend it, so a client cannot move faster than real time)
+    accrueMoveBudgets(elapsedMs) {
+        const maxBudget = SERVER_CONFIG.MOVEMENT_INPUT.MAX_BUDGET_MS;
+        this.players.forEach((player) => {
+            player.moveBudgetMs = Math.min(maxBudget, (player.moveBudgetMs || 0) + elapsedMs);
+        });
+    }
+
+    // Apply all queued inputs, phase by phase, in arrival order
+    processInputQueue() {
+        const inputs = this.inputQueue.splice(0, this.inputQueue.length);
+
+        TICK_PHASES.forEach((phase) => {
+            inputs.forEach((input) => {
+                if (input.phase !== phase) return;
+                if (!this.players.has(input.playerId)) return; // Sender left before the tick
+
+                try {
+                    input.apply();
+                } catch (error) {
+                    logger.error(`Failed to apply ${phase} input from ${input.playerId}:`, error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Check hit immunity on a player or dummy (same rules as Character.takeDamage):
+     * no damage while being knocked back or within INVINCIBILITY_MS of the last hit
+     * @param {Object} entity - Player or dummy record
+     * @param {number} now - Current time
+     * @returns {boolean}
+     */
+    isHitImmune(entity, now = Date.now()) {
+        return now < entity.knockbackUntil ||
+            now - entity.lastDamagedTime < SERVER_CONFIG.PLAYER.INVINCIBILITY_MS;
+    }
+
+    /**
+     * Whether a hit is a channel tick (telepathy): ticks are already spaced by the
+     * skill's tick interval, so they neither check nor restart invincibility frames
+     * @param {string} skill - 'attack', 'laser', 'teleport' or 'telepathy'
+     * @returns {boolean}
+     */
+    isChannelTick(skill) {
+        return Boolean(SKILLS[skill] && SKILLS[skill].channelMs);
+    }
+
+    /**
+     * Apply damage to a player and remember who dealt it
+     * @param {Object} player - Victim player record
+     * @param {string} attackerId - Socket ID of the attacker
+     * @param {number} amount - Damage to apply
+     * @param {string} skill - 'attack', 'laser', 'teleport' or 'telepathy'
+     * @returns {boolean} False if the player was immune (no damage, no knockback)
+     */
+    damagePlayer(player, attackerId, amount, skill) {
+        const now = Date.now();
+        const channelTick = this.isChannelTick(skill);
+        if (!channelTick) {
+            if (this.isHitImmune(player, now)) return false;
+            player.lastDamagedTime = now;
+        }
+
+        const dealt = Math.min(player.currentHP, amount);
+        player.currentHP -= dealt;
+
+        const entry = player.damageTaken[attackerId] || { damage: 0, lastHitTime: 0 };
+        entry.damage += dealt;
+        entry.lastHitTime = now;
+        player.damageTaken[attackerId] = entry;
+
+        // Lethal hit: the death itself is resolved at the end of the tick
+        if (player.currentHP <= 0) {
+            player.pendingKillerId = attackerId;
+            player.pendingKillSkill = skill;
+        }
+        return true;
+    }
+
+    /**
+     * Apply damage to a dummy
+     * @param {Object} dummy - Dummy record
+     * @param {number} amount - Damage to apply
+     * @param {string} skill - 'attack', 'laser', 'teleport' or 'telepathy'
+     * @returns {boolean} False if the dummy was immune
+     */
+    damageDummy(dummy, amount, skill) {
+        const now = Date.now();
+        if (!this.isChannelTick(skill)) {
+            if (this.isHitImmune(dummy, now)) return false;
+            dummy.lastDamagedTime = now;
+        }
+
+        dummy.currentHP = Math.max(0, dummy.currentHP - amount);
+
+        if (dummy.currentHP <= 0) {
+            dummy.deathTime = now;
+            logger.debug(`${dummy.name} has been defeated!`);
+        }
+        return true;
+    }
+
+    /**
+     * Move a dummy to its knockback end (immune until the knockback is over)
+     * @param {Object} dummy - Dummy record
+     * @param {number} x - Knockback end X
+     * @param {number} y - Knockback end Y
+     */
+    knockbackDummy(dummy, x, y) {
+        dummy.x = x;
+        dummy.y = y;
+        dummy.knockbackUntil = Date.now() + SERVER_CONFIG.KNOCKBACK.DURATION_MS;
+    }
+
+    /**
+     * Move a player to its knockback end; the movement lock interrupts casting
+     * and the player is immune to damage until the knockback is over
+     * @param {Object} player - Player record
+     * @param {number} x - Knockback end X
+     * @param {number} y - Knockback end Y
+     */
+    knockbackPlayer(player, x, y) {
+        player.x = x;
+        player.y = y;
+        player.knockbackUntil = Date.now() + SERVER_CONFIG.KNOCKBACK.DURATION_MS;
+        cancelCasts(this, player, 'movementLock');
+    }
+
+    // Advance windups and channels (damage lands here, not when a client says so)
+    updateCasts() {
+        const now = Date.now();
+        this.players.forEach((player) => {
+            if (player.isDead) return;
+            updateCasts(this, player, now);
+        });
+    }
+
+    /**
+     * Rank of a player by deaths (1 = most deaths, ties share a rank)
+     * @param {Object} player - Player record
+     * @returns {number}
+     */
+    getDeathRank(player) {
+        let rank = 1;
+        this.players.forEach((other) => {
+            if (other.deaths > player.deaths) rank++;
+        });
+        return rank;
+    }
+
+    // Death screen details for a player who just died
+    buildDeathInfo(player) {
+        const killer = this.players.get(player.pendingKillerId);
+
+        return {
+            kills: player.kills || 0,
+            deaths: player.deaths,
+            deathRank: this.getDeathRank(player),
+            playerCount: this.players.size,
+            killerName: killer ? killer.playerName : null,
+            killerCharacter: killer ? killer.character : null,
+            killerDamage: player.damageTaken[player.pendingKillerId]
+                ? player.damageTaken[player.pendingKillerId].damage
+                : 0
+        };
+    }
+
+    /**
+     * Players other than the killer who damaged the victim within the assist window
+     * @param {Object} victim - Player record of the player who died
+     * @param {number} deathTime - Time of death
+     * @returns {Array<string>} Assisting player IDs
+     */
+    getAssistIds(victim, deathTime) {
+        const windowStart = deathTime - SERVER_CONFIG.COMBAT.ASSIST_WINDOW_MS;
+
+        return Object.keys(victim.damageTaken).filter((attackerId) => {
+            if (attackerId === victim.pendingKillerId) return false;
+            if (!this.players.has(attackerId)) return false; // Left the room
+            return victim.damageTaken[attackerId].lastHitTime >= windowStart;
+        });
+    }
+
+    // Kill and assist credit: counters and experience rewards
+    awardKillCredit(victim, assistIds) {
+        this.recordKill(victim.pendingKillerId, victim);
+
+        const killer = this.players.get(victim.pendingKillerId);
+        if (killer && !areAllies(killer, victim)) {
+            this.grantExperience(killer, SERVER_CONFIG.COMBAT.KILL_EXPERIENCE);
+            this.announceKill(killer, victim);
+        }
+
+        assistIds.forEach((assistId) => {
+            const assister = this.players.get(assistId);
+            assister.assists = (assister.assists || 0) + 1;
+            this.grantExperience(assister, SERVER_CONFIG.COMBAT.ASSIST_EXPERIENCE);
+        });
+    }
+
+    // Announcer banners: first blood, double/triple kill, killing spree, shutdown
+    announceKill(killer, victim) {
+        const config = SERVER_CONFIG.ANNOUNCER;
+        const now = Date.now();
+        const announce = (type, extra = {}) => {
+            this.emit('announcement', {
+                type: type,
+                playerId: killer.playerId,
+                playerName: killer.playerName,
+                team: killer.team,
+                victimId: victim.playerId,
+                victimName: victim.playerName,
+                ...extra
+            });
+        };
+
+        if (!this.firstBloodTaken) {
+            this.firstBloodTaken = true;
+            announce('firstBlood');
+        }
+
+        killer.multiKillCount = now - killer.lastKillTime <= config.MULTI_KILL_WINDOW_MS
+            ? killer.multiKillCount + 1
+            : 1;
+        killer.lastKillTime = now;
+        if (killer.multiKillCount === 2) {
+            announce('doubleKill');
+        } else if (killer.multiKillCount >= 3) {
+            announce('tripleKill');
+        }
+
+        killer.killStreak++;
+        if (killer.killStreak === config.KILLING_SPREE) {
+            announce('killingSpree', { streak: killer.killStreak });
+        }
+
+        if (victim.killStreak >= config.SHUTDOWN_STREAK) {
+            announce('shutdown', { streak: victim.killStreak });
+        }
+    }
+
+    /**
+     * Add experience to a player and announce level ups
+     * @param {Object} player - Player record
+     * @param {number} amount - Experience to add
+     */
+    grantExperience(player, amount) {
+        const levelsGained = addExperience(player, amount);
+        this.markScoreboardDirty();
+        if (levelsGained === 0) return;
+
+        logger.info(`Player ${player.playerId} reached level ${player.level}`);
+
+        // New stats from the level table (HP bars need the new max HP)
+        this.emit('playerLeveledUp', {
+            playerId: player.playerId,
+            level: player.level,
+            experience: player.experience,
+            currentHP: player.currentHP,
+            maxHP: player.maxHP
+        });
+    }
+
+    // Resolve deaths after every input of the tick has been applied, so players
+    // who hit each other in the same tick trade instead of the first packet winning
+    resolveDeaths() {
+        const currentTime = Date.now();
+
+        this.players.forEach((player, playerId) => {
+            if (player.isDead || player.currentHP > 0) return;
+
+            player.isDead = true;
+            player.deathTime = currentTime;
+            cancelCasts(this, player, 'death');
+            player.deaths = (player.deaths || 0) + 1;
+            player.respawnDelay = getRespawnDelay(player.deaths);
+
+            const assistIds = this.getAssistIds(player, currentTime);
+            const killer = this.players.get(player.pendingKillerId);
+
+            logger.info(`${playerId} has been killed by ${player.pendingKillerId}! (assists: ${assistIds.length}, death #${player.deaths}, respawn in ${player.respawnDelay}ms)`);
+
+            this.emit('playerDied', {
+                playerId: playerId,
+                playerName: player.playerName,
+                team: player.team,
+                killedBy: player.pendingKillerId,
+                killerTeam: killer ? killer.team : null,
+                skill: player.pendingKillSkill,
+                assists: assistIds,
+                respawnDelay: player.respawnDelay,
+                ...this.buildDeathInfo(player)
+            });
+
+            // Kill credit after the death itself, so announcer banners follow the kill feed entry
+            this.awardKillCredit(player, assistIds);
+            player.killStreak = 0;
+            player.multiKillCount = 0;
+
+            player.pendingKillerId = null;
+            player.pendingKillSkill = null;
+            this.markScoreboardDirty();
+        });
+    }
+
+    // Build one consolidated snapshot of every dynamic entity
+    buildStateSnapshot(timestamp = Date.now()) {
+        return {
+            tick: this.tickCount,
+            timestamp: timestamp,
+            players: Array.from(this.players.values()).map(player => ({
+                playerId: player.playerId,
+                x: player.x,
+                y: player.y,
+                playerName: player.playerName,
+                character: player.character,
+                team: player.team,
+                level: player.level,
+                experience: player.experience,
+                currentHP: player.currentHP,
+                maxHP: player.maxHP,
+                isDead: player.isDead,
+                lastInputSeq: player.lastInputSeq || 0
+            })),
+            dummies: Array.from(this.dummies.values()).map(dummy => ({
+                id: dummy.id,
+                x: dummy.x,
+                y: dummy.y,
+                currentHP: dummy.currentHP,
+                maxHP: dummy.maxHP
+            }))
+        };
+    }
+
+    /**
+     * One player's state as other clients see it (also restores a resumed player)
+     * @param {Object} player - Player record
+     * @param {number} now - Current time
+     * @returns {Object}
+     */
+    buildPlayerState(player, now = Date.now()) {
+        return {
+            playerId: player.playerId,
+            x: player.x,
+            y: player.y,
+            playerName: player.playerName,
+            character: player.character,
+            team: player.team,
+            level: player.level,
+            experience: player.experience,
+            currentHP: player.currentHP,
+            maxHP: player.maxHP,
+            isDead: player.isDead,
+            respawnInMs: player.isDead ? Math.max(0, player.deathTime + player.respawnDelay - now) : 0,
+            kills: player.kills,
+            deaths: player.deaths,
+            assists: player.assists
+        };
+    }
+
+    /**
+     * Everything a client needs to rebuild its view of this room (fullState, sent on requestResync)
+     * The tick matches the last stateUpdate, so the next snapshot continues the sequence
+     * @returns {Object}
+     */
+    buildFullState() {
+        const now = Date.now();
+        return {
+            tick: this.tickCount,
+            timestamp: now,
+            roomId: this.id,
+            mode: this.mode,
+            players: Array.from(this.players.values()).map(player => this.buildPlayerState(player, now)),
+            shards: Array.from(this.shards.values())
+                .filter(shard => !shard.collected)
+                .map(shard => ({ id: shard.id, x: shard.x, y: shard.y })),
+            dummies: Array.from(this.dummies.values()).map(dummy => ({
+                id: dummy.id,
+                x: dummy.x,
+                y: dummy.y,
+                currentHP: dummy.currentHP,
+                maxHP: dummy.maxHP
+            })),
+            match: this.mode === 'match' ? this.getMatchInfo() : null,
+            scoreboard: this.buildScoreboard().players
+        };
+    }
+
+    // Run one authoritative simulation step
+    runTick() {
+        const currentTime = Date.now();
+        const elapsedMs = this.lastTickTime > 0 ? currentTime - this.lastTickTime : SERVER_CONFIG.TICK.INTERVAL_MS;
+        this.lastTickTime = currentTime;
+        this.tickCount++;
+
+        // 1. Apply queued client inputs (movement, then combat and other actions)
+        this.accrueMoveBudgets(elapsedMs);
+        this.processInputQueue();
+
+        // 2. Skill windups and channel ticks
+        this.updateCasts();
+
+        // 3. Resolve combat outcomes
+        this.resolveDeaths();
+
+        // 4. Respawns
+        this.checkShardRespawn();
+        this.checkDummyRespawn();
+        this.checkPlayerRespawn();
+
+        // 5. Match timer and phase changes (training rooms have no match)
+        if (this.mode === 'match') {
+            this.updateMatch();
+        }
+
+        // 6. Scoreboard (only when kills, deaths, levels, shards or players changed)
+        if (this.scoreboardDirty) {
+            this.scoreboardDirty = false;
+            this.emit('scoreboard', this.buildScoreboard());
+        }
+
+        // 7. Record positions for lag compensation and broadcast state
+        // (same timestamp, so clients' view times map onto the history)
+        const snapshotTime = Date.now();
+        this.recordPositionHistory(snapshotTime);
+        this.emit('stateUpdate', this.buildStateSnapshot(snapshotTime));
+    }
+
+    // Start this room's fixed-rate simulation loop
+    start() {
+        if (this.tickTimer) return;
+
+        this.tickTimer = setInterval(() => this.runTick(), SERVER_CONFIG.TICK.INTERVAL_MS);
+        logger.info(`Room ${this.id} (${this.mode}) started at ${SERVER_CONFIG.TICK.RATE_HZ} Hz`);
+    }
+
+    // Stop this room's simulation loop
+    stop() {
+        if (!this.tickTimer) return;
+
+        clearInterval(this.tickTimer);
+        this.tickTimer = null;
+        logger.info(`Room ${this.id} stopped`);
+    }
+}
+
+module.exports = {
+    Room,
+    ROOM_MODES,
+    areAllies,
+    getRewindTime,
+    getRespawnDelay,
+    applyMovementInput,
+};
@@ -0,0 +1,441 @@
+// ========================================
+// SKILL CASTS
+// Server-side cooldowns, windups and channels (anti-cheat: the client only
+// asks to cast; the server decides when and where damage happens)
+// ========================================
+const logger = require('../logger');
+const { SERVER_CONFIG } = require('./config');
+const {
+    isValidNumber,
+    clampCoordinates,
+    calculateDistance,
+    calculateKnockbackDistance,
+    calculateKnockbackEndPosition,
+    lineCircleIntersect,
+} = require('./validation');
+const { getSkillDamage } = require('./leveling');
+const { areAllies } = require('./teams');
+const { CharacterRegistry } = require('../src/characters');
+
+// Cast phases: windup (resolved once when it ends) or channel (ticks until it ends)
+// Getters so a balance reload applies from the next check on
+const SKILLS = {
+    laser: {
+        get cooldownMs() { return SERVER_CONFIG.SKILL_LASER.COOLDOWN_MS; },
+        get windupMs() { return SERVER_CONFIG.SKILL_LASER.AIM_DURATION_MS; },
+    },
+    teleport: {
+        get cooldownMs() { return SERVER_CONFIG.SKILL_TELEPORT.COOLDOWN_MS; },
+        get windupMs() { return SERVER_CONFIG.SKILL_TELEPORT.DISAPPEAR_DURATION_MS; },
+    },
+    telepathy: {
+        get cooldownMs() { return SERVER_CONFIG.SKILL_TELEPATHY.COOLDOWN_MS; },
+        get channelMs() { return SERVER_CONFIG.SKILL_TELEPATHY.DURATION_MS; },
+        get tickIntervalMs() { return SERVER_CONFIG.SKILL_TELEPATHY.TICK_INTERVAL_MS; },
+    },
+};
+
+/**
+ * Create the per-skill cast state stored on a player record
+ * @returns {Object} skill -> {lastCastTime, phase, phaseStartTime, ticks, params}
+ */
+function createSkillState() {
+    const state = {};
+    Object.keys(SKILLS).forEach((skill) => {
+        state[skill] = { lastCastTime: 0, phase: 'idle', phaseStartTime: 0, ticks: 0, params: null };
+    });
+    return state;
+}
+
+/**
+ * Time until a skill can be cast again
+ * @param {Object} player - Player record from a room's players map
+ * @param {string} skill - Skill ID (laser, teleport, telepathy)
+ * @param {number} now - Current time
+ * @returns {number} Remaining cooldown in ms (0 = ready)
+ */
+function getRemainingCooldown(player, skill, now = Date.now()) {
+    const cast = player.skills[skill];
+    if (cast.lastCastTime === 0) return 0;
+
+    return Math.max(0, SKILLS[skill].cooldownMs - (now - cast.lastCastTime));
+}
+
+/**
+ * Check whether a player may start a cast right now
+ * (casts up to COOLDOWN_TOLERANCE_MS early are accepted to absorb network jitter)
+ * @param {Object} player - Player record
+ * @param {string} skill - Skill ID
+ * @param {number} now - Current time
+ * @returns {string|null} Rejection reason ('unavailable', 'cooldown', 'casting') or null
+ */
+function getCastRejection(player, skill, now = Date.now()) {
+    // Not in the character's kit
+    if (!CharacterRegistry.hasSkill(player.character, skill)) return 'unavailable';
+    if (player.skills[skill].phase !== 'idle') return 'casting';
+    if (getRemainingCooldown(player, skill, now) > SERVER_CONFIG.COMBAT.COOLDOWN_TOLERANCE_MS) {
+        return 'cooldown';
+    }
+    return null;
+}
+
+/**
+ * Validate cast parameters from the client against the caster's server position
+ * @param {Object} player - Caster
+ * @param {string} skill - Skill ID
+ * @param {Object} data - castSkill payload
+ * @returns {Object|null} Cast parameters, or null if the payload is invalid
+ */
+function getCastParams(player, skill, data) {
+    if (skill === 'laser') {
+        // Direction is locked for the whole windup
+        if (!isValidNumber(data.dirX) || !isValidNumber(data.dirY)) return null;
+        const length = Math.sqrt(data.dirX * data.dirX + data.dirY * data.dirY);
+        if (length === 0) return null;
+
+        return { dirX: data.dirX / length, dirY: data.dirY / length };
+    }
+
+    if (skill === 'teleport') {
+        if (!isValidNumber(data.endX) || !isValidNumber(data.endY)) return null;
+
+        let endX = data.endX;
+        let endY = data.endY;
+
+        // Check teleport distance (anti-cheat: limit max teleport distance)
+        const teleportDistance = calculateDistance(player.x, player.y, endX, endY);
+        const maxDistance = SERVER_CONFIG.SKILL_TELEPORT.MAX_DISTANCE;
+        if (teleportDistance > maxDistance * 1.2) { // Allow 20% tolerance
+            logger.cheat(`Teleport distance exceeded from ${player.playerId}: ${teleportDistance.toFixed(1)}px (max: ${maxDistance}px)`);
+            const angle = Math.atan2(endY - player.y, endX - player.x);
+            endX = player.x + Math.cos(angle) * maxDistance;
+            endY = player.y + Math.sin(angle) * maxDistance;
+        }
+
+        const clamped = clampCoordinates(endX, endY);
+        return { startX: player.x, startY: player.y, endX: clamped.x, endY: clamped.y };
+    }
+
+    return {};
+}
+
+/**
+ * Start a validated cast and show it to the room
+ * @param {Room} room - Room the caster is in
+ * @param {Object} player - Caster
+ * @param {string} skill - Skill ID
+ * @param {Object} params - From getCastParams
+ * @param {number} rewindMs - How far in the past the caster saw their targets (lag compensation)
+ */
+function startCast(room, player, skill, params, rewindMs) {
+    const now = Date.now();
+    const cast = player.skills[skill];
+    cast.lastCastTime = now;
+    cast.phase = SKILLS[skill].channelMs ? 'channel' : 'windup';
+    cast.phaseStartTime = now;
+    cast.ticks = 0;
+    cast.params = { ...params, rewindMs };
+
+    // Visual sync (the caster already shows its own effect)
+    if (skill === 'laser') {
+        room.emit('laserAiming', {
+            playerId: player.playerId,
+            x: player.x,
+            y: player.y,
+            dirX: params.dirX,
+            dirY: params.dirY
+        });
+    } else if (skill === 'teleport') {
+        room.emit('playerTeleport', {
+            playerId: player.playerId,
+            startX: params.startX,
+            startY: params.startY,
+            endX: params.endX,
+            endY: params.endY
+        });
+    } else if (skill === 'telepathy') {
+        room.emit('playerTelepathy', {
+            playerId: player.playerId,
+            x: player.x,
+            y: player.y,
+            radius: SERVER_CONFIG.SKILL_TELEPATHY.RADIUS
+        });
+    }
+}
+
+/**
+ * Interrupt every windup or channel the player has running
+ * @param {Room} room - Room the caster is in
+ * @param {Object} player - Caster
+ * @param {string} reason - 'death', 'movementLock' or 'matchStart'
+ */
+function cancelCasts(room, player, reason) {
+    Object.keys(SKILLS).forEach((skill) => {
+        const cast = player.skills[skill];
+        if (cast.phase === 'idle') return;
+
+        cast.phase = 'idle';
+        cast.params = null;
+
+        room.emit('skillCancelled', {
+            playerId: player.playerId,
+            skill: skill,
+            reason: reason
+        });
+    });
+}
+
+/**
+ * Advance the player's casts: resolve finished windups and due channel ticks
+ * @param {Room} room - Room the caster is in
+ * @param {Object} player - Caster
+ * @param {number} now - Current time
+ */
+function updateCasts(room, player, now) {
+    Object.keys(SKILLS).forEach((skill) => {
+        const cast = player.skills[skill];
+        const def = SKILLS[skill];
+
+        if (cast.phase === 'windup' && now - cast.phaseStartTime >= def.windupMs) {
+            cast.phase = 'idle';
+            if (skill === 'laser') {
+                fireLaser(room, player, cast.params, now);
+            } else if (skill === 'teleport') {
+                finishTeleport(room, player, cast.params);
+            }
+            cast.params = null;
+        } else if (cast.phase === 'channel') {
+            const maxTicks = Math.floor(def.channelMs / def.tickIntervalMs);
+            const dueTicks = Math.min(maxTicks, Math.floor((now - cast.phaseStartTime) / def.tickIntervalMs));
+
+            // A player killed by the previous tick's damage stops channeling
+            while (cast.ticks < dueTicks && cast.phase === 'channel' && player.currentHP > 0) {
+                cast.ticks++;
+                telepathyTick(room, player, cast.ticks);
+            }
+
+            if (cast.ticks >= maxTicks) {
+                cast.phase = 'idle';
+                cast.params = null;
+            }
+        }
+    });
+}
+
+// Living enemy that is not the attacker (no friendly fire, skip dead or dying players)
+function canHit(attacker, player) {
+    return player !== attacker && !areAllies(attacker, player) && !player.isDead && player.currentHP > 0;
+}
+
+// hitPlayers entry for playerDamaged / telepathyTick
+function buildPlayerHit(player, knockbackEnd, attackerX, attackerY) {
+    return {
+        playerId: player.playerId,
+        currentHP: player.currentHP,
+        maxHP: player.maxHP,
+        knockbackEndX: knockbackEnd.x,
+        knockbackEndY: knockbackEnd.y,
+        attackerX: attackerX,
+        attackerY: attackerY,
+        lastInputSeq: player.lastInputSeq || 0 // Movement inputs applied before this hit
+    };
+}
+
+// Damage (and knock back, unless knockbackEnd is null) a dummy
+// Returns its hitDummies entry, or null if the dummy was immune
+function hitDummy(room, dummy, skill, damage, knockbackEnd, attackerX, attackerY) {
+    if (!room.damageDummy(dummy, damage, skill)) return null;
+
+    if (knockbackEnd) {
+        room.knockbackDummy(dummy, knockbackEnd.x, knockbackEnd.y);
+    }
+
+    return {
+        dummyId: dummy.id,
+        currentHP: dummy.currentHP,
+        maxHP: dummy.maxHP,
+        knockbackEndX: dummy.x,
+        knockbackEndY: dummy.y,
+        attackerX: attackerX,
+        attackerY: attackerY
+    };
+}
+
+// Broadcast the hits of one skill resolution
+function emitHits(room, playerEvent, dummyEvent, attackerId, hitPlayers, hitDummies) {
+    if (hitPlayers.length > 0) {
+        room.emit(playerEvent, { attackerId, hitPlayers });
+    }
+    if (hitDummies.length > 0) {
+        room.emit(dummyEvent, { attackerId, hitDummies });
+    }
+}
+
+// Laser (Q): beam along the locked direction from the caster's current position
+function fireLaser(room, attacker, params, now) {
+    const attackerId = attacker.playerId;
+    const x1 = attacker.x;
+    const y1 = attacker.y;
+    const x2 = x1 + params.dirX * SERVER_CONFIG.SKILL_LASER.MAX_LENGTH;
+    const y2 = y1 + params.dirY * SERVER_CONFIG.SKILL_LASER.MAX_LENGTH;
+
+    const damage = getSkillDamage(attacker, SERVER_CONFIG.SKILL_LASER.DAMAGE);
+
+    // Check targets where the attacker saw them (lag compensation, capped rewind)
+    const rewindTime = now - params.rewindMs;
+
+    logger.debug(`Laser fired by ${attackerId}: (${x1.toFixed(0)}, ${y1.toFixed(0)}) -> (${x2.toFixed(0)}, ${y2.toFixed(0)})`);
+
+    room.emit('laserFired', {
+        playerId: attackerId,
+        x1, y1, x2, y2
+    });
+
+    const hitPlayers = [];
+    room.players.forEach((player, playerId) => {
+        if (!canHit(attacker, player)) return;
+
+        const target = room.getRewoundPosition('player', playerId, player, rewindTime);
+        if (lineCircleIntersect(x1, y1, x2, y2, target.x, target.y, SERVER_CONFIG.COMBAT.HIT_RADIUS)) {
+            if (!room.damagePlayer(player, attackerId, damage, 'laser')) return; // Hit immunity
+
+            const knockbackEnd = calculateKnockbackEndPosition(x1, y1, player.x, player.y, SERVER_CONFIG.KNOCKBACK.LASER_DISTANCE);
+            room.knockbackPlayer(player, knockbackEnd.x, knockbackEnd.y);
+
+            hitPlayers.push(buildPlayerHit(player, knockbackEnd, x1, y1));
+            logger.debug(`Laser hit ${playerId} for ${damage} damage (HP: ${player.currentHP}/${player.maxHP})`);
+        }
+    });
+
+    const hitDummies = [];
+    room.dummies.forEach((dummy) => {
+        if (dummy.currentHP <= 0) return;
+
+        const target = room.getRewoundPosition('dummy', dummy.id, dummy, rewindTime);
+        if (lineCircleIntersect(x1, y1, x2, y2, target.x, target.y, SERVER_CONFIG.COMBAT.HIT_RADIUS)) {
+            const knockbackEnd = calculateKnockbackEndPosition(x1, y1, dummy.x, dummy.y, SERVER_CONFIG.KNOCKBACK.LASER_DISTANCE);
+            const hit = hitDummy(room, dummy, 'laser', damage, knockbackEnd, x1, y1);
+            if (hit) hitDummies.push(hit);
+        }
+    });
+
+    emitHits(room, 'playerDamaged', 'dummyDamaged', attackerId, hitPlayers, hitDummies);
+}
+
+// Teleport (W): arrive at the validated end position and hit everyone around it
+function finishTeleport(room, attacker, params) {
+    const attackerId = attacker.playerId;
+    attacker.x = params.endX;
+    attacker.y = params.endY;
+
+    const x = attacker.x;
+    const y = attacker.y;
+    const radius = SERVER_CONFIG.SKILL_TELEPORT.DAMAGE_RADIUS;
+    const damage = getSkillDamage(attacker, SERVER_CONFIG.SKILL_TELEPORT.DAMAGE);
+
+    const hitPlayers = [];
+    room.players.forEach((player) => {
+        if (!canHit(attacker, player)) return;
+
+        const distance = calculateDistance(x, y, player.x, player.y);
+        if (distance <= radius) {
+            if (!room.damagePlayer(player, attackerId, damage, 'teleport')) return; // Hit immunity
+
+            const knockbackEnd = calculateKnockbackEndPosition(x, y, player.x, player.y, calculateKnockbackDistance(radius, distance));
+            room.knockbackPlayer(player, knockbackEnd.x, knockbackEnd.y);
+
+            hitPlayers.push(buildPlayerHit(player, knockbackEnd, x, y));
+        }
+    });
+
+    const hitDummies = [];
+    room.dummies.forEach((dummy) => {
+        if (dummy.currentHP <= 0) return;
+
+        const distance = calculateDistance(x, y, dummy.x, dummy.y);
+        if (distance <= radius + SERVER_CONFIG.COMBAT.HIT_RADIUS) {
+            const knockbackEnd = calculateKnockbackEndPosition(x, y, dummy.x, dummy.y, calculateKnockbackDistance(radius, distance));
+            const hit = hitDummy(room, dummy, 'teleport', damage, knockbackEnd, x, y);
+            if (hit) hitDummies.push(hit);
+        }
+    });
+
+    emitHits(room, 'playerDamaged', 'dummyDamaged', attackerId, hitPlayers, hitDummies);
+}
+
+// Telepathy (E): drain everyone around the channeling player, heal from the damage dealt
+function telepathyTick(room, attacker, tick) {
+    const attackerId = attacker.playerId;
+    const x = attacker.x;
+    const y = attacker.y;
+    const radius = SERVER_CONFIG.SKILL_TELEPATHY.RADIUS;
+    const damagePerTarget = getSkillDamage(attacker, SERVER_CONFIG.SKILL_TELEPATHY.DAMAGE_PER_TICK);
+
+    let totalDamageDealt = 0;
+
+    const hitPlayers = [];
+    room.players.forEach((player) => {
+        if (!canHit(attacker, player)) return;
+
+        if (calculateDistance(x, y, player.x, player.y) <= radius) {
+            const hpBefore = player.currentHP;
+            room.damagePlayer(player, attackerId, damagePerTarget, 'telepathy'); // Channel ticks ignore hit immunity
+            totalDamageDealt += hpBefore - player.currentHP;
+
+            // No knockback for telepathy
+            hitPlayers.push(buildPlayerHit(player, player, x, y));
+        }
+    });
+
+    const hitDummies = [];
+    room.dummies.forEach((dummy) => {
+        if (dummy.currentHP <= 0) return;
+
+        if (calculateDistance(x, y, dummy.x, dummy.y) <= radius + SERVER_CONFIG.COMBAT.HIT_RADIUS) {
+            const hpBefore = dummy.currentHP;
+            const hit = hitDummy(room, dummy, 'telepathy', damagePerTarget, null, x, y);
+            if (hit) {
+                hitDummies.push(hit);
+                totalDamageDealt += hpBefore - dummy.currentHP;
+            }
+        }
+    });
+
+    // Every tick is sent (even without hits) so clients can follow the channel
+    room.emit('telepathyTick', {
+        attackerId: attackerId,
+        tick: tick,
+        hitPlayers: hitPlayers
+    });
+
+    if (hitDummies.length > 0) {
+        room.emit('telepathyTickDummy', {
+            attackerId: attackerId,
+            hitDummies: hitDummies
+        });
+    }
+
+    // Heal by the HP actually drained (overkill on a nearly dead target heals nothing extra)
+    // (an attacker taking lethal damage this tick is not revived by its own drain)
+    const healAmount = Math.min(totalDamageDealt, SERVER_CONFIG.SKILL_TELEPATHY.MAX_HEAL_PER_TICK);
+    if (healAmount > 0 && attacker.currentHP > 0) {
+        attacker.currentHP = Math.min(attacker.maxHP, attacker.currentHP + healAmount);
+
+        room.io.to(attackerId).emit('telepathyHeal', {
+            playerId: attackerId,
+            healAmount: healAmount,
+            newHP: attacker.currentHP
+        });
+    }
+}
+
+module.exports = {
+    SKILLS,
+    createSkillState,
+    getRemainingCooldown,
+    getCastRejection,
+    getCastParams,
+    startCast,
+    cancelCasts,
+    updateCasts,
+};
@@ -0,0 +1,16 @@
+// ========================================
+// TEAMS
+// Team rules shared by rooms and skill resolution
+// ========================================
+
+/**
+ * Check whether two players are on the same team (allies never damage each other)
+ * @param {Object} a - Player record
+ * @param {Object} b - Player record
+ * @returns {boolean}
+ */
+function areAllies(a, b) {
+    return Boolean(a && b && a.team && a.team === b.team);
+}
+
+module.exports = { areAllies };
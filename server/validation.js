@@ -4,11 +4,6 @@
 const {
     GAME_WIDTH,
     GAME_HEIGHT,
-    ATTACK_RANGE,
-    KNOCKBACK_MIN,
-    KNOCKBACK_MAX,
-    KNOCKBACK_MULTIPLIER_MIN,
-    KNOCKBACK_MULTIPLIER_MAX,
     SERVER_CONFIG,
 } = require('./config');
 
@@ -17,13 +12,6 @@ function isValidNumber(value) {
     return typeof value === 'number' && Number.isFinite(value);
 }
 
-// Validate coordinates are within game bounds
-function isValidCoordinate(x, y, margin = 0) {
-    return isValidNumber(x) && isValidNumber(y) &&
-           x >= margin && x <= GAME_WIDTH - margin &&
-           y >= margin && y <= GAME_HEIGHT - margin;
-}
-
 // Clamp coordinates to game bounds
 function clampCoordinates(x, y, margin = 50) {
     return {
@@ -49,12 +37,22 @@ function isValidPositiveInt(value, max = 1000) {
     return Number.isInteger(value) && value >= 0 && value <= max;
 }
 
+// Validate a single numbered directional movement input ({seq, dirX, dirY, dt})
+function isValidMoveInput(input) {
+    const isValidDirection = (value) => value === -1 || value === 0 || value === 1;
+    return !!input &&
+           Number.isInteger(input.seq) && input.seq > 0 &&
+           isValidDirection(input.dirX) && isValidDirection(input.dirY) &&
+           isValidNumber(input.dt) && input.dt > 0;
+}
+
 // Calculate knockback distance based on distance from attacker (closer = more knockback)
 // Applies random multiplier (1.25x ~ 2.5x) for impactful knockback
 function calculateKnockbackDistance(attackRange, distance) {
+    const { MIN_DISTANCE, MAX_DISTANCE, MULTIPLIER_MIN, MULTIPLIER_MAX } = SERVER_CONFIG.KNOCKBACK;
     const ratio = Math.min(1, distance / attackRange);
-    const baseKnockback = KNOCKBACK_MAX - ratio * (KNOCKBACK_MAX - KNOCKBACK_MIN);
-    const multiplier = KNOCKBACK_MULTIPLIER_MIN + Math.random() * (KNOCKBACK_MULTIPLIER_MAX - KNOCKBACK_MULTIPLIER_MIN);
+    const baseKnockback = MAX_DISTANCE - ratio * (MAX_DISTANCE - MIN_DISTANCE);
+    const multiplier = MULTIPLIER_MIN + Math.random() * (MULTIPLIER_MAX - MULTIPLIER_MIN);
     return baseKnockback * multiplier;
 }
 
@@ -114,11 +112,11 @@ function calculateKnockbackEndPosition(attackerX, attackerY, targetX, targetY, k
 
 module.exports = {
     isValidNumber,
-    isValidCoordinate,
     clampCoordinates,
     calculateDistance,
     isValidString,
     isValidPositiveInt,
+    isValidMoveInput,
     calculateKnockbackDistance,
     lineCircleIntersect,
     calculateKnockbackEndPosition,
@@ -1,14 +1,15 @@
 // Character system
 
 class Character {
-    constructor(x, y, imagePath, canvasHeight, playerName = 'Player', isDummy = false) {
+    // config: gameplay numbers from the server's gameConfig payload
+    // characterId: picks the base stats in config.CHARACTERS and the registry's attack type (dummies use the default)
+    constructor(x, y, imagePath, canvasHeight, playerName = 'Player', isDummy = false, config, characterId = null) {
         this.x = x;
         this.y = y;
         // Size relative to screen height (LOL-style: about 1/8 of screen height)
         this.displaySize = canvasHeight / GAME_CONFIG.PLAYER.DISPLAY_SIZE_RATIO;
         this.width = this.displaySize;
         this.height = this.displaySize;
-        this.speed = GAME_CONFIG.PLAYER.SPEED;
         this.image = null;
         this.imageLoaded = false;
 
@@ -16,20 +17,20 @@ class Character {
         this.playerName = playerName;
         this.isDummy = isDummy; // Enemy/dummy flag
         this.isDead = false; // Death state for players
+        this.team = null; // 'red' | 'blue' (assigned by server, null for dummies)
+        this.characterId = characterId;
+        const baseStats = config.CHARACTERS[CharacterRegistry.resolveId(characterId)];
 
         // Level system
         this.level = 1;
         this.experience = 0;
-        this.maxLevel = GAME_CONFIG.PLAYER.MAX_LEVEL;
 
         // HP system
-        this.maxHP = GAME_CONFIG.PLAYER.MAX_HP;
-        this.currentHP = GAME_CONFIG.PLAYER.MAX_HP;
+        this.maxHP = baseStats.MAX_HP;
+        this.currentHP = baseStats.MAX_HP;
 
         // Combat system
-        this.attackPower = GAME_CONFIG.COMBAT.ATTACK_POWER;
-        this.attackRange = GAME_CONFIG.COMBAT.ATTACK_RANGE;
-        this.attackCooldown = GAME_CONFIG.COMBAT.ATTACK_COOLDOWN_MS;
+        this.attackPower = Math.round(config.COMBAT.ATTACK_POWER * CharacterRegistry.getAttackType(characterId).power);
         this.lastAttackTime = 0;
         this.isAttacking = false;
         this.attackAnimationTime = GAME_CONFIG.COMBAT.ATTACK_ANIMATION_MS;
@@ -38,7 +39,7 @@ class Character {
 
         // Respawn system (for dummies)
         this.deathTime = 0;
-        this.respawnDelay = GAME_CONFIG.PLAYER.RESPAWN_DELAY_MS;
+        this.deathInfo = null; // Death screen details from the server (kills, death rank, killer)
         this.initialX = x; // Store initial position for respawn
         this.initialY = y;
 
@@ -49,23 +50,41 @@ class Character {
         // Knockback system
         this.isKnockedBack = false;
         this.knockbackStartTime = 0;
-        this.knockbackDuration = GAME_CONFIG.KNOCKBACK.DURATION_MS;
         this.knockbackStartX = 0;
         this.knockbackStartY = 0;
         this.knockbackEndX = 0;
         this.knockbackEndY = 0;
-        this.knockbackMinDistance = GAME_CONFIG.KNOCKBACK.MIN_DISTANCE;
-        this.knockbackMaxDistance = GAME_CONFIG.KNOCKBACK.MAX_DISTANCE;
 
         // Chat bubble system
         this.chatMessage = null;
         this.chatMessageTime = 0;
         this.chatMessageDuration = GAME_CONFIG.EFFECTS.CHAT_BUBBLE_DURATION_MS;
 
+        // Speed, attack, invincibility, respawn and knockback tuning
+        this.applyGameConfig(config);
+
         // Load character image
         this.loadImage(imagePath);
     }
 
+    // Take tunable stats from a gameConfig payload and the character's attack type
+    // (also when the server pushes new balance)
+    // HP and attack power are synced by the server, so they are not touched here
+    applyGameConfig(config) {
+        this.speed = config.CHARACTERS[CharacterRegistry.resolveId(this.characterId)].SPEED;
+        this.maxLevel = config.PLAYER.MAX_LEVEL;
+        this.attackRange = config.COMBAT.ATTACK_RANGE * CharacterRegistry.getAttackType(this.characterId).range;
+        this.attackCooldown = config.COMBAT.ATTACK_COOLDOWN_MS;
+        this.invincibilityDuration = config.PLAYER.INVINCIBILITY_MS;
+        // While dead, keep the escalated delay from playerDied so the countdown matches the server
+        if (!this.isDead) {
+            this.respawnDelay = config.PLAYER.RESPAWN_DELAY_MS;
+        }
+        this.knockbackDuration = config.KNOCKBACK.DURATION_MS;
+        this.knockbackMinDistance = config.KNOCKBACK.MIN_DISTANCE;
+        this.knockbackMaxDistance = config.KNOCKBACK.MAX_DISTANCE;
+    }
+
     /**
      * Load character image with retry logic and fallback support
      * @param {string} path - Image path to load
@@ -167,22 +186,14 @@ class Character {
         // Handle knockback animation using utility
         const isInKnockback = CharacterUtils.updateKnockback(this);
 
-        if (!isInKnockback) {
-            // Keyboard movement (Arrow keys only - WASD reserved for skills)
-            // Movement is now frame-rate independent: distance = speed * deltaTime
-            const moveDistance = this.speed * deltaTime;
+        // Movement input applied this frame (sent to the server, which computes the real position)
+        this.lastMovementInput = null;
 
-            if (isKeyPressed('arrowup')) {
-                this.y -= moveDistance;
-            }
-            if (isKeyPressed('arrowdown')) {
-                this.y += moveDistance;
-            }
-            if (isKeyPressed('arrowleft')) {
-                this.x -= moveDistance;
-            }
-            if (isKeyPressed('arrowright')) {
-                this.x += moveDistance;
+        if (!isInKnockback) {
+            const input = this.readMovementInput(deltaTime);
+            if (input) {
+                this.applyMovementInput(input, canvas);
+                this.lastMovementInput = input;
             }
         }
 
@@ -204,6 +215,34 @@ class Character {
         CharacterUtils.updateChatBubble(this);
     }
 
+    /**
+     * Read keyboard movement for this frame (Arrow keys only - WASD reserved for skills)
+     * @param {number} deltaTime - Frame time in seconds
+     * @returns {{dirX: number, dirY: number, dt: number}|null} Directional input, or null when idle
+     */
+    readMovementInput(deltaTime) {
+        const dirX = (isKeyPressed('arrowright') ? 1 : 0) - (isKeyPressed('arrowleft') ? 1 : 0);
+        const dirY = (isKeyPressed('arrowdown') ? 1 : 0) - (isKeyPressed('arrowup') ? 1 : 0);
+
+        if (dirX === 0 && dirY === 0) return null;
+
+        return { dirX, dirY, dt: deltaTime * 1000 };
+    }
+
+    /**
+     * Apply a directional input exactly the way the server does
+     * (distance = speed * dt per axis, clamped to half the character size from the edges)
+     * @param {{dirX: number, dirY: number, dt: number}} input - Directional input (dt in ms)
+     * @param {{width: number, height: number}} canvas - Game world dimensions
+     */
+    applyMovementInput(input, canvas) {
+        const moveDistance = this.speed * (input.dt / 1000);
+        const margin = this.displaySize / 2;
+
+        this.x = Math.max(margin, Math.min(canvas.width - margin, this.x + input.dirX * moveDistance));
+        this.y = Math.max(margin, Math.min(canvas.height - margin, this.y + input.dirY * moveDistance));
+    }
+
     render(ctx) {
         // Calculate hit flash intensity using utility
         const hitFlashIntensity = CharacterUtils.calculateHitFlashIntensity(this.hitFlashTime, this.hitFlashDuration);
@@ -371,7 +410,6 @@ class Character {
     // Also immune during knockback
     takeDamage(amount) {
         const currentTime = Date.now();
-        const invincibilityDuration = GAME_CONFIG.PLAYER.INVINCIBILITY_MS;
 
         // Immune during knockback
         if (this.isKnockedBack) {
@@ -379,7 +417,7 @@ class Character {
         }
 
         // Check if still in invincibility period
-        if (currentTime - this.lastDamagedTime < invincibilityDuration) {
+        if (currentTime - this.lastDamagedTime < this.invincibilityDuration) {
             return false; // Still invincible, no damage taken
         }
 
@@ -442,7 +480,7 @@ class Character {
     }
 
     // Calculate knockback end position
-    static calculateKnockbackEndPosition(attackerX, attackerY, targetX, targetY, knockbackDistance, canvasWidth, canvasHeight) {
+    static calculateKnockbackEndPosition(attackerX, attackerY, targetX, targetY, knockbackDistance, canvasWidth, canvasHeight, margin = 50) {
         let dirX = targetX - attackerX;
         let dirY = targetY - attackerY;
         const distance = Math.sqrt(dirX * dirX + dirY * dirY);
@@ -463,7 +501,6 @@ class Character {
         let endY = targetY + dirY * knockbackDistance;
 
         // Clamp to canvas bounds (with some margin for character size)
-        const margin = GAME_CONFIG.KNOCKBACK.BOUNDARY_MARGIN;
         endX = Math.max(margin, Math.min(canvasWidth - margin, endX));
         endY = Math.max(margin, Math.min(canvasHeight - margin, endY));
 
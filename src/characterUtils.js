@@ -42,10 +42,20 @@ const CharacterUtils = {
         ctx.restore();
     },
 
+    /**
+     * Get the name/HP bar colors for an entity's team
+     * @param {string|null} team - 'red', 'blue', or null (dummies, not yet assigned)
+     * @returns {{NAME: string, HP: string}} Colors (white name and green HP bar without a team)
+     */
+    getTeamColors(team) {
+        const teamColors = team && GAME_CONFIG.TEAM.COLORS[team];
+        return teamColors || { NAME: '#ffffff', HP: '#00ff00' };
+    },
+
     /**
      * Render character info above (HP bar, EXP bar, name)
      * @param {CanvasRenderingContext2D} ctx - Canvas context
-     * @param {Object} entity - Entity with x, y, width, height, playerName, level, etc.
+     * @param {Object} entity - Entity with x, y, width, height, playerName, level, team, etc.
      * @param {Object} options - Rendering options
      */
     renderInfoAbove(ctx, entity, options = {}) {
@@ -55,6 +65,7 @@ const CharacterUtils = {
         } = options;
 
         const infoY = entity.y - entity.height / 2 - 15;
+        const teamColors = CharacterUtils.getTeamColors(entity.team);
 
         // HP Bar (1.5x size)
         const hpBarWidth = entity.width * 1.5;
@@ -66,9 +77,9 @@ const CharacterUtils = {
         ctx.fillStyle = '#333333';
         ctx.fillRect(hpBarX, hpBarY, hpBarWidth, hpBarHeight);
 
-        // HP Bar fill (green)
+        // HP Bar fill (team color)
         const hpPercentage = entity.currentHP / entity.maxHP;
-        ctx.fillStyle = '#00ff00';
+        ctx.fillStyle = teamColors.HP;
         ctx.fillRect(hpBarX, hpBarY, hpBarWidth * hpPercentage, hpBarHeight);
 
         // HP Bar border
@@ -98,7 +109,7 @@ const CharacterUtils = {
 
         // Player name and level
         const nameY = hpBarY - 5;
-        ctx.fillStyle = '#ffffff';
+        ctx.fillStyle = teamColors.NAME;
         ctx.font = '600 16px Inter, sans-serif';
         ctx.textAlign = 'center';
         ctx.textBaseline = 'bottom';
@@ -0,0 +1,137 @@
+// Character registry - shared by the client (lobby, startGame) and the server (which enforces it)
+// Kits and attack shapes live here; maxHP and speed are only the defaults for the
+// balance file's CHARACTERS section, which the server (and gameConfig) go by
+
+const CHARACTER_REGISTRY = {
+    DEFAULT: 'alien',
+
+    // Basic attack shapes: multipliers on the balance's COMBAT.ATTACK_RANGE and attack power
+    ATTACK_TYPES: {
+        melee: { name: '근접', range: 1, power: 1 },        // Hits everything around at close range
+        reach: { name: '긴 사거리', range: 1.3, power: 0.8 }, // Longer reach, lighter hits
+        heavy: { name: '강타', range: 0.8, power: 1.4 },      // Short reach, heavy hits
+    },
+
+    // maxHP, speed: defaults for the balance file (the lobby shows these)
+    // skills: the kit in UI order (keys come from GAME_CONFIG.SKILL_KEYS)
+    // unlockOrder: 1 = playable from the start, then the order characters unlock in (docs/characters.md)
+    // Only the alien's kit exists so far; the others borrow it until theirs are built
+    CHARACTERS: {
+        'alien': {
+            name: '외계인',
+            image: 'asset/image/alien.png',
+            maxHP: 100,
+            speed: 300,
+            attackType: 'melee',
+            skills: ['laser', 'teleport', 'telepathy'],
+            unlockOrder: 1,
+        },
+        'crazy-eyes': {
+            name: '눈 돌아가는 사람',
+            image: 'asset/image/crazy-eyes.png',
+            maxHP: 90,
+            speed: 320,
+            attackType: 'reach',
+            skills: ['laser', 'teleport', 'telepathy'],
+            unlockOrder: 2,
+        },
+        'curry-bear': {
+            name: '카레 곰돌이',
+            image: 'asset/image/curry-bear.png',
+            maxHP: 130,
+            speed: 270,
+            attackType: 'heavy',
+            skills: ['laser', 'teleport', 'telepathy'],
+            unlockOrder: 3,
+        },
+        'big-sis-hulk': {
+            name: '헐크 언니',
+            image: 'asset/image/big-sis-hulk.png',
+            maxHP: 150,
+            speed: 250,
+            attackType: 'heavy',
+            skills: ['laser', 'teleport', 'telepathy'],
+            unlockOrder: 4,
+        },
+        'teacher': {
+            name: '선생님',
+            image: 'asset/image/teacher.png',
+            maxHP: 100,
+            speed: 300,
+            attackType: 'melee',
+            skills: ['laser', 'teleport', 'telepathy'],
+            unlockOrder: 5,
+        },
+        'squeak-squeak': {
+            name: '찍찍찍찍찍',
+            image: 'asset/image/squeak-squeak.png',
+            maxHP: 80,
+            speed: 340,
+            attackType: 'melee',
+            skills: ['laser', 'teleport', 'telepathy'],
+            unlockOrder: 6,
+        },
+    },
+};
+
+const CharacterRegistry = {
+    /**
+     * Check whether a character ID exists
+     * @param {string} characterId - Character ID from the lobby
+     * @returns {boolean}
+     */
+    has(characterId) {
+        return Object.prototype.hasOwnProperty.call(CHARACTER_REGISTRY.CHARACTERS, characterId);
+    },
+
+    /**
+     * Resolve a character ID (unknown IDs become the default character)
+     * @param {string} characterId - Character ID
+     * @returns {string} A registered character ID
+     */
+    resolveId(characterId) {
+        return CharacterRegistry.has(characterId) ? characterId : CHARACTER_REGISTRY.DEFAULT;
+    },
+
+    /**
+     * Get a character's entry (unknown IDs get the default character)
+     * @param {string} characterId - Character ID
+     * @returns {Object} Registry entry
+     */
+    get(characterId) {
+        return CHARACTER_REGISTRY.CHARACTERS[CharacterRegistry.resolveId(characterId)];
+    },
+
+    /**
+     * Get the basic attack shape of a character
+     * @param {string} characterId - Character ID
+     * @returns {{name: string, range: number, power: number}} Display name and multipliers on the shared attack range and power
+     */
+    getAttackType(characterId) {
+        return CHARACTER_REGISTRY.ATTACK_TYPES[CharacterRegistry.get(characterId).attackType];
+    },
+
+    /**
+     * Check whether a skill is in a character's kit
+     * @param {string} characterId - Character ID
+     * @param {string} skill - Skill ID (laser, teleport, telepathy)
+     * @returns {boolean}
+     */
+    hasSkill(characterId, skill) {
+        return CharacterRegistry.get(characterId).skills.includes(skill);
+    },
+
+    /**
+     * All character IDs, in the order they unlock (the lobby lists them this way)
+     * @returns {string[]}
+     */
+    getIdsInUnlockOrder() {
+        const characters = CHARACTER_REGISTRY.CHARACTERS;
+        return Object.keys(characters).sort((a, b) => characters[a].unlockOrder - characters[b].unlockOrder);
+    }
+};
+
+// Export for Node.js (server-side) if module is defined
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CHARACTER_REGISTRY, CharacterRegistry };
+}
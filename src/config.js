@@ -1,5 +1,7 @@
 // Game Configuration - Centralized constants for Unhinged Students
 // This file consolidates all magic numbers to improve maintainability
+// Gameplay numbers (speed, HP, damage, cooldowns...) are owned by the server
+// and arrive as the gameConfig payload; only client-side values live here
 
 const GAME_CONFIG = {
     // =====================================
@@ -15,32 +17,37 @@ const GAME_CONFIG = {
     // PLAYER
     // =====================================
     PLAYER: {
-        SPEED: 300,                     // pixels per second
-        MAX_HP: 100,
-        MAX_LEVEL: 30,
         DISPLAY_SIZE_RATIO: 8,          // canvasHeight / 8
-        RESPAWN_DELAY_MS: 5000,         // 5 seconds
-        INVINCIBILITY_MS: 300,          // 300ms after being hit
+    },
+
+    // =====================================
+    // TEAMS (assigned by the server)
+    // =====================================
+    TEAM: {
+        COLORS: {
+            red: { NAME: '#ff8080', HP: '#ff4444' },
+            blue: { NAME: '#80b3ff', HP: '#4488ff' },
+        },
     },
 
     // =====================================
     // COMBAT
     // =====================================
     COMBAT: {
-        ATTACK_POWER: 10,
-        ATTACK_RANGE: 150,
-        ATTACK_COOLDOWN_MS: 500,        // 0.5 seconds
         ATTACK_ANIMATION_MS: 200,
     },
 
     // =====================================
-    // KNOCKBACK
+    // NETWORK (client-side prediction, snapshot interpolation)
     // =====================================
-    KNOCKBACK: {
-        MIN_DISTANCE: 30,               // at max attack range
-        MAX_DISTANCE: 100,              // at 0 distance
-        DURATION_MS: 200,
-        BOUNDARY_MARGIN: 50,
+    NETWORK: {
+        PROTOCOL_VERSION: 1,            // must match the server's PROTOCOL.VERSION (checked on joinGame)
+        INTERPOLATION_DELAY_MS: 100,    // remote entities are rendered this far in the past
+        MAX_EXTRAPOLATION_MS: 100,      // keep moving this long when snapshots are late
+        SNAPSHOT_BUFFER_SIZE: 30,       // snapshots kept per entity
+        RECONCILE_MIN_ERROR: 0.5,       // px - smaller prediction errors are ignored
+        RECONCILE_SNAP_DISTANCE: 150,   // px - larger errors snap instead of smoothing
+        RECONCILE_SMOOTHING: 0.2,       // fraction of the remaining error corrected per frame
     },
 
     // =====================================
@@ -52,15 +59,21 @@ const GAME_CONFIG = {
         CHAT_BUBBLE_DURATION_MS: 3000,
     },
 
+    // =====================================
+    // SKILL KEYS (server skill ID -> key)
+    // =====================================
+    SKILL_KEYS: {
+        laser: 'q',
+        teleport: 'w',
+        telepathy: 'e',
+    },
+
     // =====================================
     // SKILLS - LASER (Q)
     // =====================================
     SKILL_LASER: {
-        COOLDOWN_MS: 2000,              // 2 seconds
-        AIM_DURATION_MS: 1000,          // 1 second aiming
+        NAME: '레이저',
         FIRE_DURATION_MS: 200,          // 0.2 second firing flash
-        DAMAGE: 44,                     // 2x normal attack
-        MAX_LENGTH: 2000,
         READY_FLASH_DURATION_MS: 300,
         COLOR: '#FF4444',               // Red
     },
@@ -69,13 +82,8 @@ const GAME_CONFIG = {
     // SKILLS - TELEPORT (W)
     // =====================================
     SKILL_TELEPORT: {
-        COOLDOWN_MS: 7000,              // 7 seconds
-        DISAPPEAR_DURATION_MS: 150,
+        NAME: '순간이동',
         APPEAR_DURATION_MS: 200,
-        MIN_DISTANCE: 200,
-        MAX_DISTANCE: 400,
-        DAMAGE_RADIUS: 100,
-        DAMAGE: 12,
         COLOR: '#44FF44',               // Green
     },
 
@@ -83,12 +91,7 @@ const GAME_CONFIG = {
     // SKILLS - TELEPATHY (E)
     // =====================================
     SKILL_TELEPATHY: {
-        COOLDOWN_MS: 12000,             // 12 seconds
-        DURATION_MS: 3000,              // 3 second channeling
-        TICK_INTERVAL_MS: 100,          // 0.1 second tick
-        RADIUS: 180,
-        DAMAGE_PER_TICK: 2,
-        MAX_HEAL_PER_TICK: 4,
+        NAME: '텔레파시',
         COLOR: '#8B5CF6',               // Purple
     },
 
@@ -104,19 +107,6 @@ const GAME_CONFIG = {
         COLOR: '#00ffff',               // Cyan
     },
 
-    // =====================================
-    // DUMMY (Test NPCs)
-    // =====================================
-    DUMMY: {
-        MAX_HP: 30,                     // 3 hits to kill
-        RESPAWN_DELAY_MS: 5000,
-        POSITIONS: [
-            { offsetX: 300, offsetY: 0, name: 'Dummy 1' },
-            { offsetX: -300, offsetY: 0, name: 'Dummy 2' },
-            { offsetX: 0, offsetY: 300, name: 'Dummy 3' },
-        ],
-    },
-
     // =====================================
     // UI
     // =====================================
@@ -127,6 +117,30 @@ const GAME_CONFIG = {
         SKILL_BOX_BORDER_RADIUS: 8,
     },
 
+    // =====================================
+    // KILL FEED & ANNOUNCER
+    // =====================================
+    KILL_FEED: {
+        MAX_ENTRIES: 5,
+        ENTRY_DURATION_MS: 6000,
+        ICON_SIZE: 24,
+        // Skill that landed the kill (sent by the server in playerDied)
+        SKILL_ICONS: {
+            attack: { COLOR: '#E0E0E0', LABEL: 'A' },
+            laser: { COLOR: '#FF4444', LABEL: 'Q' },
+            teleport: { COLOR: '#44FF44', LABEL: 'W' },
+            telepathy: { COLOR: '#8B5CF6', LABEL: 'E' },
+        },
+        BANNER_DURATION_MS: 2500,       // Announcer banner (queued, one at a time)
+        BANNER_TEXT: {
+            firstBlood: 'FIRST BLOOD',
+            doubleKill: 'DOUBLE KILL',
+            tripleKill: 'TRIPLE KILL',
+            killingSpree: 'KILLING SPREE',
+            shutdown: 'SHUTDOWN',
+        },
+    },
+
     // =====================================
     // PARTICLES
     // =====================================
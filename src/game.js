@@ -24,6 +24,7 @@ const gameState = {
     player: null,
     lobbyManager: null, // Lobby UI manager
     shardManager: null,
+    killFeed: null, // Kill feed and announcer banners
     networkManager: null,
     chatManager: null,
     skillManager: null, // Skill system
@@ -32,6 +33,7 @@ const gameState = {
     teleportEffect: null, // Teleport (W skill) effect
     telepathyEffect: null, // Telepathy (E skill) effect
     dummies: [], // Test dummies for combat practice
+    gameConfig: null, // Gameplay numbers from the server (see applyGameConfig)
     stats: {
         shardsCollected: 0
     },
@@ -43,7 +45,8 @@ const gameState = {
     hitVignetteDuration: GAME_CONFIG.EFFECTS.HIT_VIGNETTE_DURATION_MS,
     // Player selection from lobby
     selectedCharacter: 'alien',
-    playerName: 'Player'
+    playerName: 'Player',
+    selectedMode: 'match' // 'match' (5v5 room) or 'training' (dummy practice room)
 };
 
 // Resize canvas to fill window while maintaining 16:9 aspect ratio
@@ -96,6 +99,7 @@ function init() {
         // Store player selection
         gameState.selectedCharacter = selection.character;
         gameState.playerName = selection.playerName;
+        gameState.selectedMode = selection.mode || 'match';
 
         // Start the actual game
         startGame();
@@ -106,11 +110,63 @@ function init() {
 
 // Start game after lobby selection
 function startGame() {
-    logger.info(`Starting game with character: ${gameState.selectedCharacter}, name: ${gameState.playerName}`);
+    logger.info(`Starting ${gameState.selectedMode} with character: ${gameState.selectedCharacter}, name: ${gameState.playerName}`);
 
     // Update screen state
     gameState.screen = 'playing';
 
+    // Create shard manager (will be populated by server)
+    gameState.shardManager = new ShardManager();
+    gameState.shardManager.enableServerMode();
+
+    // Create kill feed (filled by playerDied / announcement events)
+    gameState.killFeed = new KillFeed();
+
+    // Initialize chat manager (kept across matches - it owns DOM listeners)
+    if (!gameState.chatManager) {
+        gameState.chatManager = new ChatManager();
+    }
+
+    // Initialize network manager and connect to server
+    // Auto-detects server address from window.location.hostname
+    // The player, dummies and skills are created once the server sends gameConfig
+    gameState.networkManager = new NetworkManager();
+    gameState.networkManager.setShardManager(gameState.shardManager);
+    gameState.networkManager.setKillFeed(gameState.killFeed);
+    gameState.networkManager.setRoomMode(gameState.selectedMode);
+    gameState.networkManager.setCharacter(gameState.selectedCharacter);
+    gameState.networkManager.setPlayerName(gameState.playerName);
+    gameState.networkManager.setOnGameConfig(applyGameConfig);
+    gameState.networkManager.setOnJoinRejected((rejection) => {
+        returnToLobby();
+        gameState.lobbyManager.showJoinError(rejection);
+    });
+    gameState.networkManager.connect();
+
+    // Connect chat to network after socket is ready
+    setTimeout(() => {
+        if (gameState.networkManager.socket) {
+            gameState.chatManager.setSocket(gameState.networkManager.socket);
+            gameState.chatManager.addSystemMessage('Connected to server. Press Enter to chat.');
+        }
+    }, 500);
+}
+
+// Build the player, dummies and skills from the server's gameplay config, then start the loop
+function applyGameConfig(config) {
+    gameState.gameConfig = config;
+
+    // Already playing: new balance from the server (or the same config after a reconnect)
+    if (gameState.running) {
+        gameState.player.applyGameConfig(config);
+        gameState.skillManager.applyGameConfig(config);
+        gameState.laserBeamEffect.applyGameConfig(config);
+        gameState.teleportEffect.applyGameConfig(config);
+        gameState.telepathyEffect.applyGameConfig(config);
+        logger.info('Applied new game config from server');
+        return;
+    }
+
     // Get character image path
     const characterImage = LobbyManager.getCharacterImagePath(gameState.selectedCharacter);
 
@@ -121,13 +177,16 @@ function startGame() {
         GAME_HEIGHT / 2,
         characterImage,
         GAME_HEIGHT,
-        gameState.playerName
+        gameState.playerName,
+        false,
+        config,
+        gameState.selectedCharacter
     );
 
-    // Create test dummies for combat practice
+    // Create test dummies for combat practice (only the training room has them)
     // Position them around the map for testing
-    const dummyConfig = GAME_CONFIG.DUMMY;
-    const dummyPositions = dummyConfig.POSITIONS.map(pos => ({
+    const dummyConfig = config.DUMMY;
+    const dummyPositions = gameState.selectedMode !== 'training' ? [] : dummyConfig.POSITIONS.map(pos => ({
         x: GAME_WIDTH / 2 + pos.offsetX,
         y: GAME_HEIGHT / 2 + pos.offsetY,
         name: pos.name
@@ -140,62 +199,46 @@ function startGame() {
             'asset/image/alien.png',
             GAME_HEIGHT,
             pos.name,
-            true // isDummy = true
+            true, // isDummy = true
+            config
         );
         // Make dummies stationary and distinguishable
         dummy.speed = 0; // Don't move
         dummy.maxHP = dummyConfig.MAX_HP;
         dummy.currentHP = dummyConfig.MAX_HP;
+        dummy.respawnDelay = dummyConfig.RESPAWN_DELAY_MS;
         gameState.dummies.push(dummy);
     });
 
     logger.debug(`Created ${gameState.dummies.length} test dummies`);
 
-    // Initialize skill system
-    gameState.skillManager = new SkillManager();
-
-    // Add skills: Q = Laser Beam, W = Teleport, E = Telepathy
-    gameState.skillManager.addSkill(new Skill('레이저', 'q', GAME_CONFIG.SKILL_LASER.COOLDOWN_MS, GAME_CONFIG.SKILL_LASER.COLOR));
-    gameState.skillManager.addSkill(new Skill('순간이동', 'w', GAME_CONFIG.SKILL_TELEPORT.COOLDOWN_MS, GAME_CONFIG.SKILL_TELEPORT.COLOR));
-    gameState.skillManager.addSkill(new Skill('텔레파시', 'e', GAME_CONFIG.SKILL_TELEPATHY.COOLDOWN_MS, GAME_CONFIG.SKILL_TELEPATHY.COLOR));
+    // Initialize skill system (the selected character's kit from the registry)
+    gameState.skillManager = SkillManager.fromGameConfig(config, gameState.selectedCharacter);
 
     // Initialize skill UI
     gameState.skillUI = new SkillUI(gameState.skillManager);
 
     // Initialize laser beam effect
-    gameState.laserBeamEffect = new LaserBeamEffect();
+    gameState.laserBeamEffect = new LaserBeamEffect(config);
 
     // Initialize teleport effect
-    gameState.teleportEffect = new TeleportEffect();
+    gameState.teleportEffect = new TeleportEffect(config);
 
     // Initialize telepathy effect
-    gameState.telepathyEffect = new TelepathyEffect();
+    gameState.telepathyEffect = new TelepathyEffect(config);
 
     logger.debug('Skill system initialized');
 
-    // Create shard manager (will be populated by server)
-    gameState.shardManager = new ShardManager();
-    gameState.shardManager.enableServerMode();
-
-    // Initialize chat manager
-    gameState.chatManager = new ChatManager();
     gameState.chatManager.setPlayer(gameState.player);
 
-    // Initialize network manager and connect to server
-    // Auto-detects server address from window.location.hostname
-    gameState.networkManager = new NetworkManager();
-    gameState.networkManager.setShardManager(gameState.shardManager);
+    gameState.networkManager.setSkillManager(gameState.skillManager);
+    gameState.networkManager.setSkillEffects({
+        laser: gameState.laserBeamEffect,
+        teleport: gameState.teleportEffect,
+        telepathy: gameState.telepathyEffect
+    });
     gameState.networkManager.setLocalPlayer(gameState.player);
     gameState.networkManager.setDummies(gameState.dummies);
-    gameState.networkManager.connect();
-
-    // Connect chat to network after socket is ready
-    setTimeout(() => {
-        if (gameState.networkManager.socket) {
-            gameState.chatManager.setSocket(gameState.networkManager.socket);
-            gameState.chatManager.addSystemMessage('Connected to server. Press Enter to chat.');
-        }
-    }, 500);
 
     gameState.running = true;
     gameLoop();
@@ -203,6 +246,12 @@ function startGame() {
 
 // Update game logic
 function update(deltaTime) {
+    // Leave for the lobby once the match result has been shown
+    if (isMatchResultOver()) {
+        returnToLobby();
+        return;
+    }
+
     // Don't update player movement if chat is focused or player is dead
     const isChatting = gameState.chatManager && gameState.chatManager.isChatInputFocused();
     const isPlayerDead = gameState.player && gameState.player.isDead;
@@ -211,19 +260,16 @@ function update(deltaTime) {
         // Pass game world dimensions and delta time
         gameState.player.update({ width: GAME_WIDTH, height: GAME_HEIGHT }, deltaTime);
 
-        // Send player position to server
+        // Send this frame's movement input to server (server computes the position)
         if (gameState.networkManager) {
-            const pos = gameState.player.getPosition();
-            gameState.networkManager.sendPlayerPosition(
-                pos.x,
-                pos.y,
-                gameState.player.playerName,
-                gameState.player.level,
-                gameState.player.experience
-            );
+            gameState.networkManager.sendPlayerInput(gameState.player.lastMovementInput);
         }
     }
 
+    if (gameState.killFeed) {
+        gameState.killFeed.update();
+    }
+
     if (gameState.shardManager) {
         gameState.shardManager.update();
 
@@ -233,10 +279,7 @@ function update(deltaTime) {
             gameState.stats.shardsCollected += collectedShards.length;
             logger.debug(`Collected ${collectedShards.length} shard(s)! Total: ${gameState.stats.shardsCollected}`);
 
-            // Add experience for each shard collected (1 shard = 1 exp)
-            gameState.player.addExperience(collectedShards.length);
-
-            // Send shard collection to server
+            // Send shard collection to server (the server grants the experience)
             if (gameState.networkManager) {
                 collectedShards.forEach(shard => {
                     if (shard.id !== null) {
@@ -273,7 +316,7 @@ function update(deltaTime) {
         // Dummy damage is now handled by server via dummyDamaged event
     }
 
-    // Update remote players
+    // Update remote players and smooth out local prediction corrections
     if (gameState.networkManager) {
         gameState.networkManager.update();
     }
@@ -295,14 +338,12 @@ function update(deltaTime) {
                     gameState.laserBeamEffect.start(playerPos.x, playerPos.y, target.x, target.y);
                     logger.debug(`Used skill: ${skill.name} - targeting ${target.type} at (${target.x.toFixed(0)}, ${target.y.toFixed(0)})`);
 
-                    // Send laser aiming to server for sync with other players
+                    // Cast on the server (it fires the beam after the aim windup)
                     if (gameState.networkManager) {
-                        gameState.networkManager.sendLaserAiming(
-                            playerPos.x,
-                            playerPos.y,
-                            gameState.laserBeamEffect.dirX,
-                            gameState.laserBeamEffect.dirY
-                        );
+                        gameState.networkManager.sendCastSkill('laser', {
+                            dirX: gameState.laserBeamEffect.dirX,
+                            dirY: gameState.laserBeamEffect.dirY
+                        });
                     }
                 }
             }
@@ -325,14 +366,12 @@ function update(deltaTime) {
                     logger.debug(`Used skill: ${skill.name} - random teleport (no enemies)`);
                 }
 
-                // Send teleport event to server for sync
+                // Cast on the server (it moves the player and deals the arrival damage)
                 if (gameState.networkManager) {
-                    gameState.networkManager.sendTeleport(
-                        gameState.teleportEffect.startX,
-                        gameState.teleportEffect.startY,
-                        gameState.teleportEffect.endX,
-                        gameState.teleportEffect.endY
-                    );
+                    gameState.networkManager.sendCastSkill('teleport', {
+                        endX: gameState.teleportEffect.endX,
+                        endY: gameState.teleportEffect.endY
+                    });
                 }
             }
         }
@@ -345,35 +384,18 @@ function update(deltaTime) {
                 gameState.telepathyEffect.start(playerPos.x, playerPos.y);
                 logger.debug(`Used skill: ${skill.name}`);
 
-                // Send telepathy event to server for sync
+                // Cast on the server (it runs the channel ticks)
                 if (gameState.networkManager) {
-                    gameState.networkManager.sendTelepathy(
-                        playerPos.x,
-                        playerPos.y,
-                        gameState.telepathyEffect.radius
-                    );
+                    gameState.networkManager.sendCastSkill('telepathy');
                 }
             }
         }
     }
 
-    // Update laser beam effect
+    // Update skill effects (visual only - the server resolves skill damage)
     if (gameState.laserBeamEffect && gameState.laserBeamEffect.active) {
         const playerPos = gameState.player.getPosition();
         gameState.laserBeamEffect.update(playerPos.x, playerPos.y);
-
-        // Check if laser should deal damage (when firing phase starts)
-        if (gameState.laserBeamEffect.shouldDealDamage()) {
-            // Send laser attack to server
-            const line = gameState.laserBeamEffect.getLaserLine();
-            if (line && gameState.networkManager) {
-                gameState.networkManager.sendLaserAttack(
-                    line.x1, line.y1,
-                    line.x2, line.y2,
-                    gameState.laserBeamEffect.damage
-                );
-            }
-        }
     }
 
     // Update teleport effect
@@ -385,39 +407,12 @@ function update(deltaTime) {
             gameState.player.x = teleportResult.x;
             gameState.player.y = teleportResult.y;
         }
-
-        // Check if teleport should deal damage
-        if (gameState.teleportEffect.shouldDealDamage()) {
-            const area = gameState.teleportEffect.getDamageArea();
-            if (gameState.networkManager) {
-                gameState.networkManager.sendTeleportDamage(
-                    area.x,
-                    area.y,
-                    area.radius,
-                    area.damage
-                );
-            }
-        }
     }
 
     // Update telepathy effect
     if (gameState.telepathyEffect && gameState.telepathyEffect.active) {
         const playerPos = gameState.player.getPosition();
         gameState.telepathyEffect.update(playerPos.x, playerPos.y);
-
-        // Check if telepathy should deal damage and heal
-        if (gameState.telepathyEffect.shouldDealDamage()) {
-            const area = gameState.telepathyEffect.getDamageArea();
-            if (gameState.networkManager) {
-                gameState.networkManager.sendTelepathyDamage(
-                    area.x,
-                    area.y,
-                    area.radius,
-                    area.damagePerTarget,
-                    area.maxHeal
-                );
-            }
-        }
     }
 }
 
@@ -515,6 +510,15 @@ function renderDeathScreen(ctx) {
 
     ctx.fillText('YOU DIED', GAME_WIDTH / 2, GAME_HEIGHT / 2 - 50);
 
+    // Killer and my stats (sent with playerDied)
+    const info = player.deathInfo;
+    if (info) {
+        ctx.fillStyle = '#E0E0E0';
+        ctx.font = '600 28px Jua, sans-serif';
+        ctx.fillText(formatKillerLine(info), GAME_WIDTH / 2, GAME_HEIGHT / 2 - 130);
+        ctx.fillText(`Kills: ${info.kills}   Death rank: #${info.deathRank} / ${info.playerCount}`, GAME_WIDTH / 2, GAME_HEIGHT / 2 + 90);
+    }
+
     // Respawn timer
     ctx.fillStyle = '#ffffff';
     ctx.font = '600 36px Jua, sans-serif';
@@ -525,6 +529,219 @@ function renderDeathScreen(ctx) {
     ctx.restore();
 }
 
+// Killer line on the death screen, e.g. "Killed by Bob (선생님) - 42 damage"
+function formatKillerLine(info) {
+    if (!info.killerName) {
+        return 'Killed';
+    }
+    const characterName = LobbyManager.getCharacterName(info.killerCharacter);
+    return `Killed by ${info.killerName} (${characterName}) - ${info.killerDamage} damage`;
+}
+
+// Scoreboard is shown while Tab is held (not while typing in chat)
+function isScoreboardVisible() {
+    if (!gameState.networkManager) return false;
+    if (gameState.chatManager && gameState.chatManager.isChatInputFocused()) return false;
+    return isKeyPressed('tab');
+}
+
+// Group score lines by team (team order from GAME_CONFIG.TEAM), each sorted by kills
+function groupScoreboard(players) {
+    const byKills = (a, b) => (b.kills - a.kills) || (a.deaths - b.deaths);
+    const teams = Object.keys(GAME_CONFIG.TEAM.COLORS);
+    const groups = teams.map(team => ({
+        team: team,
+        players: players.filter(p => p.team === team).sort(byKills)
+    }));
+
+    // Players without a known team (e.g. training room) go in one more group
+    const others = players.filter(p => !teams.includes(p.team)).sort(byKills);
+    if (others.length > 0) {
+        groups.push({ team: null, players: others });
+    }
+
+    return groups.filter(group => group.players.length > 0);
+}
+
+// Render scoreboard overlay (Tab)
+function renderScoreboard(ctx) {
+    const networkManager = gameState.networkManager;
+    const groups = groupScoreboard(networkManager.scoreboard);
+    const columns = [
+        { label: 'Name', x: -400, align: 'left' },
+        { label: 'Lv', x: 40, align: 'center' },
+        { label: 'K', x: 120, align: 'center' },
+        { label: 'D', x: 200, align: 'center' },
+        { label: 'A', x: 280, align: 'center' },
+        { label: 'Shards', x: 380, align: 'center' }
+    ];
+    const rowHeight = 36;
+    const rowCount = groups.reduce((count, group) => count + group.players.length + 1, 0);
+    const height = 80 + rowCount * rowHeight;
+    const top = (GAME_HEIGHT - height) / 2;
+    const centerX = GAME_WIDTH / 2;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.fillRect(centerX - 440, top, 880, height);
+    ctx.textBaseline = 'middle';
+
+    // Header
+    ctx.font = '600 22px Jua, sans-serif';
+    ctx.fillStyle = '#A0A0A0';
+    columns.forEach(column => {
+        ctx.textAlign = column.align;
+        ctx.fillText(column.label, centerX + column.x, top + 40);
+    });
+
+    let y = top + 40 + rowHeight;
+    groups.forEach(group => {
+        const teamColors = CharacterUtils.getTeamColors(group.team);
+
+        // Team title
+        ctx.textAlign = 'left';
+        ctx.font = '600 24px Jua, sans-serif';
+        ctx.fillStyle = teamColors.NAME;
+        ctx.fillText(group.team ? group.team.toUpperCase() : 'PLAYERS', centerX + columns[0].x, y);
+        y += rowHeight;
+
+        ctx.font = '600 22px Jua, sans-serif';
+        group.players.forEach(p => {
+            const values = [p.playerName, p.level, p.kills, p.deaths, p.assists, p.shardsCollected];
+            ctx.fillStyle = p.playerId === networkManager.playerId ? '#FFD93D' : '#ffffff';
+            columns.forEach((column, i) => {
+                ctx.textAlign = column.align;
+                ctx.fillText(String(values[i]), centerX + column.x, y);
+            });
+            y += rowHeight;
+        });
+    });
+
+    ctx.restore();
+}
+
+// Format milliseconds as m:ss
+function formatMatchTime(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+// Render match timer HUD (top center, below the connection status)
+function renderMatchHUD(ctx) {
+    const networkManager = gameState.networkManager;
+    if (!networkManager) return;
+
+    const match = networkManager.match;
+    const remainingMs = networkManager.getMatchRemainingMs();
+
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.shadowColor = '#000000';
+    ctx.shadowBlur = 3;
+    ctx.shadowOffsetX = 1;
+    ctx.shadowOffsetY = 1;
+
+    if (networkManager.roomMode === 'training') {
+        // Training room has no match timer
+        ctx.fillStyle = '#4ECDC4';
+        ctx.font = '600 24px Jua, sans-serif';
+        ctx.fillText('Training', GAME_WIDTH / 2, 110);
+    } else if (match.phase === 'waiting') {
+        ctx.fillStyle = '#E0E0E0';
+        ctx.font = '600 24px Jua, sans-serif';
+        ctx.fillText('Waiting for players...', GAME_WIDTH / 2, 110);
+    } else if (match.phase === 'countdown') {
+        ctx.fillStyle = '#FFD93D';
+        ctx.font = '600 48px Jua, sans-serif';
+        ctx.fillText(`Match starts in ${Math.ceil(remainingMs / 1000)}`, GAME_WIDTH / 2, 120);
+    } else {
+        // Timer flanked by each team's kills
+        const timerMs = match.phase === 'playing' ? remainingMs : 0;
+        ctx.fillStyle = timerMs <= 10000 ? '#FF6B6B' : '#ffffff';
+        ctx.font = '600 36px Jua, sans-serif';
+        ctx.fillText(formatMatchTime(timerMs), GAME_WIDTH / 2, 110);
+
+        ctx.font = '600 32px Jua, sans-serif';
+        ctx.fillStyle = CharacterUtils.getTeamColors('red').NAME;
+        ctx.fillText(`RED ${match.teamKills.red || 0}`, GAME_WIDTH / 2 - 150, 110);
+        ctx.fillStyle = CharacterUtils.getTeamColors('blue').NAME;
+        ctx.fillText(`${match.teamKills.blue || 0} BLUE`, GAME_WIDTH / 2 + 150, 110);
+    }
+
+    ctx.restore();
+}
+
+// Render match result screen (winner, my kills, team summary)
+function renderMatchResult(ctx) {
+    const networkManager = gameState.networkManager;
+    const result = networkManager.match.result;
+    const myTeam = gameState.player ? gameState.player.team : null;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+    ctx.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.shadowColor = '#000000';
+    ctx.shadowBlur = 10;
+    ctx.shadowOffsetX = 2;
+    ctx.shadowOffsetY = 2;
+
+    // Headline from the local player's point of view
+    let headline = 'DRAW';
+    let headlineColor = '#ffffff';
+    if (result.winner !== 'draw') {
+        const won = result.winner === myTeam;
+        headline = won ? 'VICTORY' : 'DEFEAT';
+        headlineColor = won ? '#FFD93D' : '#FF6B6B';
+    }
+
+    ctx.fillStyle = headlineColor;
+    ctx.font = '600 96px Jua, sans-serif';
+    ctx.fillText(headline, GAME_WIDTH / 2, 200);
+
+    // Team score
+    ctx.font = '600 48px Jua, sans-serif';
+    ctx.fillStyle = CharacterUtils.getTeamColors('red').NAME;
+    ctx.fillText(`RED ${result.teamKills.red || 0}`, GAME_WIDTH / 2 - 150, 300);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(':', GAME_WIDTH / 2, 300);
+    ctx.fillStyle = CharacterUtils.getTeamColors('blue').NAME;
+    ctx.fillText(`${result.teamKills.blue || 0} BLUE`, GAME_WIDTH / 2 + 150, 300);
+
+    // My kills
+    const me = result.players.find(p => p.playerId === networkManager.playerId);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '600 32px Jua, sans-serif';
+    ctx.fillText(`My kills: ${me ? me.kills : 0}`, GAME_WIDTH / 2, 380);
+
+    // Team summary (one column per team, sorted by kills)
+    ctx.shadowBlur = 3;
+    ctx.font = '24px Jua, sans-serif';
+    ['red', 'blue'].forEach((team, column) => {
+        const columnX = GAME_WIDTH / 2 + (column === 0 ? -300 : 300);
+        const members = result.players
+            .filter(p => p.team === team)
+            .sort((a, b) => b.kills - a.kills);
+
+        ctx.fillStyle = CharacterUtils.getTeamColors(team).NAME;
+        members.forEach((member, index) => {
+            ctx.fillText(`${member.playerName}  ${member.kills} kills`, columnX, 460 + index * 36);
+        });
+    });
+
+    // Return countdown
+    ctx.fillStyle = '#E0E0E0';
+    ctx.font = '600 28px Jua, sans-serif';
+    ctx.fillText(`Returning to lobby in ${Math.ceil(networkManager.getMatchRemainingMs() / 1000)}s`, GAME_WIDTH / 2, GAME_HEIGHT - 120);
+
+    ctx.restore();
+}
+
 // Render function
 function render() {
     // Draw title (in game world coordinates)
@@ -575,6 +792,14 @@ function render() {
         renderDeathScreen(ctx);
     }
 
+    // Draw match timer and team kills
+    renderMatchHUD(ctx);
+
+    // Draw kill feed (top right) and announcer banner
+    if (gameState.killFeed) {
+        gameState.killFeed.render(ctx, GAME_WIDTH);
+    }
+
     // Draw UI
     ctx.fillStyle = '#A78BFA';
     ctx.font = '14px Jua, sans-serif';
@@ -623,6 +848,16 @@ function render() {
 
     // Draw hit vignette effect (on top of everything)
     renderHitVignette(ctx);
+
+    // Draw scoreboard while Tab is held
+    if (isScoreboardVisible()) {
+        renderScoreboard(ctx);
+    }
+
+    // Draw match result screen (covers the whole game once the match is over)
+    if (gameState.networkManager && gameState.networkManager.match.result) {
+        renderMatchResult(ctx);
+    }
 }
 
 // Trigger hit vignette effect (called from network.js when local player takes damage)
@@ -630,6 +865,12 @@ function triggerHitVignette() {
     gameState.hitVignetteTime = Date.now();
 }
 
+// Check whether a remote player is on the other team (everyone is an enemy before teams are assigned)
+function isEnemyPlayer(remotePlayer) {
+    const player = gameState.player;
+    return !player || !player.team || remotePlayer.team !== player.team;
+}
+
 // Find the nearest enemy to the player
 // playersOnly: if true, only target other players (not dummies)
 function findNearestEnemy(playersOnly = false) {
@@ -658,7 +899,7 @@ function findNearestEnemy(playersOnly = false) {
     // Check remote players
     if (gameState.networkManager) {
         gameState.networkManager.remotePlayers.forEach(remotePlayer => {
-            if (remotePlayer.isAlive()) {
+            if (remotePlayer.isAlive() && isEnemyPlayer(remotePlayer)) {
                 const dx = remotePlayer.x - playerPos.x;
                 const dy = remotePlayer.y - playerPos.y;
                 const distance = Math.sqrt(dx * dx + dy * dy);
@@ -690,10 +931,10 @@ function findRandomEnemy() {
         }
     });
 
-    // Collect all alive remote players
+    // Collect all alive enemy players
     if (gameState.networkManager) {
         gameState.networkManager.remotePlayers.forEach(remotePlayer => {
-            if (remotePlayer.isAlive()) {
+            if (remotePlayer.isAlive() && isEnemyPlayer(remotePlayer)) {
                 enemies.push({ x: remotePlayer.x, y: remotePlayer.y, type: 'player' });
             }
         });
@@ -707,6 +948,42 @@ function findRandomEnemy() {
     return enemies[Math.floor(Math.random() * enemies.length)];
 }
 
+// Check whether the result screen of a finished match has been shown long enough
+function isMatchResultOver() {
+    const networkManager = gameState.networkManager;
+    return Boolean(networkManager && networkManager.match.result && networkManager.getMatchRemainingMs() <= 0);
+}
+
+// Leave the finished match and go back to the lobby (starting again joins a new match)
+function returnToLobby() {
+    logger.info('Returning to lobby');
+
+    // Stop game loop
+    gameState.running = false;
+    gameState.lastFrameTime = 0;
+
+    if (gameState.networkManager) {
+        gameState.networkManager.disconnect();
+        gameState.networkManager = null;
+    }
+
+    // Drop per-match objects (startGame / applyGameConfig recreate them)
+    gameState.gameConfig = null;
+    gameState.player = null;
+    gameState.shardManager = null;
+    gameState.killFeed = null;
+    gameState.skillManager = null;
+    gameState.skillUI = null;
+    gameState.laserBeamEffect = null;
+    gameState.teleportEffect = null;
+    gameState.telepathyEffect = null;
+    gameState.dummies = [];
+    gameState.stats.shardsCollected = 0;
+
+    gameState.screen = 'lobby';
+    gameState.lobbyManager.show();
+}
+
 // Cleanup game resources to prevent memory leaks
 function cleanupGame() {
     // Stop game loop
@@ -730,9 +1007,11 @@ function cleanupGame() {
     }
 
     // Clear game state objects
+    gameState.gameConfig = null;
     gameState.player = null;
     gameState.lobbyManager = null;
     gameState.shardManager = null;
+    gameState.killFeed = null;
     gameState.chatManager = null;
     gameState.skillManager = null;
     gameState.skillUI = null;
@@ -34,6 +34,10 @@ function initInput(canvas) {
 
     // Keyboard input
     keydownHandler = (e) => {
+        // Tab holds the scoreboard; don't let it move focus off the game (text fields keep it)
+        if (e.key === 'Tab' && !(e.target instanceof HTMLInputElement)) {
+            e.preventDefault();
+        }
         Input.keys[e.key.toLowerCase()] = true;
     };
     window.addEventListener('keydown', keydownHandler);
@@ -0,0 +1,130 @@
+// Kill feed (top-right) and announcer banners (center screen)
+class KillFeed {
+    constructor() {
+        this.entries = []; // [{killerName, killerTeam, victimName, victimTeam, skill, time}] newest first
+        this.banners = []; // Announcer banners waiting to be shown (oldest first)
+        this.bannerStartTime = 0; // When the first banner started showing (0 = not started)
+    }
+
+    /**
+     * Add a kill from a playerDied event
+     * @param {Object} entry - {killerName, killerTeam, victimName, victimTeam, skill}
+     */
+    addKill(entry) {
+        this.entries.unshift({ ...entry, time: Date.now() });
+
+        if (this.entries.length > GAME_CONFIG.KILL_FEED.MAX_ENTRIES) {
+            this.entries.length = GAME_CONFIG.KILL_FEED.MAX_ENTRIES;
+        }
+    }
+
+    /**
+     * Queue an announcer banner from an announcement event
+     * @param {Object} announcement - {type, playerName, team, victimName, streak}
+     */
+    addAnnouncement(announcement) {
+        if (!GAME_CONFIG.KILL_FEED.BANNER_TEXT[announcement.type]) return; // Unknown announcement
+
+        this.banners.push(announcement);
+    }
+
+    // Drop expired feed entries and advance the banner queue
+    update() {
+        const now = Date.now();
+        this.entries = this.entries.filter(entry => now - entry.time < GAME_CONFIG.KILL_FEED.ENTRY_DURATION_MS);
+
+        if (this.banners.length === 0) return;
+
+        if (this.bannerStartTime === 0) {
+            this.bannerStartTime = now;
+        } else if (now - this.bannerStartTime >= GAME_CONFIG.KILL_FEED.BANNER_DURATION_MS) {
+            this.banners.shift();
+            this.bannerStartTime = this.banners.length > 0 ? now : 0;
+        }
+    }
+
+    // Banner currently on screen (null if none)
+    getCurrentBanner() {
+        return this.bannerStartTime > 0 ? this.banners[0] : null;
+    }
+
+    clear() {
+        this.entries = [];
+        this.banners = [];
+        this.bannerStartTime = 0;
+    }
+
+    render(ctx, canvasWidth) {
+        this.renderEntries(ctx, canvasWidth);
+        this.renderBanner(ctx, canvasWidth);
+    }
+
+    // "killer [icon] victim" lines, right-aligned
+    renderEntries(ctx, canvasWidth) {
+        const iconSize = GAME_CONFIG.KILL_FEED.ICON_SIZE;
+        const right = canvasWidth - 20;
+        const gap = 10;
+
+        ctx.save();
+        ctx.font = '600 22px Jua, sans-serif';
+        ctx.textBaseline = 'middle';
+
+        this.entries.forEach((entry, index) => {
+            const y = 120 + index * (iconSize + 12);
+            const icon = GAME_CONFIG.KILL_FEED.SKILL_ICONS[entry.skill] || GAME_CONFIG.KILL_FEED.SKILL_ICONS.attack;
+
+            // Victim (rightmost)
+            ctx.textAlign = 'right';
+            ctx.fillStyle = CharacterUtils.getTeamColors(entry.victimTeam).NAME;
+            ctx.fillText(entry.victimName, right, y);
+            const victimWidth = ctx.measureText(entry.victimName).width;
+
+            // Skill icon
+            const iconX = right - victimWidth - gap - iconSize;
+            ctx.fillStyle = icon.COLOR;
+            ctx.fillRect(iconX, y - iconSize / 2, iconSize, iconSize);
+            ctx.fillStyle = '#1a1a2e';
+            ctx.textAlign = 'center';
+            ctx.font = 'bold 14px Inter, sans-serif';
+            ctx.fillText(icon.LABEL, iconX + iconSize / 2, y + 1);
+            ctx.font = '600 22px Jua, sans-serif';
+
+            // Killer
+            ctx.textAlign = 'right';
+            ctx.fillStyle = CharacterUtils.getTeamColors(entry.killerTeam).NAME;
+            ctx.fillText(entry.killerName, iconX - gap, y);
+        });
+
+        ctx.restore();
+    }
+
+    // Big center-screen announcer text
+    renderBanner(ctx, canvasWidth) {
+        const banner = this.getCurrentBanner();
+        if (!banner) return;
+
+        const elapsed = Date.now() - this.bannerStartTime;
+        const fadeOut = Math.min(1, (GAME_CONFIG.KILL_FEED.BANNER_DURATION_MS - elapsed) / 500);
+
+        ctx.save();
+        ctx.globalAlpha = Math.max(0, fadeOut);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.shadowColor = '#000000';
+        ctx.shadowBlur = 10;
+        ctx.shadowOffsetX = 2;
+        ctx.shadowOffsetY = 2;
+
+        ctx.fillStyle = '#FFD93D';
+        ctx.font = '600 64px Jua, sans-serif';
+        ctx.fillText(GAME_CONFIG.KILL_FEED.BANNER_TEXT[banner.type], canvasWidth / 2, 220);
+
+        ctx.fillStyle = CharacterUtils.getTeamColors(banner.team).NAME;
+        ctx.font = '600 28px Jua, sans-serif';
+        ctx.fillText(banner.type === 'shutdown'
+            ? `${banner.playerName} ended ${banner.victimName}'s ${banner.streak}-kill streak`
+            : banner.playerName, canvasWidth / 2, 280);
+
+        ctx.restore();
+    }
+}
@@ -6,7 +6,12 @@ class LobbyManager {
         this.container = document.getElementById('lobbyContainer');
         this.nameInput = document.getElementById('playerNameInput');
         this.startButton = document.getElementById('startGameBtn');
+        this.trainingButton = document.getElementById('trainingBtn');
+        this.renderCharacterOptions();
         this.characterOptions = document.querySelectorAll('.character-option');
+        this.errorElement = document.getElementById('lobbyError');
+        this.statsElement = document.querySelector('.character-stats');
+        this.skillsElement = document.querySelector('.character-skills');
 
         // State - sync with DOM's initial selected character
         this.selectedCharacter = this.getInitialSelectedCharacter();
@@ -21,6 +26,36 @@ class LobbyManager {
 
         // Validate input to set initial button state
         this.validateInput();
+        this.updateCharacterInfo();
+    }
+
+    // One option per registry character, in unlock order (the default character starts selected)
+    renderCharacterOptions() {
+        const list = document.querySelector('.character-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        CharacterRegistry.getIdsInUnlockOrder().forEach(characterId => {
+            const character = CharacterRegistry.get(characterId);
+
+            const option = document.createElement('div');
+            option.className = 'character-option';
+            option.dataset.character = characterId;
+            if (characterId === CHARACTER_REGISTRY.DEFAULT) {
+                option.classList.add('selected');
+            }
+
+            const image = document.createElement('img');
+            image.src = character.image;
+            image.alt = character.name;
+
+            const name = document.createElement('div');
+            name.className = 'character-name';
+            name.textContent = character.name;
+
+            option.append(image, name);
+            list.appendChild(option);
+        });
     }
 
     // Get the initially selected character from DOM
@@ -52,10 +87,17 @@ class LobbyManager {
             }
         });
 
-        // Start button
+        // Start button (5v5 match)
         this.startButton.addEventListener('click', () => {
             if (this.canStartGame()) {
-                this.startGame();
+                this.startGame('match');
+            }
+        });
+
+        // Training button (practice against dummies)
+        this.trainingButton.addEventListener('click', () => {
+            if (this.canStartGame()) {
+                this.startGame('training');
             }
         });
 
@@ -80,6 +122,19 @@ class LobbyManager {
 
         // Validate input to update button state
         this.validateInput();
+        this.updateCharacterInfo();
+    }
+
+    // Stats and kit of the selected character (from the character registry)
+    updateCharacterInfo() {
+        if (!this.statsElement || !this.skillsElement || !this.selectedCharacter) return;
+
+        const character = CharacterRegistry.get(this.selectedCharacter);
+        const attackType = CharacterRegistry.getAttackType(this.selectedCharacter);
+        this.statsElement.textContent = `❤️ 체력: ${character.maxHP} | ⚡ 속도: ${character.speed} | 👊 공격: ${attackType.name}`;
+
+        const skillNames = character.skills.map(skillId => GAME_CONFIG[SKILL_CONFIG_SECTIONS[skillId]].NAME);
+        this.skillsElement.textContent = `✨ ${skillNames.join(' | ')}`;
     }
 
     validateInput() {
@@ -88,16 +143,20 @@ class LobbyManager {
         // Enable button if name is not empty and character is selected
         const canStart = this.canStartGame();
         this.startButton.disabled = !canStart;
+        this.trainingButton.disabled = !canStart;
     }
 
     canStartGame() {
         return this.playerName.length > 0 && this.selectedCharacter !== null;
     }
 
-    startGame() {
+    // mode: 'match' (5v5 room) or 'training' (dummy practice room)
+    startGame(mode = 'match') {
         if (!this.canStartGame()) return;
 
-        logger.info(`Starting game with character: ${this.selectedCharacter}, name: ${this.playerName}`);
+        logger.info(`Starting ${mode} with character: ${this.selectedCharacter}, name: ${this.playerName}`);
+
+        this.showError(null);
 
         // Hide lobby with animation
         this.hide();
@@ -106,7 +165,8 @@ class LobbyManager {
         if (this.onGameStart) {
             this.onGameStart({
                 character: this.selectedCharacter,
-                playerName: this.playerName
+                playerName: this.playerName,
+                mode: mode
             });
         }
     }
@@ -128,6 +188,23 @@ class LobbyManager {
         this.nameInput.focus();
     }
 
+    // Show a message above the start buttons (null clears it)
+    showError(message) {
+        if (!this.errorElement) return;
+        this.errorElement.textContent = message || '';
+        this.errorElement.classList.toggle('visible', !!message);
+    }
+
+    // Explain why the server refused to let us join ({code, reason} from joinRejected)
+    showJoinError(rejection) {
+        const messages = {
+            'protocol': '게임이 업데이트되었습니다. 페이지를 새로고침해 주세요.',
+            'name': '사용할 수 없는 이름입니다. 다른 이름을 입력해 주세요.',
+            'character': '선택할 수 없는 캐릭터입니다. 다른 캐릭터를 골라 주세요.'
+        };
+        this.showError(messages[rejection.code] || rejection.reason);
+    }
+
     // Set callback for game start
     setOnGameStart(callback) {
         this.onGameStart = callback;
@@ -135,27 +212,11 @@ class LobbyManager {
 
     // Get character image path based on character ID
     static getCharacterImagePath(characterId) {
-        const characterImages = {
-            'alien': 'asset/image/alien.png',
-            'crazy-eyes': 'asset/image/crazy-eyes.png',
-            'curry-bear': 'asset/image/curry-bear.png',
-            'big-sis-hulk': 'asset/image/big-sis-hulk.png',
-            'teacher': 'asset/image/teacher.png',
-            'squeak-squeak': 'asset/image/squeak-squeak.png'
-        };
-        return characterImages[characterId] || characterImages['alien'];
+        return CharacterRegistry.get(characterId).image;
     }
 
     // Get character display name
     static getCharacterName(characterId) {
-        const characterNames = {
-            'alien': '외계인',
-            'crazy-eyes': '눈 돌아가는 사람',
-            'curry-bear': '카레 곰돌이',
-            'big-sis-hulk': '헐크 언니',
-            'teacher': '선생님',
-            'squeak-squeak': '찍찍찍찍찍'
-        };
-        return characterNames[characterId] || '외계인';
+        return CharacterRegistry.get(characterId).name;
     }
 }
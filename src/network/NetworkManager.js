@@ -7,17 +7,53 @@ class NetworkManager {
         this.remotePlayers = new Map(); // Map of playerId -> RemotePlayer
         this.updateRate = 1000 / 20; // 20 updates per second
         this.lastUpdateTime = 0;
+        this.inputSequence = 0; // Sequence number of the last movement input
+        this.outgoingInputs = []; // Movement inputs waiting for the next send
+        this.pendingInputs = []; // Predicted movement inputs not yet acknowledged by the server
+        this.correctionX = 0; // Remaining reconciliation error, smoothed out over a few frames
+        this.correctionY = 0;
+        this.serverTimeOffset = null; // Estimated server clock minus local clock (ms)
+        this.dummyInterpolators = new Map(); // Map of dummyId -> SnapshotInterpolator
+        this.lastSnapshotTick = null; // Tick of the last stateUpdate (a skipped tick triggers a resync)
+        this.resyncPending = false; // Waiting for fullState (or resyncRejected)
+        this.resyncRetryTimer = null; // Retries a rate-limited resync request
+        this.resyncOnJoin = false; // Connection dropped: rebuild everything once we are back in a room
+        this.roomMode = 'match'; // Room to join once connected ('match' or 'training')
+        this.characterId = null; // Character picked in the lobby (sent in joinGame)
+        this.playerName = 'Player'; // Name entered in the lobby (sent in joinGame)
+        this.roomId = null; // Room assigned by the server
+        this.sessionToken = null; // Resumes our player after a reconnect (rotated on every roomJoined)
+        this.match = this.createMatchState(); // Server match lifecycle (phase, timer, team kills, result)
+        this.scoreboard = []; // Score lines from the server (kills, deaths, assists, level, shards, team)
         this.shardManager = null; // Reference to shard manager for sync
+        this.killFeed = null; // Kill feed / announcer banners
+        this.skillManager = null; // Local skills (cooldowns resynced on skillRejected)
+        this.skillEffects = null; // Local skill effects by skill ID (stopped when the server rejects/cancels a cast)
         this.localPlayer = null; // Reference to local player for HP sync
         this.dummies = null; // Reference to dummies array for sync
         this.reconnectUI = null; // Reconnect UI manager
         this.serverUrl = null; // Store server URL for reconnection
+        this.gameConfig = null; // Gameplay numbers pushed by the server (speed, HP, damage, cooldowns...)
+        this.onGameConfig = null; // Called with each gameConfig payload
+        this.onJoinRejected = null; // Called with {code, reason} when the server refuses joinGame
     }
 
     setShardManager(shardManager) {
         this.shardManager = shardManager;
     }
 
+    setKillFeed(killFeed) {
+        this.killFeed = killFeed;
+    }
+
+    setSkillManager(skillManager) {
+        this.skillManager = skillManager;
+    }
+
+    setSkillEffects(skillEffects) {
+        this.skillEffects = skillEffects;
+    }
+
     setLocalPlayer(player) {
         this.localPlayer = player;
     }
@@ -26,6 +62,26 @@ class NetworkManager {
         this.dummies = dummies;
     }
 
+    setRoomMode(mode) {
+        this.roomMode = mode;
+    }
+
+    setCharacter(characterId) {
+        this.characterId = characterId;
+    }
+
+    setPlayerName(playerName) {
+        this.playerName = playerName;
+    }
+
+    setOnGameConfig(callback) {
+        this.onGameConfig = callback;
+    }
+
+    setOnJoinRejected(callback) {
+        this.onJoinRejected = callback;
+    }
+
     connect(serverUrl = null) {
         // Use relative path for socket.io (works with nginx reverse proxy)
         // Socket.io will connect to /game/socket.io/ when served from /game/
@@ -45,18 +101,97 @@ class NetworkManager {
 
         this.socket = io(options);
 
+        // Gameplay config (sent before 'connected' so the player and skills exist by then,
+        // and again whenever the server's balance file changes)
+        this.socket.on('gameConfig', (config) => {
+            this.gameConfig = config;
+            this.remotePlayers.forEach((remotePlayer) => {
+                remotePlayer.maxLevel = config.PLAYER.MAX_LEVEL;
+            });
+            logger.debug('Received game config from server');
+
+            if (this.onGameConfig) {
+                this.onGameConfig(config);
+            }
+        });
+
         // Connection established
         this.socket.on('connected', (data) => {
             this.playerId = data.playerId;
             this.connected = true;
+            this.roomId = null;
+            this.resetPrediction(); // A new session starts from the server's position
+            this.serverTimeOffset = null;
+            this.lastSnapshotTick = null;
+            this.resyncPending = false;
+            this.cancelResyncRetry();
+            this.dummyInterpolators.clear();
             logger.info(`Connected to server. Player ID: ${this.playerId}`);
 
+            // Join handshake: the server spawns us only if it accepts these;
+            // after a reconnect the session token gets our player back
+            // (same ID, level, HP, position, team and score)
+            this.socket.emit('joinGame', {
+                protocolVersion: GAME_CONFIG.NETWORK.PROTOCOL_VERSION,
+                playerName: this.playerName,
+                character: this.characterId,
+                mode: this.roomMode,
+                sessionToken: this.sessionToken
+            });
+
             // Hide reconnect UI on successful connection
             if (this.reconnectUI && this.reconnectUI.isVisible) {
                 this.reconnectUI.onReconnectSuccess();
             }
         });
 
+        // Room assigned (existing players, shards and dummies follow)
+        this.socket.on('roomJoined', (data) => {
+            this.playerId = data.playerId;
+            this.sessionToken = data.sessionToken;
+            this.roomId = data.roomId;
+            this.roomMode = data.mode;
+            if (this.localPlayer) {
+                this.localPlayer.team = data.team || null;
+                if (data.resumed && data.player) {
+                    this.restoreLocalPlayer(data.player);
+                }
+            }
+            logger.info(`${data.resumed ? 'Resumed in' : 'Joined'} room ${data.roomId} (${data.mode}), team: ${data.team}`);
+
+            // Players, shards and dummies from before the disconnect may be stale
+            if (this.resyncOnJoin) {
+                this.resyncOnJoin = false;
+                this.requestResync('reconnect');
+            }
+        });
+
+        // Server refused joinGame (outdated client, invalid name or character)
+        this.socket.on('joinRejected', (data) => {
+            logger.warn(`Join rejected: ${data.reason}`);
+            if (this.onJoinRejected) {
+                this.onJoinRejected(data);
+            }
+        });
+
+        // Complete room state (answer to requestResync), replaces everything we had
+        this.socket.on('fullState', (state) => {
+            this.applyFullState(state);
+        });
+
+        // Server refused requestResync (asked too often, or not in a room yet):
+        // ask again once it allows it, otherwise the next gap or rejoin asks
+        this.socket.on('resyncRejected', (data) => {
+            this.resyncPending = false;
+            logger.debug(`Resync rejected (${data.reason})`);
+            if (data.retryInMs !== null && data.retryInMs !== undefined && !this.resyncRetryTimer) {
+                this.resyncRetryTimer = setTimeout(() => {
+                    this.resyncRetryTimer = null;
+                    this.requestResync('retry');
+                }, data.retryInMs);
+            }
+        });
+
         // Receive existing players
         this.socket.on('existingPlayers', (players) => {
             logger.debug(`Received ${players.length} existing players`);
@@ -73,15 +208,9 @@ class NetworkManager {
             this.addRemotePlayer(data);
         });
 
-        // Player moved
-        this.socket.on('playerMoved', (data) => {
-            const remotePlayer = this.remotePlayers.get(data.playerId);
-            if (remotePlayer) {
-                remotePlayer.updatePosition(data.x, data.y);
-                remotePlayer.level = data.level || 1;
-                remotePlayer.experience = data.experience || 0;
-                remotePlayer.playerName = data.playerName || 'Player';
-            }
+        // Consolidated world state (one snapshot per server tick)
+        this.socket.on('stateUpdate', (snapshot) => {
+            this.applyStateSnapshot(snapshot);
         });
 
         // Player left
@@ -105,6 +234,7 @@ class NetworkManager {
         this.socket.on('disconnect', () => {
             logger.warn('Disconnected from server');
             this.connected = false;
+            this.resyncOnJoin = true;
 
             // Show reconnect UI instead of auto-reload
             if (this.reconnectUI) {
@@ -166,11 +296,37 @@ class NetworkManager {
         // Telepathy heal event (for local player HP recovery)
         this.socket.on('telepathyHeal', (data) => {
             if (data.playerId === this.playerId && this.localPlayer) {
-                this.localPlayer.currentHP = Math.min(this.localPlayer.maxHP, this.localPlayer.currentHP + data.healAmount);
+                // Take the server's HP as is (adding healAmount drifts when a heal and a hit cross in flight)
+                this.localPlayer.currentHP = data.newHP;
                 logger.debug(`Telepathy healed ${data.healAmount} HP! Current: ${this.localPlayer.currentHP}/${this.localPlayer.maxHP}`);
             }
         });
 
+        // Server rejected a skill cast that was still on cooldown
+        this.socket.on('skillRejected', (data) => {
+            const key = GAME_CONFIG.SKILL_KEYS[data.skill];
+            const skill = key && this.skillManager ? this.skillManager.getSkill(key) : null;
+            if (skill) {
+                skill.syncCooldown(data.remainingMs);
+            }
+            this.cancelLocalSkillEffect(data.skill);
+            logger.debug(`Skill ${data.skill} rejected by server: ${data.reason} (${data.remainingMs}ms cooldown left)`);
+        });
+
+        // Server interrupted a windup or channel (death, movement lock, match start)
+        this.socket.on('skillCancelled', (data) => {
+            if (data.playerId === this.playerId) {
+                this.cancelLocalSkillEffect(data.skill);
+                logger.debug(`Skill ${data.skill} cancelled: ${data.reason}`);
+                return;
+            }
+
+            const remotePlayer = this.remotePlayers.get(data.playerId);
+            if (remotePlayer) {
+                remotePlayer.cancelSkill(data.skill);
+            }
+        });
+
         // Telepathy tick damage (no knockback, but with hit flash and vignette)
         this.socket.on('telepathyTick', (data) => {
             data.hitPlayers.forEach(hit => {
@@ -234,6 +390,23 @@ class NetworkManager {
             }
         });
 
+        // Level up granted by the server (shard experience, stats from the server's level table)
+        this.socket.on('playerLeveledUp', (data) => {
+            const target = data.playerId === this.playerId
+                ? this.localPlayer
+                : this.remotePlayers.get(data.playerId);
+            if (!target) return;
+
+            target.level = data.level;
+            target.experience = data.experience;
+            target.currentHP = data.currentHP;
+            target.maxHP = data.maxHP;
+
+            if (target === this.localPlayer) {
+                logger.info(`Level up! Now level ${data.level} (HP: ${data.currentHP}/${data.maxHP})`);
+            }
+        });
+
         // Player damage event
         this.socket.on('playerDamaged', (data) => {
             logger.debug(`Players damaged by ${data.attackerId}:`, data.hitPlayers);
@@ -250,6 +423,12 @@ class NetworkManager {
 
                     // Start knockback if knockback info is provided
                     if (hit.knockbackEndX !== undefined && hit.knockbackEndY !== undefined) {
+                        // The knockback end is authoritative: inputs the server applied
+                        // before the hit are already part of it
+                        this.acknowledgeInputs(hit.lastInputSeq);
+                        this.correctionX = 0;
+                        this.correctionY = 0;
+
                         this.localPlayer.startKnockback(
                             hit.attackerX,
                             hit.attackerY,
@@ -267,7 +446,7 @@ class NetworkManager {
                         player.maxHP = hit.maxHP;
                         player.hitFlashTime = Date.now(); // Trigger hit flash
 
-                        // Start knockback for remote player
+                        // Start knockback for remote player (interpolation resumes from its end)
                         if (hit.knockbackEndX !== undefined && hit.knockbackEndY !== undefined) {
                             player.startKnockback(
                                 hit.attackerX,
@@ -275,6 +454,7 @@ class NetworkManager {
                                 hit.knockbackEndX,
                                 hit.knockbackEndY
                             );
+                            player.interpolator.reset(this.getServerTime(), hit.knockbackEndX, hit.knockbackEndY);
                         }
                     }
                 }
@@ -293,6 +473,7 @@ class NetworkManager {
                         dummy.y = serverDummy.y;
                         dummy.currentHP = serverDummy.currentHP;
                         dummy.maxHP = serverDummy.maxHP;
+                        this.getDummyInterpolator(serverDummy.id).reset(this.getServerTime(), dummy.x, dummy.y);
                     }
                 });
             }
@@ -308,7 +489,7 @@ class NetworkManager {
                         dummy.maxHP = hit.maxHP;
                         dummy.hitFlashTime = Date.now(); // Trigger hit flash
 
-                        // Start knockback for dummy
+                        // Start knockback for dummy (interpolation resumes from its end)
                         if (hit.knockbackEndX !== undefined && hit.knockbackEndY !== undefined) {
                             dummy.startKnockback(
                                 hit.attackerX,
@@ -316,6 +497,7 @@ class NetworkManager {
                                 hit.knockbackEndX,
                                 hit.knockbackEndY
                             );
+                            this.getDummyInterpolator(hit.dummyId).reset(this.getServerTime(), hit.knockbackEndX, hit.knockbackEndY);
                         }
 
                         if (dummy.currentHP <= 0) {
@@ -336,19 +518,41 @@ class NetworkManager {
                     dummy.currentHP = data.currentHP;
                     dummy.maxHP = data.maxHP;
                     dummy.deathTime = 0;
+                    this.getDummyInterpolator(data.dummyId).reset(this.getServerTime(), data.x, data.y);
                 }
             }
         });
 
         // Player death event
         this.socket.on('playerDied', (data) => {
-            logger.info(`Player ${data.playerId} died, killed by ${data.killedBy}`);
+            const assists = Array.isArray(data.assists) ? data.assists : [];
+            logger.info(`Player ${data.playerId} died, killed by ${data.killedBy}` +
+                (assists.length > 0 ? ` (assists: ${assists.join(', ')})` : ''));
+
+            if (this.killFeed) {
+                this.killFeed.addKill({
+                    killerName: data.killerName || '?',
+                    killerTeam: data.killerTeam,
+                    victimName: data.playerName,
+                    victimTeam: data.team,
+                    skill: data.skill
+                });
+            }
 
             // Check if it's the local player
             if (data.playerId === this.playerId && this.localPlayer) {
                 this.localPlayer.isDead = true;
                 this.localPlayer.deathTime = Date.now();
                 this.localPlayer.respawnDelay = data.respawnDelay;
+                this.localPlayer.deathInfo = {
+                    kills: data.kills || 0,
+                    deaths: data.deaths || 0,
+                    deathRank: data.deathRank || 1,
+                    playerCount: data.playerCount || 1,
+                    killerName: data.killerName,
+                    killerCharacter: data.killerCharacter,
+                    killerDamage: data.killerDamage || 0
+                };
                 logger.info(`You died! Respawning in ${data.respawnDelay / 1000} seconds...`);
             } else {
                 // Update remote player
@@ -359,6 +563,42 @@ class NetworkManager {
             }
         });
 
+        // Announcer events (first blood, multi kills, killing spree, shutdown)
+        this.socket.on('announcement', (data) => {
+            logger.info(`Announcement: ${data.type} (${data.playerName})`);
+            if (this.killFeed) {
+                this.killFeed.addAnnouncement(data);
+            }
+        });
+
+        // Scoreboard (pushed by the server whenever a score changes)
+        this.socket.on('scoreboard', (data) => {
+            this.scoreboard = Array.isArray(data.players) ? data.players : [];
+        });
+
+        // Match lifecycle events
+        this.socket.on('matchTick', (data) => {
+            this.match.phase = data.phase;
+            this.match.endTime = Date.now() + data.remainingMs;
+            this.match.teamKills = data.teamKills || {};
+        });
+
+        this.socket.on('matchStarted', (data) => {
+            logger.info('Match started!');
+            this.match.phase = 'playing';
+            this.match.endTime = Date.now() + data.durationMs;
+            this.match.teamKills = data.teamKills || {};
+            this.match.result = null;
+        });
+
+        this.socket.on('matchEnded', (data) => {
+            logger.info(`Match ended! Winner: ${data.winner}`);
+            this.match.phase = 'ended';
+            this.match.endTime = Date.now() + data.resultMs;
+            this.match.teamKills = data.teamKills || {};
+            this.match.result = data;
+        });
+
         // Player respawn event
         this.socket.on('playerRespawned', (data) => {
             logger.debug(`Player ${data.playerId} respawned`);
@@ -370,16 +610,15 @@ class NetworkManager {
                 this.localPlayer.x = data.x;
                 this.localPlayer.y = data.y;
                 this.localPlayer.currentHP = data.currentHP;
+                this.localPlayer.maxHP = data.maxHP;
+                this.resetPrediction();
                 logger.info('You respawned!');
             } else {
                 // Update remote player
                 const remotePlayer = this.remotePlayers.get(data.playerId);
                 if (remotePlayer) {
                     remotePlayer.isDead = false;
-                    remotePlayer.x = data.x;
-                    remotePlayer.y = data.y;
-                    remotePlayer.targetX = data.x;
-                    remotePlayer.targetY = data.y;
+                    remotePlayer.setPosition(data.x, data.y, this.getServerTime());
                     remotePlayer.currentHP = data.currentHP;
                     remotePlayer.maxHP = data.maxHP;
                 }
@@ -387,81 +626,48 @@ class NetworkManager {
         });
     }
 
-    // Send attack to server
-    sendAttack(x, y, range, power) {
-        if (!this.connected || !this.socket) return;
-        this.socket.emit('playerAttack', {
-            x: x,
-            y: y,
-            range: range,
-            power: power
-        });
-    }
-
-    // Send laser aiming start to server (for sync with other players)
-    sendLaserAiming(x, y, dirX, dirY) {
-        if (!this.connected || !this.socket) return;
-        this.socket.emit('laserAiming', {
-            x: x,
-            y: y,
-            dirX: dirX,
-            dirY: dirY
-        });
+    createMatchState() {
+        return {
+            phase: 'waiting', // 'waiting' | 'countdown' | 'playing' | 'ended'
+            endTime: 0, // Local time when the current phase ends
+            teamKills: {},
+            result: null // matchEnded payload once the match is over
+        };
     }
 
-    // Send laser attack to server
-    sendLaserAttack(x1, y1, x2, y2, damage) {
-        if (!this.connected || !this.socket) return;
-        this.socket.emit('laserAttack', {
-            x1: x1,
-            y1: y1,
-            x2: x2,
-            y2: y2,
-            damage: damage
-        });
+    // Stop the local effect of a cast the server rejected or cancelled
+    cancelLocalSkillEffect(skill) {
+        const effect = this.skillEffects ? this.skillEffects[skill] : null;
+        if (effect) {
+            effect.cancel();
+        }
     }
 
-    // Send teleport event to server (for sync with other players)
-    sendTeleport(startX, startY, endX, endY) {
-        if (!this.connected || !this.socket) return;
-        this.socket.emit('teleport', {
-            startX: startX,
-            startY: startY,
-            endX: endX,
-            endY: endY
-        });
+    // Time left in the current match phase (ms)
+    getMatchRemainingMs() {
+        return Math.max(0, this.match.endTime - Date.now());
     }
 
-    // Send teleport damage to server
-    sendTeleportDamage(x, y, radius, damage) {
-        if (!this.connected || !this.socket) return;
-        this.socket.emit('teleportDamage', {
-            x: x,
-            y: y,
-            radius: radius,
-            damage: damage
-        });
-    }
-
-    // Send telepathy event to server (for sync with other players)
-    sendTelepathy(x, y, radius) {
+    // Send attack to server
+    sendAttack(x, y, range, power) {
         if (!this.connected || !this.socket) return;
-        this.socket.emit('telepathy', {
+        this.socket.emit('playerAttack', {
             x: x,
             y: y,
-            radius: radius
+            range: range,
+            power: power,
+            viewTime: this.getViewTime()
         });
     }
 
-    // Send telepathy damage to server
-    sendTelepathyDamage(x, y, radius, damagePerTarget, maxHeal) {
+    // Ask the server to cast a skill (laser: {dirX, dirY}, teleport: {endX, endY})
+    // The server runs the windup/channel and resolves the damage
+    sendCastSkill(skill, params = {}) {
         if (!this.connected || !this.socket) return;
-        this.socket.emit('telepathyDamage', {
-            x: x,
-            y: y,
-            radius: radius,
-            damagePerTarget: damagePerTarget,
-            maxHeal: maxHeal
+        this.socket.emit('castSkill', {
+            skill: skill,
+            ...params,
+            viewTime: this.getViewTime()
         });
     }
 
@@ -472,14 +678,23 @@ class NetworkManager {
     }
 
     addRemotePlayer(playerData) {
+        this.remotePlayers.set(playerData.playerId, this.createRemotePlayer(playerData));
+    }
+
+    createRemotePlayer(playerData) {
         const remotePlayer = new RemotePlayer(
             playerData.playerId,
             playerData.x || 0,
             playerData.y || 0,
             playerData.playerName || 'Player',
             playerData.level || 1,
-            playerData.experience || 0
+            playerData.experience || 0,
+            playerData.character
         );
+        remotePlayer.team = playerData.team || null;
+        if (this.gameConfig) {
+            remotePlayer.maxLevel = this.gameConfig.PLAYER.MAX_LEVEL;
+        }
         // Set HP if provided
         if (playerData.currentHP !== undefined) {
             remotePlayer.currentHP = playerData.currentHP;
@@ -487,37 +702,341 @@ class NetworkManager {
         if (playerData.maxHP !== undefined) {
             remotePlayer.maxHP = playerData.maxHP;
         }
-        this.remotePlayers.set(playerData.playerId, remotePlayer);
+        remotePlayer.isDead = !!playerData.isDead;
+        return remotePlayer;
+    }
+
+    // Ask the server for a complete snapshot (reconnect, or a gap in stateUpdate ticks)
+    requestResync(reason) {
+        if (!this.connected || !this.socket || this.resyncPending) return;
+
+        this.cancelResyncRetry();
+        logger.info(`Requesting full state resync (${reason})`);
+        this.resyncPending = true;
+        this.socket.emit('requestResync');
+    }
+
+    // Drop a scheduled resync retry (a new request or a fullState supersedes it)
+    cancelResyncRetry() {
+        if (this.resyncRetryTimer) {
+            clearTimeout(this.resyncRetryTimer);
+            this.resyncRetryTimer = null;
+        }
+    }
+
+    /**
+     * Rebuild remote players, shards, dummies, match state and the scoreboard
+     * from a fullState payload; everything is replaced in one step, so no
+     * ghost players or stale shards from before survive
+     * @param {Object} state - fullState from the server
+     */
+    applyFullState(state) {
+        this.resyncPending = false;
+        this.cancelResyncRetry();
+        if (!state || !Array.isArray(state.players)) return;
+
+        const timestamp = state.timestamp || Date.now();
+        this.updateServerTimeOffset(timestamp);
+
+        const remotePlayers = new Map();
+        state.players.forEach((playerData) => {
+            if (playerData.playerId === this.playerId) {
+                if (this.localPlayer) {
+                    // Keep the death screen's stats if we already knew we were dead
+                    const deathInfo = this.localPlayer.isDead ? this.localPlayer.deathInfo : null;
+                    this.localPlayer.team = playerData.team || null;
+                    this.restoreLocalPlayer(playerData);
+                    if (playerData.isDead && deathInfo) {
+                        this.localPlayer.deathInfo = deathInfo;
+                    }
+                }
+                return;
+            }
+            remotePlayers.set(playerData.playerId, this.createRemotePlayer(playerData));
+        });
+        this.remotePlayers = remotePlayers;
+        this.resetPrediction();
+
+        if (this.shardManager) {
+            this.shardManager.loadShardsFromServer(state.shards || []);
+        }
+
+        this.dummyInterpolators.clear();
+        if (this.dummies) {
+            this.syncDummyList(state.dummies || []);
+        }
+
+        if (state.match) {
+            this.match.phase = state.match.phase;
+            this.match.endTime = Date.now() + state.match.remainingMs;
+            this.match.teamKills = state.match.teamKills || {};
+        }
+        this.scoreboard = Array.isArray(state.scoreboard) ? state.scoreboard : [];
+
+        this.lastSnapshotTick = state.tick;
+        logger.info(`Full state applied: ${remotePlayers.size} other players, ${(state.shards || []).length} shards`);
+    }
+
+    // Match the dummy list to the server's (dummies the server does not have are dropped)
+    syncDummyList(serverDummies) {
+        const byId = new Map(serverDummies.map(serverDummy => [serverDummy.id, serverDummy]));
+        const keptCount = this.dummies.findIndex((dummy, id) => !byId.has(id));
+        if (keptCount !== -1) {
+            this.dummies.length = keptCount;
+        }
+
+        this.dummies.forEach((dummy, id) => {
+            const serverDummy = byId.get(id);
+            dummy.x = serverDummy.x;
+            dummy.y = serverDummy.y;
+            dummy.currentHP = serverDummy.currentHP;
+            dummy.maxHP = serverDummy.maxHP;
+            dummy.isKnockedBack = false;
+            dummy.deathTime = serverDummy.currentHP > 0 ? 0 : (dummy.deathTime || Date.now());
+            this.getDummyInterpolator(id).reset(this.getServerTime(), dummy.x, dummy.y);
+        });
     }
 
     removeRemotePlayer(playerId) {
         this.remotePlayers.delete(playerId);
     }
 
-    // Send local player position to server
-    sendPlayerPosition(x, y, playerName, level, experience) {
+    // Queue the local player's movement input and send batched inputs to the server
+    // input: {dirX, dirY, dt} from Character.update, or null when the player did not move
+    sendPlayerInput(input) {
         if (!this.connected || !this.socket) return;
 
+        if (input) {
+            const sequencedInput = {
+                seq: ++this.inputSequence,
+                dirX: input.dirX,
+                dirY: input.dirY,
+                dt: input.dt
+            };
+            this.outgoingInputs.push(sequencedInput);
+            this.pendingInputs.push(sequencedInput); // Already applied locally (prediction)
+        }
+
         const currentTime = Date.now();
         if (currentTime - this.lastUpdateTime < this.updateRate) {
-            return; // Rate limit
+            return; // Rate limit (inputs keep accumulating until the next send)
         }
 
         this.lastUpdateTime = currentTime;
 
         this.socket.emit('playerMove', {
-            x: x,
-            y: y,
-            playerName: playerName,
-            level: level,
-            experience: experience
+            inputs: this.outgoingInputs
         });
+        this.outgoingInputs = [];
     }
 
-    // Update all remote players
+    // Apply a server state snapshot (local player is reconciled, remote players interpolated)
+    applyStateSnapshot(snapshot) {
+        if (!snapshot || !Array.isArray(snapshot.players)) return;
+
+        // Snapshots are numbered by server tick; a skipped one means we may have missed events too
+        if (this.lastSnapshotTick !== null && snapshot.tick > this.lastSnapshotTick + 1) {
+            this.requestResync(`missed ticks ${this.lastSnapshotTick + 1}-${snapshot.tick - 1}`);
+        }
+        this.lastSnapshotTick = snapshot.tick;
+
+        const timestamp = snapshot.timestamp || Date.now();
+        this.updateServerTimeOffset(timestamp);
+
+        snapshot.players.forEach(state => {
+            if (state.playerId === this.playerId) {
+                if (this.localPlayer) {
+                    // Level, experience and HP are server-authoritative
+                    // (a balance reload changes HP without any damage event)
+                    this.localPlayer.level = state.level || 1;
+                    this.localPlayer.experience = state.experience || 0;
+                    this.localPlayer.currentHP = state.currentHP;
+                    this.localPlayer.maxHP = state.maxHP;
+                }
+                this.reconcileLocalPlayer(state);
+                return;
+            }
+
+            const remotePlayer = this.remotePlayers.get(state.playerId);
+            if (remotePlayer) {
+                remotePlayer.updatePosition(state.x, state.y, timestamp);
+                remotePlayer.level = state.level || 1;
+                remotePlayer.experience = state.experience || 0;
+                remotePlayer.playerName = state.playerName || 'Player';
+                remotePlayer.team = state.team || null;
+                remotePlayer.setCharacter(state.character);
+                remotePlayer.currentHP = state.currentHP;
+                remotePlayer.maxHP = state.maxHP;
+            }
+        });
+
+        if (Array.isArray(snapshot.dummies)) {
+            snapshot.dummies.forEach(state => {
+                this.getDummyInterpolator(state.id).push(timestamp, state.x, state.y);
+            });
+        }
+    }
+
+    // Track the server clock from snapshot timestamps (the least delayed snapshot wins)
+    updateServerTimeOffset(timestamp) {
+        const offset = timestamp - Date.now();
+        if (this.serverTimeOffset === null || offset > this.serverTimeOffset) {
+            this.serverTimeOffset = offset;
+        }
+    }
+
+    // Current time on the server clock (local time until the first snapshot arrives)
+    getServerTime() {
+        return Date.now() + (this.serverTimeOffset || 0);
+    }
+
+    // Server time of what remote entities currently show (sent with attacks for lag compensation)
+    getViewTime() {
+        return this.getServerTime() - GAME_CONFIG.NETWORK.INTERPOLATION_DELAY_MS;
+    }
+
+    getDummyInterpolator(dummyId) {
+        if (!this.dummyInterpolators.has(dummyId)) {
+            this.dummyInterpolators.set(dummyId, new SnapshotInterpolator());
+        }
+        return this.dummyInterpolators.get(dummyId);
+    }
+
+    // Move dummies along their interpolated server positions
+    updateDummies(serverTime) {
+        if (!this.dummies) return;
+
+        this.dummyInterpolators.forEach((interpolator, dummyId) => {
+            const dummy = this.dummies[dummyId];
+            // Knockback animation already ends on the server's position
+            if (!dummy || dummy.isKnockedBack || dummy.deathTime > 0) return;
+
+            const position = interpolator.sample(serverTime);
+            if (position) {
+                dummy.x = position.x;
+                dummy.y = position.y;
+            }
+        });
+    }
+
+    // Take back the state the server kept for our player while we were disconnected
+    restoreLocalPlayer(state) {
+        const player = this.localPlayer;
+        player.x = state.x;
+        player.y = state.y;
+        player.level = state.level;
+        player.experience = state.experience;
+        player.currentHP = state.currentHP;
+        player.maxHP = state.maxHP;
+        player.isDead = state.isDead;
+        player.isKnockedBack = false;
+
+        if (state.isDead) {
+            // Count down whatever is left of the respawn delay
+            player.deathTime = Date.now();
+            player.respawnDelay = state.respawnInMs;
+            player.deathInfo = null;
+        } else {
+            player.deathTime = 0;
+        }
+    }
+
+    // Drop predicted inputs the server has already applied
+    acknowledgeInputs(lastInputSeq) {
+        if (lastInputSeq === undefined) return;
+        this.pendingInputs = this.pendingInputs.filter(input => input.seq > lastInputSeq);
+    }
+
+    // Forget all prediction state (respawn, reconnect)
+    resetPrediction() {
+        this.pendingInputs = [];
+        this.outgoingInputs = [];
+        this.correctionX = 0;
+        this.correctionY = 0;
+    }
+
+    /**
+     * Reconcile the predicted local player with its authoritative state:
+     * replay unacknowledged inputs on top of the server position and
+     * smooth out the difference instead of snapping
+     * @param {Object} state - Local player's entry from a stateUpdate snapshot
+     */
+    reconcileLocalPlayer(state) {
+        this.acknowledgeInputs(state.lastInputSeq);
+
+        const player = this.localPlayer;
+        if (!player || player.isDead || state.isDead) return;
+
+        // The knockback animation already ends on the server's position
+        if (player.isKnockedBack) return;
+
+        const predicted = player.getPosition();
+        const world = { width: GAME_CONFIG.WORLD.WIDTH, height: GAME_CONFIG.WORLD.HEIGHT };
+
+        player.x = state.x;
+        player.y = state.y;
+        this.pendingInputs.forEach(input => player.applyMovementInput(input, world));
+
+        const errorX = player.x - predicted.x;
+        const errorY = player.y - predicted.y;
+        const error = Math.sqrt(errorX * errorX + errorY * errorY);
+
+        if (error >= GAME_CONFIG.NETWORK.RECONCILE_SNAP_DISTANCE) {
+            // Too far off to hide (e.g. rejected inputs piled up) - keep the reconciled position
+            this.correctionX = 0;
+            this.correctionY = 0;
+            logger.debug(`Prediction snapped by ${error.toFixed(1)}px`);
+            return;
+        }
+
+        // Keep showing the predicted position and ease towards the reconciled one
+        player.x = predicted.x;
+        player.y = predicted.y;
+
+        if (error < GAME_CONFIG.NETWORK.RECONCILE_MIN_ERROR) {
+            this.correctionX = 0;
+            this.correctionY = 0;
+        } else {
+            this.correctionX = errorX;
+            this.correctionY = errorY;
+        }
+    }
+
+    // Apply part of the outstanding reconciliation error to the local player
+    applyCorrection() {
+        if (!this.localPlayer || (this.correctionX === 0 && this.correctionY === 0)) return;
+
+        if (this.localPlayer.isDead || this.localPlayer.isKnockedBack) {
+            this.correctionX = 0;
+            this.correctionY = 0;
+            return;
+        }
+
+        const stepX = this.correctionX * GAME_CONFIG.NETWORK.RECONCILE_SMOOTHING;
+        const stepY = this.correctionY * GAME_CONFIG.NETWORK.RECONCILE_SMOOTHING;
+        this.localPlayer.x += stepX;
+        this.localPlayer.y += stepY;
+        this.correctionX -= stepX;
+        this.correctionY -= stepY;
+
+        if (Math.abs(this.correctionX) < GAME_CONFIG.NETWORK.RECONCILE_MIN_ERROR &&
+            Math.abs(this.correctionY) < GAME_CONFIG.NETWORK.RECONCILE_MIN_ERROR) {
+            this.localPlayer.x += this.correctionX;
+            this.localPlayer.y += this.correctionY;
+            this.correctionX = 0;
+            this.correctionY = 0;
+        }
+    }
+
+    // Update local prediction correction, dummies and all remote players
     update() {
+        this.applyCorrection();
+
+        const serverTime = this.getServerTime();
+        this.updateDummies(serverTime);
+
         this.remotePlayers.forEach(remotePlayer => {
-            remotePlayer.update();
+            remotePlayer.update(serverTime);
         });
     }
 
@@ -543,11 +1062,21 @@ class NetworkManager {
 
     disconnect() {
         if (this.socket) {
+            // Leaving on purpose: the server drops our player instead of holding it for a reconnect
+            if (this.roomId) {
+                this.socket.emit('leaveRoom');
+            }
+
             // Remove all socket event listeners before disconnecting
+            this.socket.off('gameConfig');
             this.socket.off('connected');
+            this.socket.off('roomJoined');
+            this.socket.off('fullState');
+            this.socket.off('resyncRejected');
+            this.socket.off('joinRejected');
             this.socket.off('existingPlayers');
             this.socket.off('playerJoined');
-            this.socket.off('playerMoved');
+            this.socket.off('stateUpdate');
             this.socket.off('playerLeft');
             this.socket.off('connect_error');
             this.socket.off('disconnect');
@@ -559,16 +1088,24 @@ class NetworkManager {
             this.socket.off('playerTelepathy');
             this.socket.off('telepathyHeal');
             this.socket.off('telepathyTick');
+            this.socket.off('skillRejected');
+            this.socket.off('skillCancelled');
             this.socket.off('telepathyTickDummy');
             this.socket.off('existingShards');
             this.socket.off('shardsSpawned');
             this.socket.off('shardCollected');
+            this.socket.off('playerLeveledUp');
             this.socket.off('playerDamaged');
             this.socket.off('existingDummies');
             this.socket.off('dummyDamaged');
             this.socket.off('dummyRespawned');
             this.socket.off('playerDied');
             this.socket.off('playerRespawned');
+            this.socket.off('announcement');
+            this.socket.off('scoreboard');
+            this.socket.off('matchTick');
+            this.socket.off('matchStarted');
+            this.socket.off('matchEnded');
 
             this.socket.disconnect();
             this.socket = null;
@@ -577,10 +1114,27 @@ class NetworkManager {
         // Clear references
         this.connected = false;
         this.playerId = null;
+        this.roomId = null;
+        this.sessionToken = null;
+        this.resetPrediction();
+        this.serverTimeOffset = null;
+        this.dummyInterpolators.clear();
+        this.lastSnapshotTick = null;
+        this.resyncPending = false;
+        this.cancelResyncRetry();
+        this.resyncOnJoin = false;
+        this.match = this.createMatchState();
+        this.scoreboard = [];
         this.remotePlayers.clear();
         this.shardManager = null;
+        this.killFeed = null;
+        this.skillManager = null;
+        this.skillEffects = null;
         this.localPlayer = null;
         this.dummies = null;
+        this.gameConfig = null;
+        this.onGameConfig = null;
+        this.onJoinRejected = null;
 
         logger.info('Network manager cleaned up');
     }
@@ -1,12 +1,15 @@
+// Character images by path, shared by every remote player
+// (at most one Image per character, however many players picked it)
+const remotePlayerImageCache = new Map();
+
 // Remote player class (represents other players)
 class RemotePlayer {
-    constructor(playerId, x, y, playerName, level, experience = 0) {
+    constructor(playerId, x, y, playerName, level, experience = 0, characterId = null) {
         this.playerId = playerId;
         this.x = x;
         this.y = y;
-        this.targetX = x;
-        this.targetY = y;
         this.playerName = playerName;
+        this.team = null; // 'red' | 'blue' (assigned by server)
         this.level = level;
         this.experience = experience;
         this.maxLevel = 30;
@@ -19,11 +22,12 @@ class RemotePlayer {
         this.height = this.displaySize;
 
         // Image properties
+        this.characterId = null; // Character picked in the lobby (image)
         this.image = null;
         this.imageLoaded = false;
 
-        // Interpolation
-        this.interpolationSpeed = 0.2;
+        // Snapshot interpolation (rendered slightly in the past, see SnapshotInterpolator)
+        this.interpolator = new SnapshotInterpolator();
 
         // Chat bubble system
         this.chatMessage = null;
@@ -69,55 +73,88 @@ class RemotePlayer {
             window.TelepathyEffectMixin.initTelepathyEffect.call(this);
         }
 
-        // Load alien image
-        this.loadImage('asset/image/alien.png');
+        this.setCharacter(characterId);
+    }
+
+    // Show the character this player picked (unknown IDs fall back to the alien)
+    setCharacter(characterId) {
+        if (this.image && characterId === this.characterId) return;
+
+        this.characterId = characterId;
+        this.loadImage(LobbyManager.getCharacterImagePath(characterId));
     }
 
     loadImage(path) {
-        this.image = new Image();
-        this.image.onload = () => {
-            this.imageLoaded = true;
-
-            // Calculate dimensions maintaining aspect ratio
-            const aspectRatio = this.image.width / this.image.height;
-
-            if (aspectRatio > 1) {
-                // Wider than tall
-                this.width = this.displaySize;
-                this.height = this.displaySize / aspectRatio;
-            } else {
-                // Taller than wide
-                this.height = this.displaySize;
-                this.width = this.displaySize * aspectRatio;
+        let image = remotePlayerImageCache.get(path);
+        if (!image) {
+            image = new Image();
+            image.onerror = () => {
+                logger.warn(`Failed to load remote player image: ${path}`);
+                remotePlayerImageCache.delete(path); // Next player with this character retries
+            };
+            image.src = path;
+            remotePlayerImageCache.set(path, image);
+        }
+
+        this.image = image;
+        this.imageLoaded = false;
+
+        if (image.complete && image.naturalWidth > 0) {
+            this.applyImageSize();
+            return;
+        }
+
+        image.addEventListener('load', () => {
+            // Ignore if the character changed while this image was loading
+            if (this.image === image) {
+                this.applyImageSize();
+                logger.debug(`Remote player image loaded: ${path}`);
             }
+        }, { once: true });
+    }
 
-            logger.debug(`Remote player image loaded: ${path}`);
-        };
-        this.image.onerror = () => {
-            logger.warn(`Failed to load remote player image: ${path}`);
-        };
-        this.image.src = path;
+    applyImageSize() {
+        this.imageLoaded = true;
+
+        // Calculate dimensions maintaining aspect ratio
+        const aspectRatio = this.image.width / this.image.height;
+
+        if (aspectRatio > 1) {
+            // Wider than tall
+            this.width = this.displaySize;
+            this.height = this.displaySize / aspectRatio;
+        } else {
+            // Taller than wide
+            this.height = this.displaySize;
+            this.width = this.displaySize * aspectRatio;
+        }
     }
 
-    updatePosition(x, y) {
-        this.targetX = x;
-        this.targetY = y;
+    // Buffer the latest server position (timestamp: server time of the snapshot)
+    updatePosition(x, y, timestamp = Date.now()) {
+        this.interpolator.push(timestamp, x, y);
     }
 
-    update() {
+    // Jump to a position without interpolating from the old one (respawn, teleport arrival)
+    setPosition(x, y, timestamp = Date.now()) {
+        this.x = x;
+        this.y = y;
+        this.interpolator.reset(timestamp, x, y);
+    }
+
+    // serverTime: current estimated server time (defaults to local time for standalone use)
+    update(serverTime = Date.now()) {
         const currentTime = Date.now();
 
         // Handle knockback animation using utility
         const isInKnockback = CharacterUtils.updateKnockback(this);
 
-        if (isInKnockback) {
-            // Also update target position during knockback for smooth transition after
-            this.targetX = this.knockbackEndX;
-            this.targetY = this.knockbackEndY;
-        } else {
-            // Smooth interpolation to target position
-            this.x += (this.targetX - this.x) * this.interpolationSpeed;
-            this.y += (this.targetY - this.y) * this.interpolationSpeed;
+        if (!isInKnockback) {
+            const position = this.interpolator.sample(serverTime);
+            if (position) {
+                this.x = position.x;
+                this.y = position.y;
+            }
         }
 
         // Update chat bubble using utility
@@ -133,7 +170,7 @@ class RemotePlayer {
             window.LaserEffectMixin.updateLaser.call(this);
         }
         if (window.TeleportEffectMixin) {
-            window.TeleportEffectMixin.updateTeleport.call(this);
+            window.TeleportEffectMixin.updateTeleport.call(this, serverTime);
         }
         if (window.TelepathyEffectMixin) {
             window.TelepathyEffectMixin.updateTelepathy.call(this);
@@ -311,6 +348,17 @@ class RemotePlayer {
             window.TelepathyEffectMixin.startTelepathy.call(this, x, y, radius);
         }
     }
+
+    // Stop a skill effect the server cancelled (death, movement lock, match start)
+    cancelSkill(skill) {
+        if (skill === 'laser' && window.LaserEffectMixin) {
+            window.LaserEffectMixin.cancelLaser.call(this);
+        } else if (skill === 'teleport' && window.TeleportEffectMixin) {
+            window.TeleportEffectMixin.cancelTeleport.call(this);
+        } else if (skill === 'telepathy' && window.TelepathyEffectMixin) {
+            window.TelepathyEffectMixin.cancelTelepathy.call(this);
+        }
+    }
 }
 
 // Export for browser
@@ -0,0 +1,114 @@
+// Snapshot interpolation buffer (shared by remote players and server dummies)
+// Positions are stored by server timestamp and rendered slightly in the past,
+// so movement looks the same at any frame rate and survives packet bursts
+class SnapshotInterpolator {
+    constructor(
+        delayMs = GAME_CONFIG.NETWORK.INTERPOLATION_DELAY_MS,
+        maxExtrapolationMs = GAME_CONFIG.NETWORK.MAX_EXTRAPOLATION_MS,
+        bufferSize = GAME_CONFIG.NETWORK.SNAPSHOT_BUFFER_SIZE
+    ) {
+        this.delayMs = delayMs;
+        this.maxExtrapolationMs = maxExtrapolationMs;
+        this.bufferSize = bufferSize;
+        this.snapshots = []; // [{timestamp, x, y}] sorted by timestamp
+    }
+
+    /**
+     * Add a position received from the server
+     * @param {number} timestamp - Server time of the snapshot (ms)
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     */
+    push(timestamp, x, y) {
+        const last = this.snapshots[this.snapshots.length - 1];
+
+        if (last && timestamp <= last.timestamp) {
+            if (timestamp === last.timestamp) {
+                last.x = x;
+                last.y = y;
+            }
+            return; // Out-of-order snapshot (older than what we already have)
+        }
+
+        this.snapshots.push({ timestamp, x, y });
+
+        if (this.snapshots.length > this.bufferSize) {
+            this.snapshots.shift();
+        }
+    }
+
+    /**
+     * Forget buffered positions and restart from one position (respawn, teleport sync)
+     * @param {number} timestamp - Server time of the position (ms)
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     */
+    reset(timestamp, x, y) {
+        this.snapshots = [{ timestamp, x, y }];
+    }
+
+    /**
+     * Get the position to render
+     * @param {number} serverTime - Current (estimated) server time in ms
+     * @returns {{x: number, y: number}|null} Interpolated position, or null if the buffer is empty
+     */
+    sample(serverTime) {
+        const count = this.snapshots.length;
+        if (count === 0) return null;
+
+        const renderTime = serverTime - this.delayMs;
+        const first = this.snapshots[0];
+        const last = this.snapshots[count - 1];
+
+        if (renderTime <= first.timestamp) {
+            return { x: first.x, y: first.y };
+        }
+
+        if (renderTime >= last.timestamp) {
+            return this.extrapolate(renderTime);
+        }
+
+        // Drop snapshots that can no longer be rendered (keep the one before renderTime)
+        while (this.snapshots.length > 2 && this.snapshots[1].timestamp <= renderTime) {
+            this.snapshots.shift();
+        }
+
+        const from = this.snapshots[0];
+        const to = this.snapshots[1];
+        const t = (renderTime - from.timestamp) / (to.timestamp - from.timestamp);
+
+        return {
+            x: from.x + (to.x - from.x) * t,
+            y: from.y + (to.y - from.y) * t
+        };
+    }
+
+    // Continue along the last known velocity for a short time, then hold
+    extrapolate(renderTime) {
+        const count = this.snapshots.length;
+        const last = this.snapshots[count - 1];
+
+        if (count < 2) {
+            return { x: last.x, y: last.y };
+        }
+
+        const prev = this.snapshots[count - 2];
+        const span = last.timestamp - prev.timestamp;
+        const ahead = Math.min(renderTime - last.timestamp, this.maxExtrapolationMs);
+        const t = ahead / span;
+
+        return {
+            x: last.x + (last.x - prev.x) * t,
+            y: last.y + (last.y - prev.y) * t
+        };
+    }
+
+    clear() {
+        this.snapshots = [];
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.SnapshotInterpolator = SnapshotInterpolator;
+}
@@ -28,6 +28,12 @@ const LaserEffectMixin = {
         }
     },
 
+    // Stop the laser (cast cancelled by the server)
+    cancelLaser() {
+        this.laserActive = false;
+        this.laserPhase = 'none';
+    },
+
     // Update laser effect state
     updateLaser() {
         if (!this.laserActive) return;
@@ -25,8 +25,16 @@ const TeleportEffectMixin = {
         this.teleportEndY = endY;
     },
 
-    // Update teleport effect state
-    updateTeleport() {
+    // Stop the teleport before arriving (cast cancelled by the server)
+    cancelTeleport() {
+        if (this.teleportPhase !== 'disappear') return;
+
+        this.teleportActive = false;
+        this.teleportPhase = 'none';
+    },
+
+    // Update teleport effect state (serverTime: when the arrival lands in the interpolation buffer)
+    updateTeleport(serverTime = Date.now()) {
         if (!this.teleportActive) return;
 
         const currentTime = Date.now();
@@ -36,11 +44,9 @@ const TeleportEffectMixin = {
             if (elapsed >= this.teleportDisappearDuration) {
                 this.teleportPhase = 'appear';
                 this.teleportStartTime = currentTime;
-                // Move player to teleport destination
-                this.x = this.teleportEndX;
-                this.y = this.teleportEndY;
-                this.targetX = this.teleportEndX;
-                this.targetY = this.teleportEndY;
+                // Move player to teleport destination; snapshots from before the
+                // arrival are dropped so interpolation does not drag it back
+                this.setPosition(this.teleportEndX, this.teleportEndY, serverTime);
             }
         } else if (this.teleportPhase === 'appear') {
             if (elapsed >= this.teleportAppearDuration) {
@@ -130,6 +136,11 @@ const TelepathyEffectMixin = {
         this.telepathyRadius = radius;
     },
 
+    // Stop channeling (cast cancelled by the server)
+    cancelTelepathy() {
+        this.telepathyActive = false;
+    },
+
     // Update telepathy effect state
     updateTelepathy() {
         if (!this.telepathyActive) return;
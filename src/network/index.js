@@ -3,6 +3,7 @@
 
 // All classes are already exported to window by their respective files:
 // - window.ReconnectUI (from ReconnectUI.js)
+// - window.SnapshotInterpolator (from SnapshotInterpolator.js)
 // - window.RemotePlayer (from RemotePlayer.js)
 // - window.NetworkManager (from NetworkManager.js)
 // - window.LaserEffectMixin (from effects/laser.js)
@@ -13,6 +14,7 @@
 (function() {
     const requiredComponents = [
         'ReconnectUI',
+        'SnapshotInterpolator',
         'RemotePlayer',
         'NetworkManager',
         'LaserEffectMixin',
@@ -1,5 +1,12 @@
 // Skill System for Unhinged Students
 
+// Server skill ID -> config section (gameConfig numbers, GAME_CONFIG name and color)
+const SKILL_CONFIG_SECTIONS = {
+    laser: 'SKILL_LASER',
+    teleport: 'SKILL_TELEPORT',
+    telepathy: 'SKILL_TELEPATHY',
+};
+
 // Base Skill class
 class Skill {
     constructor(name, key, cooldown, iconColor = '#666666') {
@@ -8,6 +15,7 @@ class Skill {
         this.cooldown = cooldown; // in milliseconds
         this.lastUsedTime = 0;
         this.iconColor = iconColor;
+        this.id = null; // Server skill ID (laser, teleport, telepathy)
 
         // Ready flash effect
         this.readyFlashTime = 0;
@@ -31,6 +39,12 @@ class Skill {
         return Math.max(0, this.cooldown - elapsed);
     }
 
+    // Resync with the server's cooldown after a rejected cast
+    syncCooldown(remainingMs) {
+        this.lastUsedTime = Date.now() - Math.max(0, this.cooldown - remainingMs);
+        this.wasOnCooldown = remainingMs > 0;
+    }
+
     getCooldownProgress() {
         if (this.lastUsedTime === 0) return 1; // Never used, fully ready
         const elapsed = Date.now() - this.lastUsedTime;
@@ -96,15 +110,38 @@ class SkillManager {
     getAllSkills() {
         return this.skillOrder.map(key => this.skills.get(key));
     }
+
+    // The character's kit from the registry, on the usual keys (cooldowns from the server's gameConfig)
+    static fromGameConfig(config, characterId) {
+        const skillManager = new SkillManager();
+        CharacterRegistry.get(characterId).skills.forEach(skillId => {
+            const section = SKILL_CONFIG_SECTIONS[skillId];
+            const skill = new Skill(
+                GAME_CONFIG[section].NAME,
+                GAME_CONFIG.SKILL_KEYS[skillId],
+                config[section].COOLDOWN_MS,
+                GAME_CONFIG[section].COLOR
+            );
+            skill.id = skillId;
+            skillManager.addSkill(skill);
+        });
+        return skillManager;
+    }
+
+    // New cooldowns pushed by the server (remaining cooldowns follow the new length)
+    applyGameConfig(config) {
+        this.skills.forEach(skill => {
+            skill.cooldown = config[SKILL_CONFIG_SECTIONS[skill.id]].COOLDOWN_MS;
+        });
+    }
 }
 
 // Laser Beam Effect - handles the Q skill visual and logic
 class LaserBeamEffect {
-    constructor() {
+    constructor(config) {
         this.active = false;
         this.phase = 'none'; // 'aiming', 'firing', 'none'
         this.startTime = 0;
-        this.aimDuration = GAME_CONFIG.SKILL_LASER.AIM_DURATION_MS;
         this.fireDuration = GAME_CONFIG.SKILL_LASER.FIRE_DURATION_MS;
 
         // Positions
@@ -115,9 +152,13 @@ class LaserBeamEffect {
         this.dirX = 0;
         this.dirY = 0;
 
-        // Damage
-        this.damage = GAME_CONFIG.SKILL_LASER.DAMAGE;
-        this.hasDealtDamage = false;
+        // Aim duration and beam length
+        this.applyGameConfig(config);
+    }
+
+    applyGameConfig(config) {
+        this.aimDuration = config.SKILL_LASER.AIM_DURATION_MS;
+        this.maxLength = config.SKILL_LASER.MAX_LENGTH;
     }
 
     start(playerX, playerY, targetX, targetY) {
@@ -139,8 +180,12 @@ class LaserBeamEffect {
             this.dirX = 1;
             this.dirY = 0;
         }
+    }
 
-        this.hasDealtDamage = false;
+    // Stop aiming/firing (cast rejected or cancelled by the server)
+    cancel() {
+        this.active = false;
+        this.phase = 'none';
     }
 
     update(playerX, playerY) {
@@ -165,23 +210,14 @@ class LaserBeamEffect {
         }
     }
 
-    // Check if laser should deal damage this frame
-    shouldDealDamage() {
-        if (this.phase === 'firing' && !this.hasDealtDamage) {
-            this.hasDealtDamage = true;
-            return true;
-        }
-        return false;
-    }
-
     // Get laser line for collision detection
     getLaserLine() {
         // Use fixed direction (set at skill start)
         if (this.dirX === 0 && this.dirY === 0) return null;
 
         // Extend to max laser length (beyond screen)
-        const endX = this.startX + this.dirX * GAME_CONFIG.SKILL_LASER.MAX_LENGTH;
-        const endY = this.startY + this.dirY * GAME_CONFIG.SKILL_LASER.MAX_LENGTH;
+        const endX = this.startX + this.dirX * this.maxLength;
+        const endY = this.startY + this.dirY * this.maxLength;
 
         return {
             x1: this.startX,
@@ -252,11 +288,10 @@ class LaserBeamEffect {
 
 // Teleport Effect - handles the W skill visual and logic
 class TeleportEffect {
-    constructor() {
+    constructor(config) {
         this.active = false;
         this.phase = 'none'; // 'disappear', 'appear', 'none'
         this.startTime = 0;
-        this.disappearDuration = GAME_CONFIG.SKILL_TELEPORT.DISAPPEAR_DURATION_MS;
         this.appearDuration = GAME_CONFIG.SKILL_TELEPORT.APPEAR_DURATION_MS;
 
         // Positions
@@ -266,23 +301,26 @@ class TeleportEffect {
         this.endY = 0;
 
         // Teleport settings
-        this.minDistance = GAME_CONFIG.SKILL_TELEPORT.MIN_DISTANCE;
-        this.maxDistance = GAME_CONFIG.SKILL_TELEPORT.MAX_DISTANCE;
-        this.damageRadius = GAME_CONFIG.SKILL_TELEPORT.DAMAGE_RADIUS;
-        this.damage = GAME_CONFIG.SKILL_TELEPORT.DAMAGE;
+        this.applyGameConfig(config);
 
         // Flags
-        this.hasDealtDamage = false;
         this.hasTeleported = false;
     }
 
+    applyGameConfig(config) {
+        this.disappearDuration = config.SKILL_TELEPORT.DISAPPEAR_DURATION_MS;
+        this.minDistance = config.SKILL_TELEPORT.MIN_DISTANCE;
+        this.maxDistance = config.SKILL_TELEPORT.MAX_DISTANCE;
+        this.damageRadius = config.SKILL_TELEPORT.DAMAGE_RADIUS;
+        this.boundaryMargin = config.KNOCKBACK.BOUNDARY_MARGIN;
+    }
+
     start(playerX, playerY, gameWidth, gameHeight, targetX = null, targetY = null) {
         this.active = true;
         this.phase = 'disappear';
         this.startTime = Date.now();
         this.startX = playerX;
         this.startY = playerY;
-        this.hasDealtDamage = false;
         this.hasTeleported = false;
 
         let newX, newY;
@@ -306,7 +344,7 @@ class TeleportEffect {
         }
 
         // Clamp to game bounds
-        const margin = GAME_CONFIG.KNOCKBACK.BOUNDARY_MARGIN;
+        const margin = this.boundaryMargin;
         newX = Math.max(margin, Math.min(gameWidth - margin, newX));
         newY = Math.max(margin, Math.min(gameHeight - margin, newY));
 
@@ -314,6 +352,14 @@ class TeleportEffect {
         this.endY = newY;
     }
 
+    // Stop before arriving (cast rejected or cancelled by the server)
+    cancel() {
+        if (this.phase !== 'disappear') return;
+
+        this.active = false;
+        this.phase = 'none';
+    }
+
     update() {
         if (!this.active) return null;
 
@@ -337,25 +383,6 @@ class TeleportEffect {
         return null;
     }
 
-    // Check if should deal damage
-    shouldDealDamage() {
-        if (this.phase === 'appear' && !this.hasDealtDamage) {
-            this.hasDealtDamage = true;
-            return true;
-        }
-        return false;
-    }
-
-    // Get damage area
-    getDamageArea() {
-        return {
-            x: this.endX,
-            y: this.endY,
-            radius: this.damageRadius,
-            damage: this.damage
-        };
-    }
-
     render(ctx) {
         if (!this.active) return;
 
@@ -418,35 +445,35 @@ class TeleportEffect {
 
 // Telepathy Effect - handles the E skill visual and logic (3 second channeling)
 class TelepathyEffect {
-    constructor() {
+    constructor(config) {
         this.active = false;
         this.startTime = 0;
-        this.duration = GAME_CONFIG.SKILL_TELEPATHY.DURATION_MS;
-        this.tickInterval = GAME_CONFIG.SKILL_TELEPATHY.TICK_INTERVAL_MS;
 
         // Position
         this.x = 0;
         this.y = 0;
 
-        // Settings
-        this.radius = GAME_CONFIG.SKILL_TELEPATHY.RADIUS;
-        this.damagePerTick = GAME_CONFIG.SKILL_TELEPATHY.DAMAGE_PER_TICK;
-        this.maxHealPerTick = GAME_CONFIG.SKILL_TELEPATHY.MAX_HEAL_PER_TICK;
+        // Duration and radius
+        this.applyGameConfig(config);
+    }
 
-        // Tick tracking
-        this.lastTickTime = 0;
-        this.tickCount = 0;
+    applyGameConfig(config) {
+        this.duration = config.SKILL_TELEPATHY.DURATION_MS;
+        this.radius = config.SKILL_TELEPATHY.RADIUS;
     }
 
     start(playerX, playerY) {
         this.active = true;
         this.startTime = Date.now();
-        this.lastTickTime = 0;
-        this.tickCount = 0;
         this.x = playerX;
         this.y = playerY;
     }
 
+    // Stop channeling (cast rejected or cancelled by the server)
+    cancel() {
+        this.active = false;
+    }
+
     update(playerX, playerY) {
         if (!this.active) return;
 
@@ -460,31 +487,6 @@ class TelepathyEffect {
         }
     }
 
-    // Check if should deal damage (every 0.1 seconds during channel)
-    shouldDealDamage() {
-        if (!this.active) return false;
-
-        const elapsed = Date.now() - this.startTime;
-        const expectedTicks = Math.floor(elapsed / this.tickInterval);
-
-        if (expectedTicks > this.tickCount) {
-            this.tickCount = expectedTicks;
-            return true;
-        }
-        return false;
-    }
-
-    // Get damage area
-    getDamageArea() {
-        return {
-            x: this.x,
-            y: this.y,
-            radius: this.radius,
-            damagePerTarget: this.damagePerTick,
-            maxHeal: this.maxHealPerTick
-        };
-    }
-
     render(ctx) {
         if (!this.active) return;
 
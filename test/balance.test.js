@@ -0,0 +1,217 @@
+/**
+ * Balance File Tests (server)
+ *
+ * Tests for loading and hot-reloading server/balance.json:
+ * - A valid file is applied to SERVER_CONFIG and the level stat tables
+ * - A rejected file (bad JSON, schema or cross-field rules) keeps the previous values
+ * - A changed file is re-applied by the watcher
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SERVER_CONFIG } = require('../server/config');
+const {
+  DEFAULT_BALANCE_FILE,
+  validateBalance,
+  loadBalanceFile,
+  watchBalanceFile,
+} = require('../server/balance');
+const { getLevelStats } = require('../server/leveling');
+
+const DEFAULT_BALANCE = JSON.parse(fs.readFileSync(DEFAULT_BALANCE_FILE, 'utf8'));
+
+describe('Balance file', () => {
+  let dir;
+  let filePath;
+
+  // Default balance with changes applied by edit(balance)
+  function writeBalance(edit = () => {}) {
+    const balance = JSON.parse(JSON.stringify(DEFAULT_BALANCE));
+    edit(balance);
+    fs.writeFileSync(filePath, JSON.stringify(balance));
+    return balance;
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'balance-test-'));
+    filePath = path.join(dir, 'balance.json');
+  });
+
+  afterEach(() => {
+    loadBalanceFile(DEFAULT_BALANCE_FILE);
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('the shipped balance file should be valid', () => {
+    expect(validateBalance(DEFAULT_BALANCE)).toEqual([]);
+  });
+
+  describe('loadBalanceFile', () => {
+    test('should apply a valid file', () => {
+      writeBalance((b) => {
+        b.SKILL_LASER.DAMAGE = 60;
+        b.DUMMY.POSITIONS = [{ offsetX: 10, offsetY: 20, name: 'Only dummy' }];
+      });
+
+      expect(loadBalanceFile(filePath)).toBe(true);
+      expect(SERVER_CONFIG.SKILL_LASER.DAMAGE).toBe(60);
+      expect(SERVER_CONFIG.DUMMY.POSITIONS).toEqual([{ offsetX: 10, offsetY: 20, name: 'Only dummy' }]);
+    });
+
+    test('should rebuild the level stats from the new values', () => {
+      writeBalance((b) => {
+        b.CHARACTERS.alien.MAX_HP = 200;
+        b.COMBAT.ATTACK_POWER = 20;
+      });
+
+      getLevelStats(1, 'alien'); // Build the table from the old values first
+      loadBalanceFile(filePath);
+
+      expect(getLevelStats(1, 'alien')).toMatchObject({ maxHP: 200, attackPower: 20 });
+    });
+
+    test('should keep the previous values when the file is not JSON', () => {
+      fs.writeFileSync(filePath, '{ "SKILL_LASER": ');
+
+      expect(loadBalanceFile(filePath)).toBe(false);
+      expect(SERVER_CONFIG.SKILL_LASER.DAMAGE).toBe(DEFAULT_BALANCE.SKILL_LASER.DAMAGE);
+    });
+
+    test('should keep every previous value when one value is invalid', () => {
+      writeBalance((b) => {
+        b.SKILL_LASER.DAMAGE = 60;
+        b.SKILL_TELEPORT.COOLDOWN_MS = -1;
+      });
+
+      expect(loadBalanceFile(filePath)).toBe(false);
+      expect(SERVER_CONFIG.SKILL_LASER.DAMAGE).toBe(DEFAULT_BALANCE.SKILL_LASER.DAMAGE);
+      expect(SERVER_CONFIG.SKILL_TELEPORT.COOLDOWN_MS).toBe(DEFAULT_BALANCE.SKILL_TELEPORT.COOLDOWN_MS);
+    });
+
+    test('should keep the previous values when a cross-field rule fails', () => {
+      writeBalance((b) => {
+        b.SHARD.INITIAL_COUNT = b.SHARD.MAX_COUNT + 1;
+      });
+
+      expect(loadBalanceFile(filePath)).toBe(false);
+      expect(SERVER_CONFIG.SHARD.INITIAL_COUNT).toBe(DEFAULT_BALANCE.SHARD.INITIAL_COUNT);
+    });
+  });
+
+  describe('validateBalance', () => {
+    function errorsFor(edit) {
+      const balance = JSON.parse(JSON.stringify(DEFAULT_BALANCE));
+      edit(balance);
+      return validateBalance(balance);
+    }
+
+    test('should report missing and unknown sections and keys', () => {
+      const errors = errorsFor((b) => {
+        delete b.SHARD;
+        delete b.COMBAT.HIT_RADIUS;
+        b.COMBAT.CRIT_CHANCE = 0.1;
+        b.WEATHER = {};
+      });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        'Missing section SHARD',
+        'Missing key COMBAT.HIT_RADIUS',
+        'Unknown key COMBAT.CRIT_CHANCE',
+        'Unknown section WEATHER',
+      ]));
+    });
+
+    test('should check every registered character', () => {
+      const errors = errorsFor((b) => {
+        delete b.CHARACTERS.teacher;
+        b.CHARACTERS.alien.SPEED = 0;
+        b.CHARACTERS.ghost = { MAX_HP: 1, SPEED: 1 };
+      });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        'Missing key CHARACTERS.teacher',
+        'CHARACTERS.alien.SPEED must be >= 1 (got 0)',
+        'Unknown key CHARACTERS.ghost',
+      ]));
+    });
+
+    test.each([
+      ['PLAYER.RESPAWN_DELAY_MS must not exceed PLAYER.RESPAWN_DELAY_MAX_MS',
+        (b) => { b.PLAYER.RESPAWN_DELAY_MS = b.PLAYER.RESPAWN_DELAY_MAX_MS + 1; }],
+      ['KNOCKBACK.MIN_DISTANCE must not exceed KNOCKBACK.MAX_DISTANCE',
+        (b) => { b.KNOCKBACK.MIN_DISTANCE = b.KNOCKBACK.MAX_DISTANCE + 1; }],
+      ['KNOCKBACK.MULTIPLIER_MIN must not exceed KNOCKBACK.MULTIPLIER_MAX',
+        (b) => { b.KNOCKBACK.MULTIPLIER_MIN = b.KNOCKBACK.MULTIPLIER_MAX + 1; }],
+      ['SKILL_TELEPORT.MIN_DISTANCE must not exceed SKILL_TELEPORT.MAX_DISTANCE',
+        (b) => { b.SKILL_TELEPORT.MIN_DISTANCE = b.SKILL_TELEPORT.MAX_DISTANCE + 1; }],
+      ['SKILL_TELEPATHY.TICK_INTERVAL_MS must not exceed SKILL_TELEPATHY.DURATION_MS',
+        (b) => { b.SKILL_TELEPATHY.TICK_INTERVAL_MS = b.SKILL_TELEPATHY.DURATION_MS + 1; }],
+      ['SHARD.INITIAL_COUNT must not exceed SHARD.MAX_COUNT',
+        (b) => { b.SHARD.INITIAL_COUNT = b.SHARD.MAX_COUNT + 1; }],
+    ])('should report "%s"', (message, edit) => {
+      expect(errorsFor(edit)).toEqual([message]);
+    });
+
+    test('should skip cross-field rules while a value has the wrong type', () => {
+      const errors = errorsFor((b) => {
+        b.SHARD.MAX_COUNT = 'many';
+      });
+
+      expect(errors).toEqual(['SHARD.MAX_COUNT must be an integer (got "many")']);
+    });
+  });
+
+  describe('watchBalanceFile', () => {
+    let listener;
+
+    beforeEach(() => {
+      jest.spyOn(fs, 'watchFile').mockImplementation((file, options, fn) => { listener = fn; });
+      jest.spyOn(fs, 'unwatchFile').mockImplementation(() => {});
+    });
+
+    test('should re-apply a changed file and rebuild the level stats', () => {
+      const onApplied = jest.fn();
+      watchBalanceFile(filePath, onApplied);
+      getLevelStats(1, 'alien');
+
+      writeBalance((b) => { b.CHARACTERS.alien.MAX_HP = 250; });
+      listener({ mtimeMs: 2 }, { mtimeMs: 1 });
+
+      expect(onApplied).toHaveBeenCalledTimes(1);
+      expect(getLevelStats(1, 'alien').maxHP).toBe(250);
+    });
+
+    test('should keep the previous values when the changed file is invalid', () => {
+      const onApplied = jest.fn();
+      watchBalanceFile(filePath, onApplied);
+
+      writeBalance((b) => { b.CHARACTERS.alien.MAX_HP = 0; });
+      listener({ mtimeMs: 2 }, { mtimeMs: 1 });
+
+      expect(onApplied).not.toHaveBeenCalled();
+      expect(getLevelStats(1, 'alien').maxHP).toBe(DEFAULT_BALANCE.CHARACTERS.alien.MAX_HP);
+    });
+
+    test('should ignore polls where the file did not change', () => {
+      const onApplied = jest.fn();
+      watchBalanceFile(filePath, onApplied);
+
+      writeBalance();
+      listener({ mtimeMs: 1 }, { mtimeMs: 1 });
+
+      expect(onApplied).not.toHaveBeenCalled();
+    });
+
+    test('should stop watching when asked to', () => {
+      const stop = watchBalanceFile(filePath);
+      stop();
+
+      expect(fs.unwatchFile).toHaveBeenCalledWith(filePath, listener);
+    });
+  });
+});
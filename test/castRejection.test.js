@@ -0,0 +1,166 @@
+/**
+ * Skill Cast Rejection Tests (server)
+ *
+ * Tests for the server deciding whether a castSkill may start:
+ * - getCastRejection: cooldown, the early-cast tolerance, running casts, skills outside the kit
+ * - The castSkill handler answering refused casts with skillRejected {skill, reason, remainingMs}
+ */
+
+const { EventEmitter } = require('events');
+const { SERVER_CONFIG } = require('../server/config');
+const { CHARACTER_REGISTRY } = require('../src/characters');
+const { getCastRejection, startCast } = require('../server/skills');
+const { joinRoom, stopAllRooms, cleanupRateLimiter } = require('../server/gameState');
+const { registerCombatHandlers } = require('../server/handlers/combatHandler');
+
+const TOLERANCE_MS = SERVER_CONFIG.COMBAT.COOLDOWN_TOLERANCE_MS;
+const LASER_COOLDOWN_MS = SERVER_CONFIG.SKILL_LASER.COOLDOWN_MS;
+
+// Just enough of a socket.io socket for joinRoom and the combat handlers
+class FakeSocket extends EventEmitter {
+  constructor(id) {
+    super();
+    this.id = id;
+    this.data = { playerId: id };
+  }
+
+  join() {}
+  leave() {}
+}
+
+describe('Skill cast rejection', () => {
+  let now;
+  let emitted;
+  let io;
+  let socket;
+  let room;
+  let player;
+
+  // Cast through the handler and resolve the queued input
+  function castLaser() {
+    now += SERVER_CONFIG.RATE_LIMIT.CAST_MS;
+    socket.emit('castSkill', { skill: 'laser', dirX: 1, dirY: 0, viewTime: now });
+    room.runTick();
+  }
+
+  function rejections() {
+    return emitted.filter(e => e.event === 'skillRejected');
+  }
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    emitted = [];
+    io = { to: target => ({ emit: (event, payload) => emitted.push({ target, event, payload }) }) };
+    socket = new FakeSocket('caster');
+    registerCombatHandlers(socket, io);
+
+    ({ room, player } = joinRoom(socket, io, 'training', 'alien', 'Caster'));
+    room.stop(); // Ticks are run by hand
+  });
+
+  afterEach(() => {
+    cleanupRateLimiter(socket.id);
+    stopAllRooms();
+    jest.restoreAllMocks();
+  });
+
+  describe('getCastRejection', () => {
+    test('should accept a ready skill', () => {
+      expect(getCastRejection(player, 'laser', now)).toBeNull();
+    });
+
+    test('should reject a skill on cooldown', () => {
+      player.skills.laser.lastCastTime = now - LASER_COOLDOWN_MS / 2;
+
+      expect(getCastRejection(player, 'laser', now)).toBe('cooldown');
+    });
+
+    test('should accept a cast within the cooldown tolerance', () => {
+      player.skills.laser.lastCastTime = now - LASER_COOLDOWN_MS + TOLERANCE_MS;
+
+      expect(getCastRejection(player, 'laser', now)).toBeNull();
+    });
+
+    test('should reject a cast just past the cooldown tolerance', () => {
+      player.skills.laser.lastCastTime = now - LASER_COOLDOWN_MS + TOLERANCE_MS + 1;
+
+      expect(getCastRejection(player, 'laser', now)).toBe('cooldown');
+    });
+
+    test('should reject a skill that is still casting', () => {
+      startCast(room, player, 'laser', { dirX: 1, dirY: 0 }, 0);
+      now += LASER_COOLDOWN_MS; // Cooldown is not what blocks it
+
+      expect(getCastRejection(player, 'laser', now)).toBe('casting');
+    });
+
+    test('should reject a skill outside the character kit', () => {
+      CHARACTER_REGISTRY.CHARACTERS['test-kit'] = { ...CHARACTER_REGISTRY.CHARACTERS.alien, skills: ['teleport'] };
+      try {
+        player.character = 'test-kit';
+
+        expect(getCastRejection(player, 'laser', now)).toBe('unavailable');
+        expect(getCastRejection(player, 'teleport', now)).toBeNull();
+      } finally {
+        delete CHARACTER_REGISTRY.CHARACTERS['test-kit'];
+      }
+    });
+  });
+
+  describe('castSkill handler', () => {
+    test('should start a ready cast without a rejection', () => {
+      castLaser();
+
+      expect(player.skills.laser.phase).toBe('windup');
+      expect(rejections()).toHaveLength(0);
+    });
+
+    test('should send skillRejected with the remaining cooldown', () => {
+      player.skills.laser.lastCastTime = now;
+
+      castLaser();
+
+      expect(player.skills.laser.phase).toBe('idle');
+      expect(rejections()).toEqual([{
+        target: 'caster',
+        event: 'skillRejected',
+        payload: { skill: 'laser', reason: 'cooldown', remainingMs: LASER_COOLDOWN_MS - SERVER_CONFIG.RATE_LIMIT.CAST_MS }
+      }]);
+    });
+
+    test('should start a cast sent within the cooldown tolerance', () => {
+      player.skills.laser.lastCastTime = now - LASER_COOLDOWN_MS + SERVER_CONFIG.RATE_LIMIT.CAST_MS + TOLERANCE_MS;
+
+      castLaser();
+
+      expect(player.skills.laser.phase).toBe('windup');
+      expect(rejections()).toHaveLength(0);
+    });
+
+    test('should reject a second cast while the first is still winding up', () => {
+      castLaser();
+      castLaser();
+
+      expect(rejections()).toHaveLength(1);
+      expect(rejections()[0].payload.reason).toBe('casting');
+    });
+
+    test('should reject a skill outside the character kit', () => {
+      CHARACTER_REGISTRY.CHARACTERS['test-kit'] = { ...CHARACTER_REGISTRY.CHARACTERS.alien, skills: ['teleport'] };
+      try {
+        player.character = 'test-kit';
+
+        castLaser();
+      } finally {
+        delete CHARACTER_REGISTRY.CHARACTERS['test-kit'];
+      }
+
+      expect(player.skills.laser.phase).toBe('idle');
+      expect(rejections().map(e => e.payload)).toEqual([{ skill: 'laser', reason: 'unavailable', remainingMs: 0 }]);
+    });
+  });
+});
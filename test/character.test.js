@@ -84,6 +84,23 @@ class Character {
     this.chatMessageDuration = 3000;
   }
 
+  readMovementInput(deltaTime) {
+    const dirX = (isKeyPressed('arrowright') ? 1 : 0) - (isKeyPressed('arrowleft') ? 1 : 0);
+    const dirY = (isKeyPressed('arrowdown') ? 1 : 0) - (isKeyPressed('arrowup') ? 1 : 0);
+
+    if (dirX === 0 && dirY === 0) return null;
+
+    return { dirX, dirY, dt: deltaTime * 1000 };
+  }
+
+  applyMovementInput(input, canvas) {
+    const moveDistance = this.speed * (input.dt / 1000);
+    const margin = this.displaySize / 2;
+
+    this.x = Math.max(margin, Math.min(canvas.width - margin, this.x + input.dirX * moveDistance));
+    this.y = Math.max(margin, Math.min(canvas.height - margin, this.y + input.dirY * moveDistance));
+  }
+
   getPosition() {
     return { x: this.x, y: this.y };
   }
@@ -321,6 +338,57 @@ describe('Character', () => {
   });
 });
 
+describe('Movement Input', () => {
+  const world = { width: 1920, height: 1080 };
+
+  function pressKeys(...keys) {
+    isKeyPressed.mockImplementation((key) => keys.includes(key));
+  }
+
+  afterEach(() => {
+    isKeyPressed.mockReset();
+    isKeyPressed.mockReturnValue(false);
+  });
+
+  describe('readMovementInput', () => {
+    test('should return null when no arrow key is pressed', () => {
+      const char = new Character(500, 500, 'test.png', 1080);
+      expect(char.readMovementInput(0.016)).toBeNull();
+    });
+
+    test('should report direction and duration in ms', () => {
+      const char = new Character(500, 500, 'test.png', 1080);
+      pressKeys('arrowright', 'arrowup');
+
+      expect(char.readMovementInput(0.05)).toEqual({ dirX: 1, dirY: -1, dt: 50 });
+    });
+
+    test('should cancel out opposite keys', () => {
+      const char = new Character(500, 500, 'test.png', 1080);
+      pressKeys('arrowleft', 'arrowright');
+
+      expect(char.readMovementInput(0.016)).toBeNull();
+    });
+  });
+
+  describe('applyMovementInput', () => {
+    test('should move speed * dt along each axis', () => {
+      const char = new Character(500, 500, 'test.png', 1080);
+      char.applyMovementInput({ dirX: 1, dirY: 1, dt: 100 }, world);
+
+      expect(char.x).toBe(530); // 300 px/s * 0.1s
+      expect(char.y).toBe(530);
+    });
+
+    test('should clamp to half the character size from the edges (same as server)', () => {
+      const char = new Character(70, 500, 'test.png', 1080);
+      char.applyMovementInput({ dirX: -1, dirY: 0, dt: 100 }, world);
+
+      expect(char.x).toBe(67.5);
+    });
+  });
+});
+
 describe('Level System', () => {
   beforeEach(() => {
     resetTime();
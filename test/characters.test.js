@@ -0,0 +1,99 @@
+/**
+ * Character Registry Tests
+ *
+ * Tests for the character registry shared by the client and the server:
+ * - Registry entries (stats, attack types, kits, unlock order)
+ * - CharacterRegistry lookups
+ */
+
+const { CHARACTER_REGISTRY, CharacterRegistry } = require('../src/characters');
+
+const SKILL_IDS = ['laser', 'teleport', 'telepathy'];
+
+describe('CHARACTER_REGISTRY', () => {
+  const entries = Object.entries(CHARACTER_REGISTRY.CHARACTERS);
+
+  test('should contain the default character', () => {
+    expect(CharacterRegistry.has(CHARACTER_REGISTRY.DEFAULT)).toBe(true);
+  });
+
+  test.each(entries)('%s should have valid base stats', (id, character) => {
+    expect(typeof character.name).toBe('string');
+    expect(character.image).toBe(`asset/image/${id}.png`);
+    expect(Number.isInteger(character.maxHP)).toBe(true);
+    expect(character.maxHP).toBeGreaterThan(0);
+    expect(character.speed).toBeGreaterThan(0);
+    expect(CHARACTER_REGISTRY.ATTACK_TYPES[character.attackType]).toBeDefined();
+  });
+
+  test.each(entries)('%s should have a valid kit and unlock order', (id, character) => {
+    expect(character.skills.length).toBeGreaterThan(0);
+    character.skills.forEach((skill) => expect(SKILL_IDS).toContain(skill));
+    expect(new Set(character.skills).size).toBe(character.skills.length);
+    expect(Number.isInteger(character.unlockOrder)).toBe(true);
+  });
+
+  test('should unlock characters one at a time, starting with the default', () => {
+    const orders = entries.map(([, character]) => character.unlockOrder).sort((a, b) => a - b);
+
+    expect(orders).toEqual(entries.map((entry, index) => index + 1));
+    expect(CHARACTER_REGISTRY.CHARACTERS[CHARACTER_REGISTRY.DEFAULT].unlockOrder).toBe(1);
+  });
+});
+
+describe('CharacterRegistry', () => {
+  describe('has', () => {
+    test('should know registered characters', () => {
+      expect(CharacterRegistry.has('teacher')).toBe(true);
+    });
+
+    test('should reject unknown and inherited keys', () => {
+      expect(CharacterRegistry.has('unknown')).toBe(false);
+      expect(CharacterRegistry.has('toString')).toBe(false);
+      expect(CharacterRegistry.has(undefined)).toBe(false);
+    });
+  });
+
+  describe('get', () => {
+    test('should return the entry of a character', () => {
+      expect(CharacterRegistry.get('big-sis-hulk').name).toBe('헐크 언니');
+    });
+
+    test('should fall back to the default character', () => {
+      expect(CharacterRegistry.get('unknown')).toBe(CHARACTER_REGISTRY.CHARACTERS[CHARACTER_REGISTRY.DEFAULT]);
+      expect(CharacterRegistry.get(null)).toBe(CHARACTER_REGISTRY.CHARACTERS[CHARACTER_REGISTRY.DEFAULT]);
+    });
+  });
+
+  describe('getAttackType', () => {
+    test('should return the attack type of a character', () => {
+      expect(CharacterRegistry.getAttackType('curry-bear')).toBe(CHARACTER_REGISTRY.ATTACK_TYPES.heavy);
+    });
+  });
+
+  describe('getIdsInUnlockOrder', () => {
+    test('should list every character, the default first', () => {
+      const ids = CharacterRegistry.getIdsInUnlockOrder();
+
+      expect(ids[0]).toBe(CHARACTER_REGISTRY.DEFAULT);
+      expect([...ids].sort()).toEqual(Object.keys(CHARACTER_REGISTRY.CHARACTERS).sort());
+    });
+
+    test('should follow unlockOrder', () => {
+      const orders = CharacterRegistry.getIdsInUnlockOrder().map((id) => CHARACTER_REGISTRY.CHARACTERS[id].unlockOrder);
+
+      expect(orders).toEqual([...orders].sort((a, b) => a - b));
+    });
+  });
+
+  describe('hasSkill', () => {
+    test('should know the skills in a kit', () => {
+      expect(CharacterRegistry.hasSkill('alien', 'telepathy')).toBe(true);
+    });
+
+    test('should reject skills outside the kit', () => {
+      expect(CharacterRegistry.hasSkill('alien', 'attack')).toBe(false);
+      expect(CharacterRegistry.hasSkill('alien', undefined)).toBe(false);
+    });
+  });
+});
@@ -7,6 +7,7 @@
  * - Update loop logic
  * - Enemy finding algorithms
  * - Hit vignette effect
+ * - Scoreboard grouping
  */
 
 // Mock Date.now for consistent timing tests
@@ -265,10 +266,16 @@ describe('Delta Time', () => {
 
 // ==================== Find Nearest Enemy ====================
 
+// Enemy = other team (everyone is an enemy before teams are assigned)
+function isEnemyPlayer(player, remotePlayer) {
+  return !player || !player.team || remotePlayer.team !== player.team;
+}
+
 describe('findNearestEnemy', () => {
   // Mock player and enemies
-  function createPlayer(x, y) {
+  function createPlayer(x, y, team = null) {
     return {
+      team,
       getPosition: () => ({ x, y }),
     };
   }
@@ -281,10 +288,11 @@ describe('findNearestEnemy', () => {
     };
   }
 
-  function createRemotePlayer(x, y, alive = true) {
+  function createRemotePlayer(x, y, alive = true, team = null) {
     return {
       x,
       y,
+      team,
       isAlive: () => alive,
     };
   }
@@ -311,7 +319,7 @@ describe('findNearestEnemy', () => {
 
     // Check remote players
     remotePlayers.forEach((remotePlayer) => {
-      if (remotePlayer.isAlive()) {
+      if (remotePlayer.isAlive() && isEnemyPlayer(player, remotePlayer)) {
         const dx = remotePlayer.x - playerPos.x;
         const dy = remotePlayer.y - playerPos.y;
         const distance = Math.sqrt(dx * dx + dy * dy);
@@ -400,6 +408,27 @@ describe('findNearestEnemy', () => {
     expect(result.type).toBe('none');
   });
 
+  test('should skip allies', () => {
+    const player = createPlayer(100, 100, 'red');
+    const remotePlayers = [
+      createRemotePlayer(120, 100, true, 'red'), // Ally, very close
+      createRemotePlayer(400, 100, true, 'blue'), // Enemy, far away
+    ];
+
+    const result = findNearestEnemy(player, [], remotePlayers);
+
+    expect(result.x).toBe(400);
+  });
+
+  test('should treat everyone as an enemy before teams are assigned', () => {
+    const player = createPlayer(100, 100);
+    const remotePlayers = [createRemotePlayer(120, 100, true, 'red')];
+
+    const result = findNearestEnemy(player, [], remotePlayers);
+
+    expect(result.x).toBe(120);
+  });
+
   test('should calculate distance correctly for diagonal enemies', () => {
     const player = createPlayer(0, 0);
     const dummies = [
@@ -421,11 +450,11 @@ describe('findRandomEnemy', () => {
     return { x, y, isAlive: () => alive };
   }
 
-  function createRemotePlayer(x, y, alive = true) {
-    return { x, y, isAlive: () => alive };
+  function createRemotePlayer(x, y, alive = true, team = null) {
+    return { x, y, team, isAlive: () => alive };
   }
 
-  function findRandomEnemy(dummies, remotePlayers) {
+  function findRandomEnemy(dummies, remotePlayers, player = null) {
     const enemies = [];
 
     // Collect all alive dummies
@@ -435,9 +464,9 @@ describe('findRandomEnemy', () => {
       }
     });
 
-    // Collect all alive remote players
+    // Collect all alive enemy players
     remotePlayers.forEach((remotePlayer) => {
-      if (remotePlayer.isAlive()) {
+      if (remotePlayer.isAlive() && isEnemyPlayer(player, remotePlayer)) {
         enemies.push({ x: remotePlayer.x, y: remotePlayer.y, type: 'player' });
       }
     });
@@ -471,6 +500,16 @@ describe('findRandomEnemy', () => {
     expect(result.type).toBe('player');
   });
 
+  test('should not return allies', () => {
+    const player = { team: 'blue' };
+    const remotePlayers = [
+      createRemotePlayer(100, 100, true, 'blue'),
+      createRemotePlayer(200, 200, true, 'blue'),
+    ];
+
+    expect(findRandomEnemy([], remotePlayers, player)).toBeNull();
+  });
+
   test('should ignore dead enemies', () => {
     const dummies = [
       createDummy(100, 100, false),
@@ -605,6 +644,83 @@ describe('Death Screen', () => {
     advanceTime(5000);
     expect(getRespawnTime(player)).toBe(0);
   });
+
+  test('should count down the escalated delay sent by the server', () => {
+    const player = createDeadPlayer(currentTime, 7000);
+    expect(getRespawnTime(player)).toBeCloseTo(7, 1);
+    advanceTime(4000);
+    expect(getRespawnTime(player)).toBeCloseTo(3, 1);
+  });
+
+  // Mirrors LobbyManager.getCharacterName (subset)
+  function getCharacterName(characterId) {
+    const characterNames = { alien: '외계인', teacher: '선생님' };
+    return characterNames[characterId] || '외계인';
+  }
+
+  function formatKillerLine(info) {
+    if (!info.killerName) {
+      return 'Killed';
+    }
+    const characterName = getCharacterName(info.killerCharacter);
+    return `Killed by ${info.killerName} (${characterName}) - ${info.killerDamage} damage`;
+  }
+
+  test('should name the killer, their character and their damage', () => {
+    const info = { killerName: 'Bob', killerCharacter: 'teacher', killerDamage: 42 };
+    expect(formatKillerLine(info)).toBe('Killed by Bob (선생님) - 42 damage');
+  });
+
+  test('should fall back when the killer already left', () => {
+    const info = { killerName: null, killerCharacter: null, killerDamage: 0 };
+    expect(formatKillerLine(info)).toBe('Killed');
+  });
+});
+
+// ==================== Match HUD ====================
+
+describe('Match HUD', () => {
+  beforeEach(() => {
+    resetTime();
+  });
+
+  function formatMatchTime(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+  }
+
+  function isMatchResultOver(match) {
+    return Boolean(match.result && Math.max(0, match.endTime - Date.now()) <= 0);
+  }
+
+  test('should format full minutes', () => {
+    expect(formatMatchTime(300000)).toBe('5:00');
+  });
+
+  test('should pad seconds and round partial seconds up', () => {
+    expect(formatMatchTime(65500)).toBe('1:06');
+    expect(formatMatchTime(9001)).toBe('0:10');
+  });
+
+  test('should show 0:00 when time is up', () => {
+    expect(formatMatchTime(0)).toBe('0:00');
+  });
+
+  test('should keep showing the result until its timer runs out', () => {
+    const match = { result: { winner: 'red' }, endTime: currentTime + 10000 };
+
+    expect(isMatchResultOver(match)).toBe(false);
+    advanceTime(10000);
+    expect(isMatchResultOver(match)).toBe(true);
+  });
+
+  test('should not leave while the match has no result', () => {
+    const match = { result: null, endTime: currentTime };
+    advanceTime(1000);
+    expect(isMatchResultOver(match)).toBe(false);
+  });
 });
 
 // ==================== Game Loop ====================
@@ -733,3 +849,62 @@ describe('Player State Checks', () => {
     expect(shouldUpdatePlayer).toBe(false);
   });
 });
+
+// ==================== Scoreboard ====================
+
+describe('Scoreboard', () => {
+  const TEAM_COLORS = { red: {}, blue: {} };
+
+  function groupScoreboard(players) {
+    const byKills = (a, b) => (b.kills - a.kills) || (a.deaths - b.deaths);
+    const teams = Object.keys(TEAM_COLORS);
+    const groups = teams.map((team) => ({
+      team: team,
+      players: players.filter((p) => p.team === team).sort(byKills),
+    }));
+
+    const others = players.filter((p) => !teams.includes(p.team)).sort(byKills);
+    if (others.length > 0) {
+      groups.push({ team: null, players: others });
+    }
+
+    return groups.filter((group) => group.players.length > 0);
+  }
+
+  function isScoreboardVisible(tabHeld, chatFocused) {
+    if (chatFocused) return false;
+    return tabHeld;
+  }
+
+  test('should group players by team in team order', () => {
+    const groups = groupScoreboard([
+      { playerId: 'b1', team: 'blue', kills: 1, deaths: 0 },
+      { playerId: 'r1', team: 'red', kills: 0, deaths: 0 },
+    ]);
+
+    expect(groups.map((g) => g.team)).toEqual(['red', 'blue']);
+  });
+
+  test('should sort each team by kills, then fewer deaths', () => {
+    const groups = groupScoreboard([
+      { playerId: 'a', team: 'red', kills: 1, deaths: 3 },
+      { playerId: 'b', team: 'red', kills: 4, deaths: 0 },
+      { playerId: 'c', team: 'red', kills: 1, deaths: 1 },
+    ]);
+
+    expect(groups[0].players.map((p) => p.playerId)).toEqual(['b', 'c', 'a']);
+  });
+
+  test('should skip empty teams and collect players without a team', () => {
+    const groups = groupScoreboard([{ playerId: 'x', team: null, kills: 0, deaths: 0 }]);
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0].team).toBeNull();
+  });
+
+  test('should ignore Tab while chat input is focused', () => {
+    expect(isScoreboardVisible(true, false)).toBe(true);
+    expect(isScoreboardVisible(true, true)).toBe(false);
+    expect(isScoreboardVisible(false, false)).toBe(false);
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Kill Feed Tests
+ *
+ * Tests for the kill feed system including:
+ * - Kill entries (newest first, capped, expiring)
+ * - Announcer banner queue
+ */
+
+// Mock Date.now for consistent timing tests
+const mockNow = jest.spyOn(Date, 'now');
+let currentTime = 1000000;
+mockNow.mockImplementation(() => currentTime);
+
+function advanceTime(ms) {
+  currentTime += ms;
+}
+
+function resetTime() {
+  currentTime = 1000000;
+}
+
+const KILL_FEED_CONFIG = {
+  MAX_ENTRIES: 5,
+  ENTRY_DURATION_MS: 6000,
+  BANNER_DURATION_MS: 2500,
+  BANNER_TEXT: {
+    firstBlood: 'FIRST BLOOD',
+    doubleKill: 'DOUBLE KILL',
+    tripleKill: 'TRIPLE KILL',
+    killingSpree: 'KILLING SPREE',
+    shutdown: 'SHUTDOWN',
+  },
+};
+
+// ==================== KillFeed Class ====================
+
+class KillFeed {
+  constructor() {
+    this.entries = [];
+    this.banners = [];
+    this.bannerStartTime = 0;
+  }
+
+  addKill(entry) {
+    this.entries.unshift({ ...entry, time: Date.now() });
+
+    if (this.entries.length > KILL_FEED_CONFIG.MAX_ENTRIES) {
+      this.entries.length = KILL_FEED_CONFIG.MAX_ENTRIES;
+    }
+  }
+
+  addAnnouncement(announcement) {
+    if (!KILL_FEED_CONFIG.BANNER_TEXT[announcement.type]) return;
+
+    this.banners.push(announcement);
+  }
+
+  update() {
+    const now = Date.now();
+    this.entries = this.entries.filter((entry) => now - entry.time < KILL_FEED_CONFIG.ENTRY_DURATION_MS);
+
+    if (this.banners.length === 0) return;
+
+    if (this.bannerStartTime === 0) {
+      this.bannerStartTime = now;
+    } else if (now - this.bannerStartTime >= KILL_FEED_CONFIG.BANNER_DURATION_MS) {
+      this.banners.shift();
+      this.bannerStartTime = this.banners.length > 0 ? now : 0;
+    }
+  }
+
+  getCurrentBanner() {
+    return this.bannerStartTime > 0 ? this.banners[0] : null;
+  }
+
+  clear() {
+    this.entries = [];
+    this.banners = [];
+    this.bannerStartTime = 0;
+  }
+}
+
+function createKill(killerName, victimName, skill = 'attack') {
+  return { killerName, killerTeam: 'red', victimName, victimTeam: 'blue', skill };
+}
+
+describe('KillFeed', () => {
+  let killFeed;
+
+  beforeEach(() => {
+    resetTime();
+    killFeed = new KillFeed();
+  });
+
+  describe('kill entries', () => {
+    test('should show newest kill first', () => {
+      killFeed.addKill(createKill('A', 'B'));
+      killFeed.addKill(createKill('C', 'D', 'laser'));
+
+      expect(killFeed.entries[0].killerName).toBe('C');
+      expect(killFeed.entries[0].skill).toBe('laser');
+    });
+
+    test('should keep at most MAX_ENTRIES', () => {
+      for (let i = 0; i < 8; i++) {
+        killFeed.addKill(createKill(`K${i}`, 'V'));
+      }
+
+      expect(killFeed.entries).toHaveLength(5);
+      expect(killFeed.entries[4].killerName).toBe('K3');
+    });
+
+    test('should expire old entries', () => {
+      killFeed.addKill(createKill('A', 'B'));
+      advanceTime(3000);
+      killFeed.addKill(createKill('C', 'D'));
+      advanceTime(3500);
+      killFeed.update();
+
+      expect(killFeed.entries.map((e) => e.killerName)).toEqual(['C']);
+    });
+  });
+
+  describe('announcer banners', () => {
+    test('should ignore unknown announcement types', () => {
+      killFeed.addAnnouncement({ type: 'pentaKill' });
+
+      expect(killFeed.banners).toHaveLength(0);
+    });
+
+    test('should show a queued banner on the next update', () => {
+      killFeed.addAnnouncement({ type: 'firstBlood', playerName: 'A' });
+      expect(killFeed.getCurrentBanner()).toBeNull();
+
+      killFeed.update();
+
+      expect(killFeed.getCurrentBanner().type).toBe('firstBlood');
+    });
+
+    test('should show banners one at a time in order', () => {
+      killFeed.addAnnouncement({ type: 'firstBlood', playerName: 'A' });
+      killFeed.addAnnouncement({ type: 'doubleKill', playerName: 'A' });
+      killFeed.update();
+
+      advanceTime(2500);
+      killFeed.update();
+
+      expect(killFeed.getCurrentBanner().type).toBe('doubleKill');
+    });
+
+    test('should clear the banner after the last one ends', () => {
+      killFeed.addAnnouncement({ type: 'shutdown', playerName: 'A', victimName: 'B', streak: 3 });
+      killFeed.update();
+      advanceTime(2500);
+      killFeed.update();
+
+      expect(killFeed.getCurrentBanner()).toBeNull();
+      expect(killFeed.bannerStartTime).toBe(0);
+    });
+  });
+
+  test('clear should drop entries and banners', () => {
+    killFeed.addKill(createKill('A', 'B'));
+    killFeed.addAnnouncement({ type: 'firstBlood', playerName: 'A' });
+    killFeed.update();
+
+    killFeed.clear();
+
+    expect(killFeed.entries).toHaveLength(0);
+    expect(killFeed.getCurrentBanner()).toBeNull();
+  });
+});
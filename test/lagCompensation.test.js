@@ -0,0 +1,137 @@
+/**
+ * Lag Compensation Tests (server)
+ *
+ * Tests for checking hits where the shooter saw its targets:
+ * - getRewindTime: the claimed view time is capped at MAX_REWIND_MS and never in the future
+ * - recordPositionHistory / getRewoundPosition: interpolation between recorded ticks
+ * - History older than HISTORY_MS is pruned
+ */
+
+const { SERVER_CONFIG } = require('../server/config');
+const { Room, getRewindTime } = require('../server/room');
+
+const { MAX_REWIND_MS, HISTORY_MS } = SERVER_CONFIG.LAG_COMPENSATION;
+const TICK_MS = 1000 / SERVER_CONFIG.TICK.RATE_HZ;
+
+const fakeIo = { to: () => ({ emit: () => {} }) };
+
+describe('Lag compensation', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getRewindTime', () => {
+    test('should accept a view time within the rewind cap', () => {
+      expect(getRewindTime(now - 100)).toBe(now - 100);
+    });
+
+    test('should cap the rewind at MAX_REWIND_MS', () => {
+      expect(getRewindTime(now - MAX_REWIND_MS - 5000)).toBe(now - MAX_REWIND_MS);
+    });
+
+    test('should not rewind into the future', () => {
+      expect(getRewindTime(now + 500)).toBe(now);
+    });
+
+    test.each([undefined, null, 'soon', NaN, Infinity])('should use the current time for %p', (viewTime) => {
+      expect(getRewindTime(viewTime)).toBe(now);
+    });
+  });
+
+  describe('position history', () => {
+    let room;
+    let target;
+
+    // Record a tick with the target at (x, y)
+    function recordAt(time, x, y) {
+      target.x = x;
+      target.y = y;
+      room.recordPositionHistory(time);
+    }
+
+    function rewound(time) {
+      return room.getRewoundPosition('player', 'target', target, time);
+    }
+
+    beforeEach(() => {
+      room = new Room(fakeIo, 'lag-test', 'training');
+      target = room.addPlayer('target', 'alien', 'Target');
+    });
+
+    test('should interpolate between recorded ticks', () => {
+      recordAt(now - 200, 100, 100);
+      recordAt(now - 100, 200, 300);
+
+      expect(rewound(now - 150)).toEqual({ x: 150, y: 200 });
+      expect(rewound(now - 175)).toEqual({ x: 125, y: 150 });
+    });
+
+    test('should return a recorded tick exactly', () => {
+      recordAt(now - 200, 100, 100);
+      recordAt(now - 100, 200, 300);
+      recordAt(now, 300, 300);
+
+      expect(rewound(now - 100)).toEqual({ x: 200, y: 300 });
+    });
+
+    test('should use the current position after the last recorded tick', () => {
+      recordAt(now - 100, 100, 100);
+      target.x = 180; // Moved since
+
+      expect(rewound(now - 50)).toEqual({ x: 180, y: 100 });
+    });
+
+    test('should use the oldest recorded tick for earlier times', () => {
+      recordAt(now - 200, 100, 100);
+      recordAt(now - 100, 200, 300);
+
+      expect(rewound(now - 1000)).toEqual({ x: 100, y: 100 });
+    });
+
+    test('should use the current position without history', () => {
+      room.clearPositionHistory('player', 'target');
+      target.x = 640;
+      target.y = 360;
+
+      expect(rewound(now - 100)).toEqual({ x: 640, y: 360 });
+    });
+
+    test('should not interpolate across a cleared history', () => {
+      recordAt(now - 200, 100, 100);
+      room.clearPositionHistory('player', 'target'); // Respawn
+      recordAt(now - 100, 900, 500);
+
+      expect(rewound(now - 150)).toEqual({ x: 900, y: 500 });
+    });
+
+    test('should prune ticks older than HISTORY_MS', () => {
+      const start = now - 2 * HISTORY_MS;
+      for (let time = start; time <= now; time += TICK_MS) {
+        recordAt(time, time - start, 0);
+      }
+
+      const history = room.positionHistory.get('player:target');
+      expect(history[0].time).toBeGreaterThanOrEqual(now - HISTORY_MS);
+      expect(history.length).toBeLessThanOrEqual(Math.ceil(HISTORY_MS / TICK_MS) + 1);
+      expect(rewound(start).x).toBe(history[0].x);
+    });
+
+    test('should rewind no further than MAX_REWIND_MS for a stale view time', () => {
+      for (let time = now - HISTORY_MS; time <= now; time += 50) {
+        recordAt(time, time - (now - HISTORY_MS), 0);
+      }
+
+      const position = rewound(getRewindTime(now - HISTORY_MS));
+
+      expect(position.x).toBe(HISTORY_MS - MAX_REWIND_MS);
+    });
+  });
+});
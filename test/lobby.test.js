@@ -6,8 +6,12 @@
  * - Character selection
  * - Name input validation
  * - Game start callback
+ * - Character options built from the character registry
  */
 
+// The character registry is shared with the server, so it can be required directly
+const { CHARACTER_REGISTRY, CharacterRegistry } = require('../src/characters');
+
 // Mock DOM elements
 const mockContainer = {
   classList: {
@@ -28,6 +32,11 @@ const mockStartButton = {
   addEventListener: jest.fn(),
 };
 
+const mockTrainingButton = {
+  disabled: true,
+  addEventListener: jest.fn(),
+};
+
 const mockCharacterOptions = [
   {
     dataset: { character: 'alien' },
@@ -65,6 +74,13 @@ const mockCharacterOptions = [
   },
 ];
 
+const mockErrorElement = {
+  textContent: '',
+  classList: {
+    toggle: jest.fn(),
+  },
+};
+
 // Mock document functions
 const originalGetElementById = document.getElementById;
 const originalQuerySelectorAll = document.querySelectorAll;
@@ -74,6 +90,8 @@ document.getElementById = jest.fn((id) => {
   if (id === 'lobbyContainer') return mockContainer;
   if (id === 'playerNameInput') return mockNameInput;
   if (id === 'startGameBtn') return mockStartButton;
+  if (id === 'trainingBtn') return mockTrainingButton;
+  if (id === 'lobbyError') return mockErrorElement;
   return originalGetElementById.call(document, id);
 });
 
@@ -95,7 +113,9 @@ class LobbyManager {
     this.container = document.getElementById('lobbyContainer');
     this.nameInput = document.getElementById('playerNameInput');
     this.startButton = document.getElementById('startGameBtn');
+    this.trainingButton = document.getElementById('trainingBtn');
     this.characterOptions = document.querySelectorAll('.character-option');
+    this.errorElement = document.getElementById('lobbyError');
 
     this.selectedCharacter = this.getInitialSelectedCharacter();
     this.playerName = '';
@@ -105,6 +125,34 @@ class LobbyManager {
     this.validateInput();
   }
 
+  renderCharacterOptions() {
+    const list = document.querySelector('.character-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+    CharacterRegistry.getIdsInUnlockOrder().forEach((characterId) => {
+      const character = CharacterRegistry.get(characterId);
+
+      const option = document.createElement('div');
+      option.className = 'character-option';
+      option.dataset.character = characterId;
+      if (characterId === CHARACTER_REGISTRY.DEFAULT) {
+        option.classList.add('selected');
+      }
+
+      const image = document.createElement('img');
+      image.src = character.image;
+      image.alt = character.name;
+
+      const name = document.createElement('div');
+      name.className = 'character-name';
+      name.textContent = character.name;
+
+      option.append(image, name);
+      list.appendChild(option);
+    });
+  }
+
   getInitialSelectedCharacter() {
     const selectedOption = document.querySelector('.character-option.selected');
     if (selectedOption && selectedOption.dataset.character) {
@@ -127,21 +175,24 @@ class LobbyManager {
     this.playerName = this.nameInput.value.trim();
     const canStart = this.canStartGame();
     this.startButton.disabled = !canStart;
+    this.trainingButton.disabled = !canStart;
   }
 
   canStartGame() {
     return this.playerName.length > 0 && this.selectedCharacter !== null;
   }
 
-  startGame() {
+  startGame(mode = 'match') {
     if (!this.canStartGame()) return;
 
+    this.showError(null);
     this.hide();
 
     if (this.onGameStart) {
       this.onGameStart({
         character: this.selectedCharacter,
         playerName: this.playerName,
+        mode: mode,
       });
     }
   }
@@ -158,6 +209,21 @@ class LobbyManager {
     this.nameInput.focus();
   }
 
+  showError(message) {
+    if (!this.errorElement) return;
+    this.errorElement.textContent = message || '';
+    this.errorElement.classList.toggle('visible', !!message);
+  }
+
+  showJoinError(rejection) {
+    const messages = {
+      protocol: '게임이 업데이트되었습니다. 페이지를 새로고침해 주세요.',
+      name: '사용할 수 없는 이름입니다. 다른 이름을 입력해 주세요.',
+      character: '선택할 수 없는 캐릭터입니다. 다른 캐릭터를 골라 주세요.',
+    };
+    this.showError(messages[rejection.code] || rejection.reason);
+  }
+
   setOnGameStart(callback) {
     this.onGameStart = callback;
   }
@@ -194,9 +260,12 @@ describe('LobbyManager', () => {
     // Reset mocks
     mockNameInput.value = '';
     mockStartButton.disabled = true;
+    mockTrainingButton.disabled = true;
     mockContainer.classList.add.mockClear();
     mockContainer.classList.remove.mockClear();
     mockNameInput.focus.mockClear();
+    mockErrorElement.textContent = '';
+    mockErrorElement.classList.toggle.mockClear();
 
     // Reset character options
     mockCharacterOptions[0].classList._classes = ['selected'];
@@ -289,6 +358,7 @@ describe('LobbyManager', () => {
       lobbyManager.validateInput();
 
       expect(mockStartButton.disabled).toBe(false);
+      expect(mockTrainingButton.disabled).toBe(false);
     });
 
     test('should disable button when name empty', () => {
@@ -305,6 +375,7 @@ describe('LobbyManager', () => {
       lobbyManager.validateInput();
 
       expect(mockStartButton.disabled).toBe(true);
+      expect(mockTrainingButton.disabled).toBe(true);
     });
   });
 
@@ -353,6 +424,22 @@ describe('LobbyManager', () => {
       expect(callback).toHaveBeenCalledWith({
         character: 'alien',
         playerName: 'TestPlayer',
+        mode: 'match',
+      });
+    });
+
+    test('should pass training mode to onGameStart', () => {
+      lobbyManager.playerName = 'TestPlayer';
+      lobbyManager.selectedCharacter = 'alien';
+      const callback = jest.fn();
+      lobbyManager.setOnGameStart(callback);
+
+      lobbyManager.startGame('training');
+
+      expect(callback).toHaveBeenCalledWith({
+        character: 'alien',
+        playerName: 'TestPlayer',
+        mode: 'training',
       });
     });
 
@@ -417,6 +504,78 @@ describe('LobbyManager', () => {
   });
 });
 
+describe('LobbyManager join errors', () => {
+  let lobbyManager;
+
+  beforeEach(() => {
+    mockErrorElement.textContent = '';
+    mockErrorElement.classList.toggle.mockClear();
+    lobbyManager = new LobbyManager();
+  });
+
+  test('should show a localized message for known rejection codes', () => {
+    lobbyManager.showJoinError({ code: 'protocol', reason: 'Client protocol 0 is not supported' });
+
+    expect(mockErrorElement.textContent).toBe('게임이 업데이트되었습니다. 페이지를 새로고침해 주세요.');
+    expect(mockErrorElement.classList.toggle).toHaveBeenLastCalledWith('visible', true);
+  });
+
+  test('should fall back to the server reason for unknown codes', () => {
+    lobbyManager.showJoinError({ code: 'full', reason: 'Server is full' });
+
+    expect(mockErrorElement.textContent).toBe('Server is full');
+  });
+
+  test('should clear the message when a new game starts', () => {
+    lobbyManager.showJoinError({ code: 'name', reason: 'Name must be 1-30 characters' });
+    mockNameInput.value = 'Player';
+    lobbyManager.validateInput();
+
+    lobbyManager.startGame();
+
+    expect(mockErrorElement.textContent).toBe('');
+    expect(mockErrorElement.classList.toggle).toHaveBeenLastCalledWith('visible', false);
+  });
+});
+
+describe('LobbyManager character options', () => {
+  let list;
+
+  beforeEach(() => {
+    list = document.createElement('div');
+    list.className = 'character-list';
+    list.innerHTML = '<div class="stale">old</div>';
+    document.body.appendChild(list);
+  });
+
+  afterEach(() => {
+    list.remove();
+  });
+
+  test('should list every character in unlock order', () => {
+    new LobbyManager().renderCharacterOptions();
+
+    const ids = Array.from(list.children).map((option) => option.dataset.character);
+    expect(ids).toEqual(CharacterRegistry.getIdsInUnlockOrder());
+  });
+
+  test('should select the default character', () => {
+    new LobbyManager().renderCharacterOptions();
+
+    const selected = list.querySelectorAll('.character-option.selected');
+    expect(selected).toHaveLength(1);
+    expect(selected[0].dataset.character).toBe(CHARACTER_REGISTRY.DEFAULT);
+  });
+
+  test('should show the registry image and name', () => {
+    new LobbyManager().renderCharacterOptions();
+
+    const option = list.querySelector('[data-character="curry-bear"]');
+    expect(option.querySelector('img').getAttribute('src')).toBe('asset/image/curry-bear.png');
+    expect(option.querySelector('.character-name').textContent).toBe('카레 곰돌이');
+  });
+});
+
 describe('LobbyManager static methods', () => {
   describe('getCharacterImagePath', () => {
     test('should return correct path for alien', () => {
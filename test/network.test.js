@@ -0,0 +1,238 @@
+/**
+ * Network Module Tests
+ *
+ * Tests for the network module including:
+ * - SnapshotInterpolator class (timestamped interpolation for remote entities)
+ */
+
+// ==================== SnapshotInterpolator Class ====================
+
+class SnapshotInterpolator {
+  constructor(
+    delayMs = 100,
+    maxExtrapolationMs = 100,
+    bufferSize = 30
+  ) {
+    this.delayMs = delayMs;
+    this.maxExtrapolationMs = maxExtrapolationMs;
+    this.bufferSize = bufferSize;
+    this.snapshots = []; // [{timestamp, x, y}] sorted by timestamp
+  }
+
+  /**
+  * Add a position received from the server
+  * @param {number} timestamp - Server time of the snapshot (ms)
+  * @param {number} x - X position
+  * @param {number} y - Y position
+  */
+  push(timestamp, x, y) {
+    const last = this.snapshots[this.snapshots.length - 1];
+
+    if (last && timestamp <= last.timestamp) {
+      if (timestamp === last.timestamp) {
+        last.x = x;
+        last.y = y;
+      }
+      return; // Out-of-order snapshot (older than what we already have)
+    }
+
+    this.snapshots.push({ timestamp, x, y });
+
+    if (this.snapshots.length > this.bufferSize) {
+      this.snapshots.shift();
+    }
+  }
+
+  /**
+  * Forget buffered positions and restart from one position (respawn, teleport sync)
+  * @param {number} timestamp - Server time of the position (ms)
+  * @param {number} x - X position
+  * @param {number} y - Y position
+  */
+  reset(timestamp, x, y) {
+    this.snapshots = [{ timestamp, x, y }];
+  }
+
+  /**
+  * Get the position to render
+  * @param {number} serverTime - Current (estimated) server time in ms
+  * @returns {{x: number, y: number}|null} Interpolated position, or null if the buffer is empty
+  */
+  sample(serverTime) {
+    const count = this.snapshots.length;
+    if (count === 0) return null;
+
+    const renderTime = serverTime - this.delayMs;
+    const first = this.snapshots[0];
+    const last = this.snapshots[count - 1];
+
+    if (renderTime <= first.timestamp) {
+      return { x: first.x, y: first.y };
+    }
+
+    if (renderTime >= last.timestamp) {
+      return this.extrapolate(renderTime);
+    }
+
+    // Drop snapshots that can no longer be rendered (keep the one before renderTime)
+    while (this.snapshots.length > 2 && this.snapshots[1].timestamp <= renderTime) {
+      this.snapshots.shift();
+    }
+
+    const from = this.snapshots[0];
+    const to = this.snapshots[1];
+    const t = (renderTime - from.timestamp) / (to.timestamp - from.timestamp);
+
+    return {
+      x: from.x + (to.x - from.x) * t,
+      y: from.y + (to.y - from.y) * t
+    };
+  }
+
+  // Continue along the last known velocity for a short time, then hold
+  extrapolate(renderTime) {
+    const count = this.snapshots.length;
+    const last = this.snapshots[count - 1];
+
+    if (count < 2) {
+      return { x: last.x, y: last.y };
+    }
+
+    const prev = this.snapshots[count - 2];
+    const span = last.timestamp - prev.timestamp;
+    const ahead = Math.min(renderTime - last.timestamp, this.maxExtrapolationMs);
+    const t = ahead / span;
+
+    return {
+      x: last.x + (last.x - prev.x) * t,
+      y: last.y + (last.y - prev.y) * t
+    };
+  }
+
+  clear() {
+    this.snapshots = [];
+  }
+}
+
+// ==================== Tests ====================
+
+describe('SnapshotInterpolator', () => {
+  describe('sample', () => {
+    test('should return null when no snapshot was received', () => {
+      const interpolator = new SnapshotInterpolator();
+      expect(interpolator.sample(1000)).toBeNull();
+    });
+
+    test('should render delayMs in the past', () => {
+      const interpolator = new SnapshotInterpolator(100);
+      interpolator.push(1000, 0, 0);
+      interpolator.push(1100, 100, 50);
+
+      // serverTime 1150 -> renderTime 1050, halfway between the snapshots
+      expect(interpolator.sample(1150)).toEqual({ x: 50, y: 25 });
+    });
+
+    test('should hold the oldest snapshot before the buffer starts', () => {
+      const interpolator = new SnapshotInterpolator(100);
+      interpolator.push(1000, 10, 20);
+      interpolator.push(1100, 110, 20);
+
+      expect(interpolator.sample(1050)).toEqual({ x: 10, y: 20 });
+    });
+
+    test('should not depend on how often it is sampled', () => {
+      const a = new SnapshotInterpolator(100);
+      const b = new SnapshotInterpolator(100);
+      [a, b].forEach(interpolator => {
+        interpolator.push(1000, 0, 0);
+        interpolator.push(1033, 10, 0);
+        interpolator.push(1066, 20, 0);
+      });
+
+      // a is sampled every "frame", b only once
+      for (let time = 1100; time <= 1150; time += 5) {
+        a.sample(time);
+      }
+
+      expect(a.sample(1150).x).toBeCloseTo(b.sample(1150).x);
+    });
+
+    test('should drop snapshots that are no longer needed', () => {
+      const interpolator = new SnapshotInterpolator(100);
+      interpolator.push(1000, 0, 0);
+      interpolator.push(1100, 10, 0);
+      interpolator.push(1200, 20, 0);
+      interpolator.push(1300, 30, 0);
+
+      interpolator.sample(1350); // renderTime 1250
+
+      expect(interpolator.snapshots.map(s => s.timestamp)).toEqual([1200, 1300]);
+    });
+  });
+
+  describe('extrapolation', () => {
+    test('should continue along the last velocity when snapshots are late', () => {
+      const interpolator = new SnapshotInterpolator(100, 100);
+      interpolator.push(1000, 0, 0);
+      interpolator.push(1100, 100, 0);
+
+      // renderTime 1150 -> 50ms past the newest snapshot
+      expect(interpolator.sample(1250)).toEqual({ x: 150, y: 0 });
+    });
+
+    test('should stop extrapolating after maxExtrapolationMs', () => {
+      const interpolator = new SnapshotInterpolator(100, 100);
+      interpolator.push(1000, 0, 0);
+      interpolator.push(1100, 100, 0);
+
+      expect(interpolator.sample(2000)).toEqual({ x: 200, y: 0 });
+    });
+
+    test('should hold a single snapshot in place', () => {
+      const interpolator = new SnapshotInterpolator(100, 100);
+      interpolator.push(1000, 40, 60);
+
+      expect(interpolator.sample(5000)).toEqual({ x: 40, y: 60 });
+    });
+  });
+
+  describe('push', () => {
+    test('should ignore out-of-order snapshots', () => {
+      const interpolator = new SnapshotInterpolator();
+      interpolator.push(1100, 100, 0);
+      interpolator.push(1000, 0, 0);
+
+      expect(interpolator.snapshots).toEqual([{ timestamp: 1100, x: 100, y: 0 }]);
+    });
+
+    test('should cap the buffer size', () => {
+      const interpolator = new SnapshotInterpolator(100, 100, 3);
+      for (let i = 0; i < 5; i++) {
+        interpolator.push(1000 + i * 33, i, 0);
+      }
+
+      expect(interpolator.snapshots.length).toBe(3);
+      expect(interpolator.snapshots[0].x).toBe(2);
+    });
+
+    test('reset should restart from a single position', () => {
+      const interpolator = new SnapshotInterpolator(100);
+      interpolator.push(1000, 0, 0);
+      interpolator.push(1100, 100, 0);
+      interpolator.reset(1200, 500, 500);
+
+      expect(interpolator.sample(1250)).toEqual({ x: 500, y: 500 });
+    });
+
+    test('reset should drop snapshots sent before the jump (teleport, knockback)', () => {
+      const interpolator = new SnapshotInterpolator(100);
+      interpolator.push(1000, 0, 0);
+      interpolator.reset(1200, 500, 500);
+      interpolator.push(1150, 10, 0);
+      interpolator.push(1300, 600, 500);
+
+      expect(interpolator.snapshots.map(s => s.timestamp)).toEqual([1200, 1300]);
+      expect(interpolator.sample(1350)).toEqual({ x: 550, y: 500 });
+    });
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Session Resume Tests (server)
+ *
+ * Tests for keeping a disconnected player for the reconnect grace period:
+ * - Resuming within the grace period gets the same player back (position, level)
+ * - Tokens are rotated on resume, so a reused token gets a fresh player
+ * - The player is removed once the grace period runs out
+ */
+
+const { SERVER_CONFIG } = require('../server/config');
+const { getPlayerRoom, stopAllRooms } = require('../server/gameState');
+const { registerPlayerHandlers } = require('../server/handlers/playerHandler');
+
+const GRACE_MS = SERVER_CONFIG.SESSION.RECONNECT_GRACE_MS;
+
+// socket.emit records what the server sends; fire() plays a client event
+class FakeSocket {
+  constructor(id, io) {
+    this.id = id;
+    this.io = io;
+    this.data = {};
+    this.listeners = {};
+    this.sent = [];
+  }
+
+  on(event, listener) {
+    this.listeners[event] = listener;
+  }
+
+  emit(event, payload) {
+    this.sent.push({ event, payload });
+  }
+
+  fire(event, payload) {
+    if (this.listeners[event]) this.listeners[event](payload);
+  }
+
+  // Broadcasts to the rest of a room go to the same log as io.to()
+  to(target) {
+    return this.io.to(target);
+  }
+
+  join() {}
+  leave() {}
+
+  disconnect() {
+    this.io.sockets.sockets.delete(this.id);
+    this.fire('disconnect');
+  }
+
+  lastSent(event) {
+    return this.sent.filter(s => s.event === event).pop();
+  }
+}
+
+describe('Session resume', () => {
+  let io;
+  let roomEvents;
+
+  function connect(id) {
+    const socket = new FakeSocket(id, io);
+    io.sockets.sockets.set(id, socket);
+    registerPlayerHandlers(socket, io);
+    return socket;
+  }
+
+  // Connect and join; returns the socket and the session token from roomJoined
+  function join(id, sessionToken) {
+    const socket = connect(id);
+    socket.fire('joinGame', {
+      protocolVersion: SERVER_CONFIG.PROTOCOL.VERSION,
+      playerName: id,
+      character: 'alien',
+      mode: 'training',
+      sessionToken
+    });
+    getPlayerRoom(socket.data.playerId).stop(); // No simulation ticks needed
+    return { socket, joined: socket.lastSent('roomJoined').payload };
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    roomEvents = [];
+    io = {
+      sockets: { sockets: new Map() },
+      to: target => ({ emit: (event, payload) => roomEvents.push({ target, event, payload }) })
+    };
+  });
+
+  afterEach(() => {
+    stopAllRooms();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('should resume the same player within the grace period', () => {
+    const first = join('first');
+    const room = getPlayerRoom('first');
+    const player = room.players.get('first');
+    player.x = 400;
+    player.y = 300;
+    player.level = 7;
+
+    first.socket.disconnect();
+    jest.advanceTimersByTime(GRACE_MS - 1000);
+    const second = join('second', first.joined.sessionToken);
+
+    expect(second.joined).toMatchObject({ playerId: 'first', resumed: true });
+    expect(second.joined.player).toMatchObject({ x: 400, y: 300, level: 7 });
+    expect(second.socket.data.playerId).toBe('first');
+    expect(room.players.size).toBe(1);
+    expect(roomEvents.some(e => e.event === 'playerLeft')).toBe(false);
+  });
+
+  test('should rotate the token on resume', () => {
+    const first = join('first');
+    first.socket.disconnect();
+
+    const second = join('second', first.joined.sessionToken);
+
+    expect(second.joined.sessionToken).toEqual(expect.any(String));
+    expect(second.joined.sessionToken).not.toBe(first.joined.sessionToken);
+  });
+
+  test('should give a reused token a fresh player', () => {
+    const first = join('first');
+    first.socket.disconnect();
+    join('second', first.joined.sessionToken);
+
+    const third = join('third', first.joined.sessionToken);
+
+    expect(third.joined).toMatchObject({ playerId: 'third', resumed: false });
+    expect(getPlayerRoom('first').players.has('first')).toBe(true);
+    expect(getPlayerRoom('third').players.has('third')).toBe(true);
+  });
+
+  test('should remove the player once the grace period runs out', () => {
+    const first = join('first');
+    const room = getPlayerRoom('first');
+
+    first.socket.disconnect();
+    jest.advanceTimersByTime(GRACE_MS);
+
+    expect(room.players.has('first')).toBe(false);
+    expect(getPlayerRoom('first')).toBeNull();
+    expect(roomEvents).toContainEqual(expect.objectContaining({ event: 'playerLeft', payload: { playerId: 'first' } }));
+  });
+
+  test('should give an expired token a fresh player', () => {
+    const first = join('first');
+    first.socket.disconnect();
+    jest.advanceTimersByTime(GRACE_MS);
+
+    const second = join('second', first.joined.sessionToken);
+
+    expect(second.joined).toMatchObject({ playerId: 'second', resumed: false });
+  });
+
+  test('should not expire a player taken over before the old connection dropped', () => {
+    const first = join('first');
+    const room = getPlayerRoom('first');
+
+    // Resuming closes the old connection, whose disconnect must not hold the player again
+    join('second', first.joined.sessionToken);
+    jest.advanceTimersByTime(GRACE_MS);
+
+    expect(io.sockets.sockets.has('first')).toBe(false);
+    expect(room.players.has('first')).toBe(true);
+  });
+});
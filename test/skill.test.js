@@ -28,6 +28,9 @@ function resetTime() {
 // Import the skill classes (we need to define them since the source uses global scope)
 // In a real scenario, we'd refactor to use ES modules
 
+// The character registry is shared with the server, so it can be required directly
+const { CHARACTER_REGISTRY, CharacterRegistry } = require('../src/characters');
+
 // ==================== Skill Class Tests ====================
 
 class Skill {
@@ -37,6 +40,7 @@ class Skill {
     this.cooldown = cooldown;
     this.lastUsedTime = 0;
     this.iconColor = iconColor;
+    this.id = null;
     this.readyFlashTime = 0;
     this.readyFlashDuration = 300;
     this.wasOnCooldown = false;
@@ -58,6 +62,11 @@ class Skill {
     return Math.max(0, this.cooldown - elapsed);
   }
 
+  syncCooldown(remainingMs) {
+    this.lastUsedTime = Date.now() - Math.max(0, this.cooldown - remainingMs);
+    this.wasOnCooldown = remainingMs > 0;
+  }
+
   getCooldownProgress() {
     if (this.lastUsedTime === 0) return 1;
     const elapsed = Date.now() - this.lastUsedTime;
@@ -172,6 +181,26 @@ describe('Skill', () => {
     });
   });
 
+  describe('syncCooldown', () => {
+    test('should match the remaining cooldown reported by the server', () => {
+      const skill = new Skill('Test', 'q', 10000);
+      skill.syncCooldown(4000);
+
+      expect(skill.isReady()).toBe(false);
+      expect(skill.getRemainingCooldown()).toBe(4000);
+      expect(skill.wasOnCooldown).toBe(true);
+    });
+
+    test('should make the skill ready when nothing is left', () => {
+      const skill = new Skill('Test', 'q', 10000);
+      skill.use();
+      skill.syncCooldown(0);
+
+      expect(skill.isReady()).toBe(true);
+      expect(skill.wasOnCooldown).toBe(false);
+    });
+  });
+
   describe('getCooldownProgress', () => {
     test('should return 1 for never-used skill', () => {
       const skill = new Skill('Test', 'q', 2000);
@@ -260,6 +289,20 @@ describe('Skill', () => {
 
 // ==================== SkillManager Class Tests ====================
 
+const SKILL_KEYS = { laser: 'q', teleport: 'w', telepathy: 'e' };
+
+const SKILL_CONFIG_SECTIONS = {
+  laser: 'SKILL_LASER',
+  teleport: 'SKILL_TELEPORT',
+  telepathy: 'SKILL_TELEPATHY',
+};
+
+const SKILL_VISUALS = {
+  SKILL_LASER: { NAME: '레이저', COLOR: '#FF4444' },
+  SKILL_TELEPORT: { NAME: '순간이동', COLOR: '#44FF44' },
+  SKILL_TELEPATHY: { NAME: '텔레파시', COLOR: '#8B5CF6' },
+};
+
 class SkillManager {
   constructor() {
     this.skills = new Map();
@@ -292,6 +335,28 @@ class SkillManager {
   getAllSkills() {
     return this.skillOrder.map((key) => this.skills.get(key));
   }
+
+  static fromGameConfig(config, characterId) {
+    const skillManager = new SkillManager();
+    CharacterRegistry.get(characterId).skills.forEach((skillId) => {
+      const section = SKILL_CONFIG_SECTIONS[skillId];
+      const skill = new Skill(
+        SKILL_VISUALS[section].NAME,
+        SKILL_KEYS[skillId],
+        config[section].COOLDOWN_MS,
+        SKILL_VISUALS[section].COLOR
+      );
+      skill.id = skillId;
+      skillManager.addSkill(skill);
+    });
+    return skillManager;
+  }
+
+  applyGameConfig(config) {
+    this.skills.forEach((skill) => {
+      skill.cooldown = config[SKILL_CONFIG_SECTIONS[skill.id]].COOLDOWN_MS;
+    });
+  }
 }
 
 describe('SkillManager', () => {
@@ -409,6 +474,55 @@ describe('SkillManager', () => {
       expect(skill2.readyFlashTime).toBe(0);
     });
   });
+
+  describe('fromGameConfig', () => {
+    const config = {
+      SKILL_LASER: { COOLDOWN_MS: 9000 },
+      SKILL_TELEPORT: { COOLDOWN_MS: 6000 },
+      SKILL_TELEPATHY: { COOLDOWN_MS: 14000 },
+    };
+
+    test('should build Q/W/E skills with the server cooldowns', () => {
+      const manager = SkillManager.fromGameConfig(config, 'alien');
+
+      expect(manager.getAllSkills().map((skill) => skill.key)).toEqual(['q', 'w', 'e']);
+      expect(manager.getSkill('q').cooldown).toBe(9000);
+      expect(manager.getSkill('w').cooldown).toBe(6000);
+      expect(manager.getSkill('e').cooldown).toBe(14000);
+    });
+
+    test('should only build the skills in the character kit', () => {
+      CHARACTER_REGISTRY.CHARACTERS['test-kit'] = { ...CHARACTER_REGISTRY.CHARACTERS.alien, skills: ['teleport', 'telepathy'] };
+      try {
+        const manager = SkillManager.fromGameConfig(config, 'test-kit');
+
+        expect(manager.getAllSkills().map((skill) => skill.id)).toEqual(['teleport', 'telepathy']);
+        expect(manager.getSkill('q')).toBeUndefined();
+      } finally {
+        delete CHARACTER_REGISTRY.CHARACTERS['test-kit'];
+      }
+    });
+
+    test('should fall back to the default character for unknown IDs', () => {
+      const manager = SkillManager.fromGameConfig(config, 'unknown');
+
+      expect(manager.getAllSkills().map((skill) => skill.id)).toEqual(['laser', 'teleport', 'telepathy']);
+    });
+
+    test('applyGameConfig should update cooldowns by skill ID', () => {
+      const manager = SkillManager.fromGameConfig(config, 'curry-bear');
+
+      manager.applyGameConfig({
+        SKILL_LASER: { COOLDOWN_MS: 1 },
+        SKILL_TELEPORT: { COOLDOWN_MS: 5000 },
+        SKILL_TELEPATHY: { COOLDOWN_MS: 10000 },
+      });
+
+      expect(manager.getSkill('q').cooldown).toBe(1);
+      expect(manager.getSkill('w').cooldown).toBe(5000);
+      expect(manager.getSkill('e').cooldown).toBe(10000);
+    });
+  });
 });
 
 // ==================== LaserBeamEffect Tests ====================
@@ -424,8 +538,6 @@ class LaserBeamEffect {
     this.startY = 0;
     this.dirX = 0;
     this.dirY = 0;
-    this.damage = 44;
-    this.hasDealtDamage = false;
   }
 
   start(playerX, playerY, targetX, targetY) {
@@ -445,8 +557,11 @@ class LaserBeamEffect {
       this.dirX = 1;
       this.dirY = 0;
     }
+  }
 
-    this.hasDealtDamage = false;
+  cancel() {
+    this.active = false;
+    this.phase = 'none';
   }
 
   update(playerX, playerY) {
@@ -470,14 +585,6 @@ class LaserBeamEffect {
     }
   }
 
-  shouldDealDamage() {
-    if (this.phase === 'firing' && !this.hasDealtDamage) {
-      this.hasDealtDamage = true;
-      return true;
-    }
-    return false;
-  }
-
   getLaserLine() {
     if (this.dirX === 0 && this.dirY === 0) return null;
 
@@ -504,7 +611,6 @@ describe('LaserBeamEffect', () => {
 
       expect(laser.active).toBe(false);
       expect(laser.phase).toBe('none');
-      expect(laser.damage).toBe(44);
       expect(laser.aimDuration).toBe(1000);
       expect(laser.fireDuration).toBe(200);
     });
@@ -589,23 +695,14 @@ describe('LaserBeamEffect', () => {
     });
   });
 
-  describe('shouldDealDamage', () => {
-    test('should return true once when firing phase starts', () => {
+  describe('cancel', () => {
+    test('should stop aiming without firing', () => {
       const laser = new LaserBeamEffect();
       laser.start(100, 100, 200, 100);
+      laser.cancel();
 
-      advanceTime(1000);
-      laser.update(100, 100);
-
-      expect(laser.shouldDealDamage()).toBe(true);
-      expect(laser.shouldDealDamage()).toBe(false);
-    });
-
-    test('should return false during aiming phase', () => {
-      const laser = new LaserBeamEffect();
-      laser.start(100, 100, 200, 100);
-
-      expect(laser.shouldDealDamage()).toBe(false);
+      expect(laser.active).toBe(false);
+      expect(laser.phase).toBe('none');
     });
   });
 
@@ -647,8 +744,6 @@ class TeleportEffect {
     this.minDistance = 200;
     this.maxDistance = 400;
     this.damageRadius = 100;
-    this.damage = 12;
-    this.hasDealtDamage = false;
     this.hasTeleported = false;
   }
 
@@ -658,7 +753,6 @@ class TeleportEffect {
     this.startTime = Date.now();
     this.startX = playerX;
     this.startY = playerY;
-    this.hasDealtDamage = false;
     this.hasTeleported = false;
 
     let newX, newY;
@@ -683,6 +777,13 @@ class TeleportEffect {
     this.endY = newY;
   }
 
+  cancel() {
+    if (this.phase !== 'disappear') return;
+
+    this.active = false;
+    this.phase = 'none';
+  }
+
   update() {
     if (!this.active) return null;
 
@@ -704,23 +805,6 @@ class TeleportEffect {
 
     return null;
   }
-
-  shouldDealDamage() {
-    if (this.phase === 'appear' && !this.hasDealtDamage) {
-      this.hasDealtDamage = true;
-      return true;
-    }
-    return false;
-  }
-
-  getDamageArea() {
-    return {
-      x: this.endX,
-      y: this.endY,
-      radius: this.damageRadius,
-      damage: this.damage,
-    };
-  }
 }
 
 describe('TeleportEffect', () => {
@@ -734,7 +818,6 @@ describe('TeleportEffect', () => {
 
       expect(teleport.active).toBe(false);
       expect(teleport.phase).toBe('none');
-      expect(teleport.damage).toBe(12);
       expect(teleport.damageRadius).toBe(100);
     });
   });
@@ -820,30 +903,25 @@ describe('TeleportEffect', () => {
     });
   });
 
-  describe('shouldDealDamage', () => {
-    test('should return true once when appear phase starts', () => {
+  describe('cancel', () => {
+    test('should stop before arriving', () => {
       const teleport = new TeleportEffect();
       teleport.start(500, 500, 1920, 1080);
+      teleport.cancel();
 
-      advanceTime(150);
-      teleport.update();
-
-      expect(teleport.shouldDealDamage()).toBe(true);
-      expect(teleport.shouldDealDamage()).toBe(false);
+      expect(teleport.active).toBe(false);
+      expect(teleport.update()).toBeNull();
     });
-  });
 
-  describe('getDamageArea', () => {
-    test('should return damage area at end position', () => {
+    test('should not stop a teleport that already arrived', () => {
       const teleport = new TeleportEffect();
       teleport.start(500, 500, 1920, 1080);
+      advanceTime(150);
+      teleport.update();
+      teleport.cancel();
 
-      const area = teleport.getDamageArea();
-
-      expect(area.x).toBe(teleport.endX);
-      expect(area.y).toBe(teleport.endY);
-      expect(area.radius).toBe(100);
-      expect(area.damage).toBe(12);
+      expect(teleport.active).toBe(true);
+      expect(teleport.phase).toBe('appear');
     });
   });
 });
@@ -855,25 +933,22 @@ class TelepathyEffect {
     this.active = false;
     this.startTime = 0;
     this.duration = 3000;
-    this.tickInterval = 100;
     this.x = 0;
     this.y = 0;
     this.radius = 180;
-    this.damagePerTick = 2;
-    this.maxHealPerTick = 4;
-    this.lastTickTime = 0;
-    this.tickCount = 0;
   }
 
   start(playerX, playerY) {
     this.active = true;
     this.startTime = Date.now();
-    this.lastTickTime = 0;
-    this.tickCount = 0;
     this.x = playerX;
     this.y = playerY;
   }
 
+  cancel() {
+    this.active = false;
+  }
+
   update(playerX, playerY) {
     if (!this.active) return;
 
@@ -885,29 +960,6 @@ class TelepathyEffect {
       this.active = false;
     }
   }
-
-  shouldDealDamage() {
-    if (!this.active) return false;
-
-    const elapsed = Date.now() - this.startTime;
-    const expectedTicks = Math.floor(elapsed / this.tickInterval);
-
-    if (expectedTicks > this.tickCount) {
-      this.tickCount = expectedTicks;
-      return true;
-    }
-    return false;
-  }
-
-  getDamageArea() {
-    return {
-      x: this.x,
-      y: this.y,
-      radius: this.radius,
-      damagePerTarget: this.damagePerTick,
-      maxHeal: this.maxHealPerTick,
-    };
-  }
 }
 
 describe('TelepathyEffect', () => {
@@ -921,10 +973,7 @@ describe('TelepathyEffect', () => {
 
       expect(telepathy.active).toBe(false);
       expect(telepathy.duration).toBe(3000);
-      expect(telepathy.tickInterval).toBe(100);
       expect(telepathy.radius).toBe(180);
-      expect(telepathy.damagePerTick).toBe(2);
-      expect(telepathy.maxHealPerTick).toBe(4);
     });
   });
 
@@ -936,7 +985,6 @@ describe('TelepathyEffect', () => {
       expect(telepathy.active).toBe(true);
       expect(telepathy.x).toBe(500);
       expect(telepathy.y).toBe(500);
-      expect(telepathy.tickCount).toBe(0);
     });
   });
 
@@ -961,57 +1009,13 @@ describe('TelepathyEffect', () => {
     });
   });
 
-  describe('shouldDealDamage', () => {
-    test('should return true every tick interval', () => {
-      const telepathy = new TelepathyEffect();
-      telepathy.start(500, 500);
-
-      // First tick at 100ms
-      advanceTime(100);
-      expect(telepathy.shouldDealDamage()).toBe(true);
-
-      // Second tick at 200ms
-      advanceTime(100);
-      expect(telepathy.shouldDealDamage()).toBe(true);
-
-      // Not again at 250ms (same tick)
-      advanceTime(50);
-      expect(telepathy.shouldDealDamage()).toBe(false);
-    });
-
-    test('should return false when inactive', () => {
-      const telepathy = new TelepathyEffect();
-      expect(telepathy.shouldDealDamage()).toBe(false);
-    });
-
-    test('should handle 30 ticks over 3 seconds', () => {
-      const telepathy = new TelepathyEffect();
-      telepathy.start(500, 500);
-
-      let tickCount = 0;
-      for (let i = 0; i < 30; i++) {
-        advanceTime(100);
-        if (telepathy.shouldDealDamage()) {
-          tickCount++;
-        }
-      }
-
-      expect(tickCount).toBe(30);
-    });
-  });
-
-  describe('getDamageArea', () => {
-    test('should return damage area at current position', () => {
+  describe('cancel', () => {
+    test('should stop channeling', () => {
       const telepathy = new TelepathyEffect();
       telepathy.start(500, 500);
+      telepathy.cancel();
 
-      const area = telepathy.getDamageArea();
-
-      expect(area.x).toBe(500);
-      expect(area.y).toBe(500);
-      expect(area.radius).toBe(180);
-      expect(area.damagePerTarget).toBe(2);
-      expect(area.maxHeal).toBe(4);
+      expect(telepathy.active).toBe(false);
     });
   });
 });
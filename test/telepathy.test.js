@@ -0,0 +1,105 @@
+/**
+ * Telepathy Channel Tests (server)
+ *
+ * Tests for the server-side telepathy channel against hit immunity:
+ * - Every channel tick damages players and dummies (no invincibility frames in between)
+ * - Channel ticks do not make the target immune to other hits
+ * - The caster heals by the HP actually drained, not the nominal tick damage
+ */
+
+const { SERVER_CONFIG } = require('../server/config');
+const { Room } = require('../server/room');
+const { startCast } = require('../server/skills');
+const { getSkillDamage } = require('../server/leveling');
+
+const fakeIo = { to: () => ({ emit: () => {} }) };
+
+describe('Telepathy channel', () => {
+  let now;
+  let room;
+  let caster;
+  let victim;
+
+  // Advance the clock one channel tick at a time and resolve due ticks
+  function runChannelTicks(count) {
+    for (let i = 0; i < count; i++) {
+      now += SERVER_CONFIG.SKILL_TELEPATHY.TICK_INTERVAL_MS;
+      room.updateCasts();
+    }
+  }
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    room = new Room(fakeIo, 'telepathy-test', 'training');
+    caster = room.addPlayer('caster', 'alien', 'Caster');
+    victim = room.addPlayer('victim', 'alien', 'Victim');
+    victim.x = caster.x;
+    victim.y = caster.y;
+
+    startCast(room, caster, 'telepathy', {}, 0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should damage a player on every tick of the channel', () => {
+    const ticks = Math.floor(SERVER_CONFIG.SKILL_TELEPATHY.DURATION_MS / SERVER_CONFIG.SKILL_TELEPATHY.TICK_INTERVAL_MS);
+    const damagePerTick = getSkillDamage(caster, SERVER_CONFIG.SKILL_TELEPATHY.DAMAGE_PER_TICK);
+
+    runChannelTicks(ticks);
+
+    expect(caster.skills.telepathy.phase).toBe('idle');
+    expect(victim.currentHP).toBe(Math.max(0, victim.maxHP - ticks * damagePerTick));
+  });
+
+  test('should damage a dummy on every tick', () => {
+    const dummy = room.dummies.values().next().value;
+    dummy.x = caster.x;
+    dummy.y = caster.y;
+    const damagePerTick = getSkillDamage(caster, SERVER_CONFIG.SKILL_TELEPATHY.DAMAGE_PER_TICK);
+    const ticks = Math.floor((dummy.maxHP - 1) / damagePerTick);
+
+    runChannelTicks(ticks);
+
+    expect(dummy.currentHP).toBe(dummy.maxHP - ticks * damagePerTick);
+  });
+
+  test('should not make the target immune to other hits', () => {
+    runChannelTicks(3);
+
+    expect(room.damagePlayer(victim, 'caster', 10, 'attack')).toBe(true);
+  });
+
+  test('should heal only by the HP a nearly dead player actually lost', () => {
+    caster.currentHP = 50;
+    victim.currentHP = 1;
+
+    runChannelTicks(1);
+
+    expect(victim.currentHP).toBe(0);
+    expect(caster.currentHP).toBe(51);
+  });
+
+  test('should heal only by the HP a nearly dead dummy actually lost', () => {
+    const dummy = room.dummies.values().next().value;
+    dummy.x = caster.x;
+    dummy.y = caster.y;
+    dummy.currentHP = 1;
+    victim.x = caster.x + SERVER_CONFIG.SKILL_TELEPATHY.RADIUS * 2;
+    caster.currentHP = 50;
+
+    runChannelTicks(1);
+
+    expect(dummy.currentHP).toBe(0);
+    expect(caster.currentHP).toBe(51);
+  });
+
+  test('should keep invincibility frames for other hits', () => {
+    expect(room.damagePlayer(victim, 'caster', 10, 'attack')).toBe(true);
+    expect(room.damagePlayer(victim, 'caster', 10, 'laser')).toBe(false);
+  });
+});